@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+"use strict";
+
+import { readFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import {
+  parseRule, formatRule, createBoard, runGenerations, getBoardStats, getLiveCells, getDyingCells,
+} from '../src/gameLogic.js';
+import { PATTERN_FORMATS, parsePattern, formatPattern, createPatternFromCells } from '../src/patternFormats.js';
+import { TOPOLOGIES, isValidTopology, supportsRule } from '../src/topology.js';
+import { ENGINES, isValidEngine } from '../src/engines.js';
+import { DEFAULT_RULE, DEFAULT_ENGINE } from '../src/config.js';
+
+const USAGE = `Usage: node bin/life.js [options] [pattern-file]
+
+Runs a pattern (RLE, plaintext .cells or Life 1.05/1.06; read from stdin without a file or with "-")
+for a number of generations and prints the result. A summary line with the generation, population,
+births and deaths goes to stderr.
+
+Options:
+  -g, --generations <n>  Generations to run (default: 1)
+  -r, --rule <rule>      Rulestring, e.g. B36/S23 (default: the pattern's rule, or ${DEFAULT_RULE})
+  -t, --topology <name>  Edges: ${Object.keys(TOPOLOGIES).join(", ")} (default: infinite)
+  -W, --width <n>        Grid width on bounded topologies (default: fits the pattern)
+  -H, --height <n>       Grid height on bounded topologies (default: fits the pattern)
+  -e, --engine <name>    ${Object.keys(ENGINES).join(", ")} (default: ${DEFAULT_ENGINE})
+  -f, --format <name>    Output format: ${Object.keys(PATTERN_FORMATS).join(", ")} (default: rle)
+  -s, --stats            Print only the summary line, to stdout
+  -h, --help             Show this help`;
+
+const OPTIONS = {
+  generations: { type: "string", short: "g", default: "1" },
+  rule: { type: "string", short: "r" },
+  topology: { type: "string", short: "t", default: "infinite" },
+  width: { type: "string", short: "W" },
+  height: { type: "string", short: "H" },
+  engine: { type: "string", short: "e", default: DEFAULT_ENGINE },
+  format: { type: "string", short: "f", default: "rle" },
+  stats: { type: "boolean", short: "s", default: false },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+/**
+ * Prints an error and ends the process with a failure exit code.
+ * @param {string} message - The error message.
+ */
+function fail(message) {
+  console.error(`life: ${message}`);
+  process.exit(1);
+}
+
+/**
+ * Parses a non-negative whole number option.
+ * @param {string | undefined} value - The option value, or undefined if it was not given.
+ * @param {string} name - The option name, for the error message.
+ * @returns {number | undefined} The number, or undefined if the option was not given.
+ */
+function parseCount(value, name) {
+  if (value === undefined) return undefined;
+  if (!/^\d+$/.test(value)) fail(`--${name} must be a whole number, got "${value}".`);
+  return parseInt(value, 10);
+}
+
+/**
+ * Formats a count that may be unknown (births and deaths after HashLife jumps).
+ * @param {number | null} value - The count, or null if unknown.
+ * @returns {string} The count, or "N/A".
+ */
+function formatCount(value) {
+  return value === null ? "N/A" : String(value);
+}
+
+/**
+ * Runs the command line: loads the pattern, runs it and prints the result.
+ */
+function main() {
+  let args;
+  try {
+    args = parseArgs({ options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    fail(`${error.message}\n\n${USAGE}`);
+  }
+  const { values, positionals } = args;
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (positionals.length > 1) fail(`expected one pattern file, got ${positionals.length}.\n\n${USAGE}`);
+  if (!isValidTopology(values.topology)) fail(`unknown topology "${values.topology}".`);
+  if (!isValidEngine(values.engine)) fail(`unknown engine "${values.engine}".`);
+  if (!Object.prototype.hasOwnProperty.call(PATTERN_FORMATS, values.format)) fail(`unknown format "${values.format}".`);
+  const generations = parseCount(values.generations, "generations");
+  const width = parseCount(values.width, "width");
+  const height = parseCount(values.height, "height");
+
+  const file = positionals[0] ?? "-";
+  let text;
+  try {
+    text = readFileSync(file === "-" ? 0 : file, "utf8"); // File descriptor 0 is stdin
+  } catch (error) {
+    fail(`cannot read ${file === "-" ? "stdin" : file}: ${error.message}`);
+  }
+
+  let pattern;
+  try {
+    pattern = parsePattern(text, undefined, Infinity); // The engine has no grid size limit on the infinite plane
+  } catch (error) {
+    if (error.name !== "PatternParseError") throw error;
+    fail(`${file === "-" ? "stdin" : file}: ${error.message}`);
+  }
+
+  const ruleString = values.rule ?? pattern.rule ?? DEFAULT_RULE;
+  const rule = parseRule(ruleString);
+  if (!rule) fail(`invalid rule "${ruleString}".`);
+  if (!supportsRule(values.topology, rule)) {
+    fail(`${formatRule(rule)} has birth on 0 neighbors, which would fill the infinite plane; use --topology torus.`);
+  }
+  if (values.engine === "hashlife" && (!TOPOLOGIES[values.topology].unbounded || rule.states > 2)) {
+    fail(`the ${ENGINES.hashlife.label} engine needs the infinite topology and a two-state rule.`);
+  }
+
+  const board = createBoard(pattern, { topology: values.topology, width, height });
+  if (!board) fail("cannot create the board (see the warning above).");
+
+  const result = runGenerations(board, rule, generations, { engine: values.engine });
+  const { population, oldest } = getBoardStats(result.board);
+  const summary = `Generation ${result.board.generation}: population ${population}, ` +
+    `born ${formatCount(result.born)}, died ${formatCount(result.died)}, oldest ${oldest}`;
+  if (values.stats) {
+    console.log(summary);
+    return;
+  }
+
+  const output = createPatternFromCells(getLiveCells(result.board), formatRule(rule), getDyingCells(result.board));
+  output.name = pattern.name;
+  output.comments = [`Generation ${result.board.generation}, population ${population}`];
+  process.stdout.write(formatPattern(output, values.format));
+  console.error(summary);
+}
+
+main();
@@ -0,0 +1,15 @@
+"use strict";
+
+// DOM Element Reference
+const liveRegion = document.getElementById("liveAnnouncer");
+
+/**
+ * Announces a message to screen readers through the polite ARIA live region.
+ * A newer message replaces one that has not been read yet.
+ * @param {string} message - The message.
+ */
+export function announce(message) {
+  if (!liveRegion) return;
+  // Setting the same text again would not be announced, so repeats alternate with a trailing space
+  liveRegion.textContent = liveRegion.textContent === message ? `${message} ` : message;
+}
@@ -18,7 +18,8 @@ const bgCtx = backgroundCanvas ? backgroundCanvas.getContext("2d") : null;
 
 // Configuration
 const numCycles = 4;
-const cycleColors = ["#ff9900", "#ff0000", "#00ff00", "#cccccc"]; // Orange, Red, Green, Grey
+let cycleColors = ["#ff9900", "#ff0000", "#00ff00", "#cccccc"]; // Orange, Red, Green, Grey; replaced by the theme
+let fadeColor = "rgba(5, 8, 16, 0.1)"; // --tron-bg with low alpha; replaced by the theme
 const cycleSpeed = 2;
 const trailLength = 50; // Number of segments in the trail
 
@@ -113,7 +114,7 @@ function animateBackground() {
   if (!bgCtx) return;
 
   // Clear canvas with a fade effect
-  bgCtx.fillStyle = "rgba(5, 8, 16, 0.1)"; // --tron-bg with low alpha
+  bgCtx.fillStyle = fadeColor;
   bgCtx.fillRect(0, 0, bgWidth, bgHeight);
 
   // Move and draw each cycle
@@ -164,4 +165,21 @@ export function initializeBackground() {
         animateBackground();
     }
     console.log("Background animation initialized.");
-}
\ No newline at end of file
+}
+
+/**
+ * Recolors the light cycles and their fading background, e.g. when the theme changes.
+ * @param {string[]} colors - Colors of the cycles in #rrggbb notation (the trails append an alpha channel).
+ * @param {string} fade - Translucent background color painted over every frame to fade the trails.
+ */
+export function setColors(colors, fade) {
+    if (colors.length === 0) {
+        console.warn("No light cycle colors given. Keeping the current colors.");
+        return;
+    }
+    cycleColors = colors;
+    fadeColor = fade;
+    lightCycles.forEach((cycle, i) => {
+        cycle.color = cycleColors[i % cycleColors.length];
+    });
+}
@@ -0,0 +1,109 @@
+"use strict";
+
+import * as gridState from './gridState.js';
+
+export const TRAIL_LENGTH = 16; // Steps a dead cell's ghost trail stays visible
+const ALIVE = 255; // Trail value of a cell that is alive now
+
+// Module-level state, row-major like the grid
+let heat = new Uint32Array(0); // Number of steps each cell has been alive since the last reset
+let trail = new Uint8Array(0); // ALIVE, steps since the cell died (1 to TRAIL_LENGTH), or 0 for no trail
+let maxHeat = 0;
+let trackedWidth = 0; // Board layout the arrays belong to
+let trackedHeight = 0;
+let trackedOrigin = { x: 0, y: 0 };
+
+/**
+ * Makes the arrays match the board's size. On the infinite plane, where the board moves and grows,
+ * the values are carried over by world position; a fixed board that is resized starts over.
+ */
+function matchBoard() {
+  const width = gridState.getWidth();
+  const height = gridState.getHeight();
+  const origin = gridState.getOrigin();
+  if (width === trackedWidth && height === trackedHeight && origin.x === trackedOrigin.x && origin.y === trackedOrigin.y) {
+    return;
+  }
+
+  const newHeat = new Uint32Array(width * height);
+  const newTrail = new Uint8Array(width * height);
+  if (gridState.getIsUnbounded()) {
+    const shiftX = origin.x - trackedOrigin.x;
+    const shiftY = origin.y - trackedOrigin.y;
+    for (let y = 0; y < height; y++) {
+      const oldY = y + shiftY;
+      if (oldY < 0 || oldY >= trackedHeight) continue;
+      for (let x = 0; x < width; x++) {
+        const oldX = x + shiftX;
+        if (oldX < 0 || oldX >= trackedWidth) continue;
+        newHeat[y * width + x] = heat[oldY * trackedWidth + oldX];
+        newTrail[y * width + x] = trail[oldY * trackedWidth + oldX];
+      }
+    }
+  }
+  heat = newHeat;
+  trail = newTrail;
+  maxHeat = heat.reduce((max, value) => Math.max(max, value), 0);
+  trackedWidth = width;
+  trackedHeight = height;
+  trackedOrigin = origin;
+}
+
+/**
+ * Updates heat and trails after the grid changed.
+ * A step heats every live cell and ages the trails; an edit only marks which cells are alive now.
+ * @param {"step" | "edit"} kind - What kind of change happened.
+ */
+function handleGridChange(kind) {
+  matchBoard();
+  const grid = gridState.getGrid();
+  for (let i = 0; i < grid.length; i++) {
+    if (grid[i] > 0) {
+      trail[i] = ALIVE;
+      if (kind === "step" && ++heat[i] > maxHeat) maxHeat = heat[i];
+    } else if (trail[i] === ALIVE) {
+      trail[i] = kind === "step" ? 1 : 0; // Cells painted dead leave no trail
+    } else if (trail[i] > 0 && kind === "step") {
+      trail[i] = trail[i] < TRAIL_LENGTH ? trail[i] + 1 : 0;
+    }
+  }
+}
+
+gridState.addChangeListener(handleGridChange);
+
+/**
+ * Forgets all heat and trails. Call when the board gets a new starting configuration (clear, randomize, load).
+ */
+export function resetActivity() {
+  heat.fill(0);
+  trail.fill(0);
+  maxHeat = 0;
+  handleGridChange("edit"); // Mark the cells that are alive now
+}
+
+/**
+ * Gets how many steps a cell has been alive since the last reset.
+ * @param {number} index - Row-major cell index.
+ * @returns {number}
+ */
+export function getHeat(index) {
+  return heat[index] ?? 0;
+}
+
+/**
+ * Gets the highest heat of any cell on the board.
+ * @returns {number}
+ */
+export function getMaxHeat() {
+  return maxHeat;
+}
+
+/**
+ * Gets how many steps ago a dead cell was last alive, if that is recent enough to leave a trail.
+ * @param {number} index - Row-major cell index.
+ * @returns {number} 1 to TRAIL_LENGTH, or 0 if the cell is alive or has no trail.
+ */
+export function getTrail(index) {
+  const value = trail[index] ?? 0;
+  return value === ALIVE ? 0 : value;
+}
@@ -0,0 +1,124 @@
+"use strict";
+
+import * as gridState from './gridState.js';
+import * as renderer from './renderer.js';
+import * as painter from './painter.js';
+import { announce } from './announcer.js';
+
+// DOM Element Reference
+const gridContainer = document.getElementById("grid-container");
+
+const JUMP_DISTANCE = 8; // Cells moved per arrow key press with Shift held
+
+// Module-level state
+let cursor = null; // Cell under the keyboard cursor, or null while it is hidden
+let lastCursor = null; // Where the cursor was when the grid lost focus
+
+/**
+ * Keeps a cell position on the board, which may have shrunk or moved since the cursor was placed.
+ * @param {{x: number, y: number}} cell - The position.
+ * @returns {{x: number, y: number}} The nearest cell on the board.
+ */
+function clampToBoard({ x, y }) {
+  return {
+    x: Math.max(0, Math.min(gridState.getWidth() - 1, x)),
+    y: Math.max(0, Math.min(gridState.getHeight() - 1, y)),
+  };
+}
+
+/**
+ * Describes the cell under the cursor for screen readers.
+ * @returns {string} Its column, row and state, counting from 1.
+ */
+function describeCursorCell() {
+  const state = gridState.getCellState(cursor.x, cursor.y);
+  return `Column ${cursor.x + 1}, row ${cursor.y + 1}, ${state && state.age > 0 ? "alive" : "dead"}`;
+}
+
+/**
+ * Shows the cursor at a cell, scrolls it into view and moves the active tool's preview there.
+ * @param {{x: number, y: number}} cell - The cell.
+ */
+function showCursor(cell) {
+  cursor = clampToBoard(cell);
+  renderer.setCursor(cursor);
+  painter.pointAtCell(cursor);
+}
+
+/**
+ * Shows the cursor where it was last, or in the middle of the board the first time.
+ */
+function showInitialCursor() {
+  showCursor(lastCursor ?? { x: Math.floor(gridState.getWidth() / 2), y: Math.floor(gridState.getHeight() / 2) });
+  announce(describeCursorCell());
+}
+
+/**
+ * Handles the grid gaining focus. The cursor only appears for keyboard focus (Tab), not for clicks.
+ */
+function handleFocus() {
+  if (gridContainer.matches(":focus-visible")) {
+    showInitialCursor();
+  }
+}
+
+/**
+ * Hides the cursor when the grid loses focus, remembering its position.
+ */
+function handleBlur() {
+  if (!cursor) return;
+  lastCursor = cursor;
+  cursor = null;
+  renderer.setCursor(null);
+  painter.pointAtCell(null);
+}
+
+/**
+ * Handles the cursor keys while the grid has focus: the arrow keys move the cursor (Shift moves further)
+ * and Enter uses the drawing tool on the cell under it (toggling it by default), or stamps the selected library pattern there.
+ * @param {KeyboardEvent} event - The keydown event.
+ */
+function handleKeyDown(event) {
+  if (event.ctrlKey || event.metaKey || event.altKey) return;
+
+  const distance = event.shiftKey ? JUMP_DISTANCE : 1;
+  const moves = {
+    ArrowLeft: [-distance, 0],
+    ArrowRight: [distance, 0],
+    ArrowUp: [0, -distance],
+    ArrowDown: [0, distance],
+  };
+  if (moves[event.key]) {
+    if (cursor) {
+      const [dx, dy] = moves[event.key];
+      showCursor({ x: cursor.x + dx, y: cursor.y + dy });
+      announce(describeCursorCell());
+    } else {
+      showInitialCursor(); // The grid was focused with a click
+    }
+  } else if (event.key === "Enter") {
+    if (cursor) {
+      cursor = clampToBoard(cursor);
+      painter.pressCell(cursor);
+      announce(describeCursorCell());
+    } else {
+      showInitialCursor();
+    }
+  } else {
+    return;
+  }
+  event.preventDefault(); // Don't scroll the page; also tells the global shortcuts the key was handled
+}
+
+/**
+ * Makes the grid focusable and sets up the keyboard cursor.
+ */
+export function setupCellCursor() {
+  if (!gridContainer) {
+    console.error("Grid container not found. Cannot set up the keyboard cursor.");
+    return;
+  }
+  gridContainer.addEventListener("focus", handleFocus);
+  gridContainer.addEventListener("blur", handleBlur);
+  gridContainer.addEventListener("keydown", handleKeyDown);
+}
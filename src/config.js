@@ -3,4 +3,16 @@
 // Constants for Game of Life configuration
 export const DEFAULT_WIDTH = 42;
 export const DEFAULT_HEIGHT = 32;
-export const DEFAULT_SPEED = 500; // milliseconds
\ No newline at end of file
+export const MIN_GRID_SIZE = 4; // Smallest allowed width/height
+export const MAX_GRID_SIZE = 400; // Largest allowed width/height
+export const DEFAULT_SPEED = 500; // milliseconds
+export const DEFAULT_RULE = "B3/S23"; // Conway's Game of Life in B/S notation
+export const DEFAULT_TOPOLOGY = "torus"; // See topology.js for the available edge topologies
+export const UNBOUNDED_GROW_MARGIN = 8; // Empty cells kept around live cells when the infinite plane's board grows
+export const MAX_CELL_AGE = 0xffff; // Ages are stored in a Uint16Array and saturate here
+export const DEFAULT_HISTORY_DEPTH = 100; // Undo steps kept (edits and generations)
+export const MAX_HISTORY_BYTES = 64 * 1024 * 1024; // Memory budget for undo snapshots
+export const DEFAULT_DENSITY = 30; // Percentage of cells alive after Randomize
+export const DEFAULT_SYMMETRY = "none"; // See soup.js for the available symmetries
+export const DEFAULT_ENGINE = "bruteforce"; // See engines.js for the available simulation engines
+export const MAX_STEP_EXPONENT = 20; // HashLife steps at most 2^20 (about a million) generations at a time
@@ -0,0 +1,307 @@
+"use strict";
+
+// Generations kept for spotting a translated copy of the board (spaceships on a torus)
+const TRANSLATION_WINDOW = 64;
+// Generation hashes kept for spotting exact repeats; older ones are forgotten
+const MAX_TRACKED_HASHES = 20000;
+// Shift candidates tried per matching generation before giving up (boards with repeating rows/columns)
+const MAX_SHIFT_CANDIDATES = 64;
+
+// Module-level state
+let hashes = new Map(); // Exact board hash -> first generation it was seen in
+let recent = []; // Last TRANSLATION_WINDOW generations: { generation, shapeHash, population, cells }
+let shapes = new Map(); // Infinite plane: position-independent board hash -> { generation, minX, minY }
+let cycle = null; // The detected cycle, or null while the board has not settled
+let baselineNeeded = true; // True until the board before the next step has been recorded
+
+/**
+ * Mixes a 32-bit value into an FNV-1a style hash.
+ * @param {number} hash - The hash so far.
+ * @param {number} value - The value to add.
+ * @returns {number} The updated 32-bit hash.
+ */
+function mix(hash, value) {
+  return Math.imul(hash ^ value, 0x01000193) >>> 0;
+}
+
+/**
+ * Computes the hashes cycle detection compares. Cheap enough to run for every generation.
+ * @param {Uint16Array} grid - Row-major cell ages.
+ * @param {number} width - The grid width.
+ * @param {number} height - The grid height.
+ * @param {Uint8Array | null} [decay=null] - Row-major decay states of dying cells (Generations rules), which are part of the board.
+ * @returns {{hash: string, shapeHash: number, population: number}} hash identifies the exact set of live (and dying) cells;
+ *          shapeHash stays the same when the board is shifted around a torus.
+ */
+export function computeSignature(grid, width, height, decay = null) {
+  const rowCounts = new Int32Array(height);
+  const columnCounts = new Int32Array(width);
+  let hashA = mix(0x811c9dc5, width);
+  let hashB = mix(0x01000193, height);
+  let population = 0;
+
+  for (let y = 0, index = 0; y < height; y++) {
+    for (let x = 0; x < width; x++, index++) {
+      if (grid[index] > 0) {
+        hashA = mix(hashA, index);
+        hashB = Math.imul(hashB ^ (index * 0x9e3779b1), 0x85ebca6b) >>> 0;
+        rowCounts[y]++;
+        columnCounts[x]++;
+        population++;
+      } else if (decay && decay[index] > 0) {
+        hashA = mix(mix(hashA, ~index), decay[index]);
+        hashB = Math.imul(hashB ^ (~index * 0x9e3779b1) ^ decay[index], 0x85ebca6b) >>> 0;
+      }
+    }
+  }
+
+  // Sorted row and column populations do not change when rows or columns are rotated
+  let shapeHash = mix(0x811c9dc5, population);
+  rowCounts.sort().forEach((count) => { shapeHash = mix(shapeHash, count); });
+  columnCounts.sort().forEach((count) => { shapeHash = mix(shapeHash, count); });
+
+  return { hash: `${hashA.toString(36)}.${hashB.toString(36)}.${population}`, shapeHash, population };
+}
+
+/**
+ * Hashes one cell's coordinates. Summing these gives a hash that does not depend on cell order.
+ * @param {number} x - The x-coordinate.
+ * @param {number} y - The y-coordinate.
+ * @param {number} seed - Picks one of several independent hash functions.
+ * @returns {number} A 32-bit hash.
+ */
+function hashCell(x, y, seed) {
+  let hash = Math.imul(x ^ seed, 0x85ebca6b) ^ Math.imul(y ^ (seed >>> 3), 0xc2b2ae35);
+  hash ^= hash >>> 15;
+  hash = Math.imul(hash, 0x2c1b3c6d);
+  hash ^= hash >>> 12;
+  return hash >>> 0;
+}
+
+/**
+ * Computes the hashes cycle detection compares, for the infinite plane's live cell lists.
+ * @param {{xs: Int32Array, ys: Int32Array}} cells - The live cells in world coordinates, in any order.
+ * @param {{xs: Int32Array, ys: Int32Array, decays: Uint8Array} | null} [dyingCells=null] - The dying cells (Generations rules).
+ * @returns {{hash: string, shapeHash: number, population: number, normalizedHash: string, minX: number, minY: number}}
+ *          hash identifies the exact set of live (and dying) cells; normalizedHash is the same for the set moved anywhere
+ *          on the plane, with (minX, minY) its top-left corner.
+ */
+export function computeSparseSignature(cells, dyingCells = null) {
+  const { xs, ys } = cells;
+  const population = xs.length;
+  let minX = Infinity;
+  let minY = Infinity;
+  for (let i = 0; i < population; i++) {
+    if (xs[i] < minX) minX = xs[i];
+    if (ys[i] < minY) minY = ys[i];
+  }
+  if (population === 0) {
+    minX = 0; // Only dying cells (if any) left; they still need a reference point
+    minY = 0;
+  }
+
+  let hashA = 0;
+  let hashB = 0;
+  let normalizedA = 0;
+  let normalizedB = 0;
+  for (let i = 0; i < population; i++) {
+    hashA = (hashA + hashCell(xs[i], ys[i], 0x27d4eb2d)) >>> 0;
+    hashB = (hashB + hashCell(xs[i], ys[i], 0x165667b1)) >>> 0;
+    normalizedA = (normalizedA + hashCell(xs[i] - minX, ys[i] - minY, 0x27d4eb2d)) >>> 0;
+    normalizedB = (normalizedB + hashCell(xs[i] - minX, ys[i] - minY, 0x165667b1)) >>> 0;
+  }
+  // Dying cells hash with a seed per decay state, so they differ from live cells and from each other
+  const dyingCount = dyingCells ? dyingCells.xs.length : 0;
+  for (let i = 0; i < dyingCount; i++) {
+    const x = dyingCells.xs[i];
+    const y = dyingCells.ys[i];
+    const seed = Math.imul(dyingCells.decays[i], 0x9e3779b1);
+    hashA = (hashA + hashCell(x, y, 0x27d4eb2d ^ seed)) >>> 0;
+    hashB = (hashB + hashCell(x, y, 0x165667b1 ^ seed)) >>> 0;
+    normalizedA = (normalizedA + hashCell(x - minX, y - minY, 0x27d4eb2d ^ seed)) >>> 0;
+    normalizedB = (normalizedB + hashCell(x - minX, y - minY, 0x165667b1 ^ seed)) >>> 0;
+  }
+  return {
+    hash: `${hashA.toString(36)}.${hashB.toString(36)}.${population}`,
+    shapeHash: 0, // Torus translations do not apply
+    population,
+    normalizedHash: `${normalizedA.toString(36)}.${normalizedB.toString(36)}.${population}`,
+    minX,
+    minY,
+  };
+}
+
+/**
+ * Lists the indices of the live cells in a grid.
+ * @param {Uint16Array} grid - Row-major cell ages.
+ * @returns {Int32Array} The live cell indices, in row-major order.
+ */
+function getLiveIndices(grid) {
+  const cells = [];
+  for (let i = 0; i < grid.length; i++) {
+    if (grid[i] > 0) cells.push(i);
+  }
+  return Int32Array.from(cells);
+}
+
+/**
+ * Counts the live cells per row and per column.
+ * @param {Int32Array} cells - Live cell indices.
+ * @param {number} width - The grid width.
+ * @param {number} height - The grid height.
+ * @returns {{rows: Int32Array, columns: Int32Array}}
+ */
+function countLines(cells, width, height) {
+  const rows = new Int32Array(height);
+  const columns = new Int32Array(width);
+  cells.forEach((index) => {
+    rows[Math.floor(index / width)]++;
+    columns[index % width]++;
+  });
+  return { rows, columns };
+}
+
+/**
+ * Finds every rotation that turns one cyclic sequence into another.
+ * @param {Int32Array} from - The original sequence.
+ * @param {Int32Array} to - The rotated sequence.
+ * @returns {number[]} Each shift s with to[(i + s) % n] === from[i] for all i.
+ */
+function findRotations(from, to) {
+  const n = from.length;
+  const shifts = [];
+  for (let shift = 0; shift < n; shift++) {
+    let matches = true;
+    for (let i = 0; i < n && matches; i++) {
+      matches = to[(i + shift) % n] === from[i];
+    }
+    if (matches) shifts.push(shift);
+  }
+  return shifts;
+}
+
+/**
+ * Looks for a shift around the torus that turns an earlier board into the current one.
+ * @param {Int32Array} earlier - Live cell indices of the earlier board.
+ * @param {Int32Array} current - Live cell indices of the current board (same population).
+ * @param {Uint16Array} grid - The current grid, for quick lookups.
+ * @param {number} width - The grid width.
+ * @param {number} height - The grid height.
+ * @returns {{dx: number, dy: number} | null} The shift, or null if the boards are not translated copies.
+ */
+function findTranslation(earlier, current, grid, width, height) {
+  const earlierLines = countLines(earlier, width, height);
+  const currentLines = countLines(current, width, height);
+  const shiftsY = findRotations(earlierLines.rows, currentLines.rows);
+  const shiftsX = findRotations(earlierLines.columns, currentLines.columns);
+  if (shiftsX.length * shiftsY.length > MAX_SHIFT_CANDIDATES) return null;
+
+  for (const dy of shiftsY) {
+    for (const dx of shiftsX) {
+      const isMatch = earlier.every((index) => {
+        const x = (index % width + dx) % width;
+        const y = (Math.floor(index / width) + dy) % height;
+        return grid[y * width + x] > 0;
+      });
+      if (isMatch) return { dx, dy };
+    }
+  }
+  return null;
+}
+
+/**
+ * Forgets everything seen so far. Call whenever the board, rule or topology changes other than by a step.
+ */
+export function resetCycleDetection() {
+  hashes = new Map();
+  recent = [];
+  shapes = new Map();
+  cycle = null;
+  baselineNeeded = true;
+}
+
+/**
+ * Checks whether the board before the next step still has to be recorded (see observeGeneration).
+ * @returns {boolean}
+ */
+export function isBaselineNeeded() {
+  return baselineNeeded;
+}
+
+/**
+ * Records a generation and checks whether the board has started repeating.
+ * Once a cycle is found, further generations are ignored until resetCycleDetection.
+ * @param {number} generation - The generation number of this board.
+ * @param {Uint16Array} grid - Row-major cell ages.
+ * @param {number} width - The grid width.
+ * @param {number} height - The grid height.
+ * @param {{hash: string, shapeHash: number, population: number, normalizedHash?: string, minX?: number, minY?: number}} signature
+ *        From computeSignature, or computeSparseSignature on the infinite plane (where moving patterns are always recognized).
+ * @param {boolean} canTranslate - Whether the board may be shifted around (torus topology), so spaceships count as cycles.
+ * @returns {{kind: "empty" | "still" | "oscillator" | "spaceship", period: number, since: number, dx: number, dy: number} | null}
+ *          The cycle if it was detected with this generation, otherwise null.
+ */
+export function observeGeneration(generation, grid, width, height, signature, canTranslate) {
+  baselineNeeded = false;
+  if (cycle) return null;
+
+  // Exact repeat: the board is the same as in an earlier generation
+  const firstSeen = hashes.get(signature.hash);
+  if (firstSeen !== undefined) {
+    const period = generation - firstSeen;
+    let kind = "oscillator";
+    if (signature.population === 0) kind = "empty";
+    else if (period === 1) kind = "still";
+    cycle = { kind, period, since: firstSeen, dx: 0, dy: 0 };
+    return cycle;
+  }
+  hashes.set(signature.hash, generation);
+  if (hashes.size > MAX_TRACKED_HASHES) {
+    hashes.delete(hashes.keys().next().value); // Maps iterate oldest first
+  }
+
+  // Infinite plane: the same cells at another position
+  if (signature.normalizedHash !== undefined) {
+    const earlier = shapes.get(signature.normalizedHash);
+    if (earlier) {
+      const dx = signature.minX - earlier.minX;
+      const dy = signature.minY - earlier.minY;
+      cycle = { kind: "spaceship", period: generation - earlier.generation, since: earlier.generation, dx, dy };
+      return cycle;
+    }
+    shapes.set(signature.normalizedHash, { generation, minX: signature.minX, minY: signature.minY });
+    if (shapes.size > MAX_TRACKED_HASHES) {
+      shapes.delete(shapes.keys().next().value);
+    }
+    return null;
+  }
+
+  if (!canTranslate) return null;
+
+  // Translated repeat: the board is an earlier one shifted around the torus
+  const cells = getLiveIndices(grid);
+  for (let i = recent.length - 1; i >= 0; i--) {
+    const earlier = recent[i];
+    if (earlier.shapeHash !== signature.shapeHash || earlier.population !== signature.population) continue;
+    const shift = findTranslation(earlier.cells, cells, grid, width, height);
+    if (shift) {
+      // Report the shortest way around the torus
+      const dx = shift.dx > width / 2 ? shift.dx - width : shift.dx;
+      const dy = shift.dy > height / 2 ? shift.dy - height : shift.dy;
+      cycle = { kind: "spaceship", period: generation - earlier.generation, since: earlier.generation, dx, dy };
+      return cycle;
+    }
+  }
+  recent.push({ generation, shapeHash: signature.shapeHash, population: signature.population, cells });
+  if (recent.length > TRANSLATION_WINDOW) recent.shift();
+  return null;
+}
+
+/**
+ * Gets the detected cycle.
+ * @returns {{kind: "empty" | "still" | "oscillator" | "spaceship", period: number, since: number, dx: number, dy: number} | null}
+ *          The cycle, or null if the board has not settled (yet).
+ */
+export function getCycle() {
+  return cycle;
+}
@@ -0,0 +1,168 @@
+"use strict";
+
+/**
+ * Tools for drawing on the grid, keyed by the name used in the tool palette.
+ * - freehand: drag to draw; starting on a live cell erases instead, like toggling.
+ * - line, rectangle, ellipse: drag from one corner (or end) to the other to draw the shape in live cells.
+ * - fill: flood-fills the dead area under the pointer, or clears the connected live cells under it.
+ * - eraser: drag to kill cells.
+ */
+export const DRAWING_TOOLS = {
+  freehand: { label: "Freehand", usesBrush: true, isShape: false },
+  line: { label: "Line", usesBrush: true, isShape: true },
+  rectangle: { label: "Rectangle", usesBrush: true, isShape: true },
+  ellipse: { label: "Ellipse", usesBrush: true, isShape: true },
+  fill: { label: "Fill", usesBrush: false, isShape: false },
+  eraser: { label: "Eraser", usesBrush: true, isShape: false },
+};
+
+export const DEFAULT_DRAWING_TOOL = "freehand";
+export const MAX_BRUSH_SIZE = 16; // Widest brush in cells
+
+/**
+ * Checks whether a drawing tool name is supported.
+ * @param {string} name - The tool name.
+ * @returns {boolean} True if the name is a key of DRAWING_TOOLS.
+ */
+export function isValidDrawingTool(name) {
+  return Object.prototype.hasOwnProperty.call(DRAWING_TOOLS, name);
+}
+
+/**
+ * Lists the cells on a straight line between two cells (Bresenham's algorithm), both ends included.
+ * Also fills the gaps between the positions of a fast-moving pointer.
+ * @param {{x: number, y: number}} from - The start cell.
+ * @param {{x: number, y: number}} to - The end cell.
+ * @returns {Array<{x: number, y: number}>} The cells from start to end, each touching the previous one.
+ */
+export function linePoints(from, to) {
+  const points = [];
+  const dx = Math.abs(to.x - from.x);
+  const dy = -Math.abs(to.y - from.y);
+  const stepX = from.x < to.x ? 1 : -1;
+  const stepY = from.y < to.y ? 1 : -1;
+  let error = dx + dy;
+  let { x, y } = from;
+  for (;;) {
+    points.push({ x, y });
+    if (x === to.x && y === to.y) return points;
+    const doubled = 2 * error;
+    if (doubled >= dy) {
+      error += dy;
+      x += stepX;
+    }
+    if (doubled <= dx) {
+      error += dx;
+      y += stepY;
+    }
+  }
+}
+
+/**
+ * Lists the cells of a rectangle spanned by two opposite corners.
+ * @param {{x: number, y: number}} from - One corner.
+ * @param {{x: number, y: number}} to - The opposite corner.
+ * @param {boolean} filled - Whether to include the inside, or only the outline.
+ * @returns {Array<{x: number, y: number}>}
+ */
+export function rectanglePoints(from, to, filled) {
+  const left = Math.min(from.x, to.x);
+  const right = Math.max(from.x, to.x);
+  const top = Math.min(from.y, to.y);
+  const bottom = Math.max(from.y, to.y);
+  const points = [];
+  for (let y = top; y <= bottom; y++) {
+    for (let x = left; x <= right; x++) {
+      if (filled || y === top || y === bottom || x === left || x === right) points.push({ x, y });
+    }
+  }
+  return points;
+}
+
+/**
+ * Lists the cells of the ellipse that fits in a rectangle spanned by two opposite corners.
+ * A cell belongs to the ellipse if its center lies inside it.
+ * @param {{x: number, y: number}} from - One corner of the bounding rectangle.
+ * @param {{x: number, y: number}} to - The opposite corner.
+ * @param {boolean} filled - Whether to include the inside, or only the outline.
+ * @returns {Array<{x: number, y: number}>}
+ */
+export function ellipsePoints(from, to, filled) {
+  const left = Math.min(from.x, to.x);
+  const top = Math.min(from.y, to.y);
+  const radiusX = (Math.abs(to.x - from.x) + 1) / 2;
+  const radiusY = (Math.abs(to.y - from.y) + 1) / 2;
+  const centerX = left + radiusX;
+  const centerY = top + radiusY;
+
+  // The ellipse covers one run of cells per row: [start, end], or null for rows it misses
+  const spans = [];
+  for (let row = 0; row < 2 * radiusY; row++) {
+    const dy = (top + row + 0.5 - centerY) / radiusY;
+    const halfWidth = radiusX * Math.sqrt(Math.max(0, 1 - dy * dy));
+    const start = Math.ceil(centerX - halfWidth - 0.5);
+    const end = Math.floor(centerX + halfWidth - 0.5);
+    spans.push(start <= end ? { start, end } : null);
+  }
+
+  const points = [];
+  spans.forEach((span, row) => {
+    if (!span) return;
+    // Outline cells are those at the ends of the run or not covered by the rows above and below
+    let innerStart = span.start + 1;
+    let innerEnd = span.end - 1;
+    [spans[row - 1], spans[row + 1]].forEach((neighbor) => {
+      if (!neighbor) {
+        innerStart = Infinity;
+        return;
+      }
+      innerStart = Math.max(innerStart, neighbor.start);
+      innerEnd = Math.min(innerEnd, neighbor.end);
+    });
+    for (let x = span.start; x <= span.end; x++) {
+      if (filled || x < innerStart || x > innerEnd) points.push({ x, y: top + row });
+    }
+  });
+  return points;
+}
+
+/**
+ * Lists the cells a round brush covers, relative to the cell it is centered on.
+ * @param {number} size - The brush diameter in cells (1 covers just the center cell).
+ * @returns {Array<{x: number, y: number}>} The offsets.
+ */
+export function brushOffsets(size) {
+  const offsets = [];
+  const start = -Math.floor((size - 1) / 2);
+  const middle = (size - 1) / 2;
+  for (let j = 0; j < size; j++) {
+    for (let i = 0; i < size; i++) {
+      if ((i - middle) ** 2 + (j - middle) ** 2 <= (size / 2) ** 2) {
+        offsets.push({ x: start + i, y: start + j });
+      }
+    }
+  }
+  return offsets;
+}
+
+/**
+ * Widens points with a brush: lists every cell the brush covers when placed on each point, once each.
+ * @param {Array<{x: number, y: number}>} points - Where the brush is placed.
+ * @param {number} size - The brush diameter in cells.
+ * @returns {Array<{x: number, y: number}>} The covered cells.
+ */
+export function applyBrush(points, size) {
+  if (size <= 1) return points;
+  const offsets = brushOffsets(size);
+  const seen = new Set();
+  const cells = [];
+  points.forEach(({ x, y }) => {
+    offsets.forEach((offset) => {
+      const key = `${x + offset.x},${y + offset.y}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      cells.push({ x: x + offset.x, y: y + offset.y });
+    });
+  });
+  return cells;
+}
@@ -0,0 +1,22 @@
+"use strict";
+
+/**
+ * Supported simulation engines, keyed by the name sent to the worker.
+ * - bruteforce: visits every cell (or, on the infinite plane, every live cell and its neighbors) each generation.
+ * - hashlife: memoized quadtree (see hashLife.js) that jumps 2^k generations per step. It needs the infinite
+ *   plane and a two-state rule, and does not track born/died counts; cell ages are approximated.
+ * - requiresUnbounded: whether the engine only runs on an unbounded topology (see topology.js).
+ */
+export const ENGINES = {
+  bruteforce: { label: "Brute force", requiresUnbounded: false },
+  hashlife: { label: "HashLife (infinite plane)", requiresUnbounded: true },
+};
+
+/**
+ * Checks whether an engine name is supported.
+ * @param {string} name - The engine name.
+ * @returns {boolean} True if the name is a key of ENGINES.
+ */
+export function isValidEngine(name) {
+  return Object.prototype.hasOwnProperty.call(ENGINES, name);
+}
@@ -1,7 +1,496 @@
 "use strict";
 
-import * as gridState from './gridState.js';
+import { TOPOLOGIES, isValidTopology } from './topology.js';
+import { isValidEngine } from './engines.js';
+import { DEFAULT_WIDTH, DEFAULT_HEIGHT, DEFAULT_TOPOLOGY, DEFAULT_ENGINE, MAX_CELL_AGE, MAX_STEP_EXPONENT } from './config.js';
+import { advance } from './hashLife.js';
 
-// Note: countNeighbors function moved to gameLogic.worker.js
+// Nothing here touches the DOM or the worker, so the rules run in the worker, in Node (see bin/life.js) and in tests
+export { parseRule, formatRule } from './rules.js';
 
-// Note: computeNextGeneration function moved to gameLogic.worker.js
\ No newline at end of file
+// Packing world coordinates into one Map key: both must stay within +-COORD_OFFSET
+const COORD_OFFSET = 2 ** 25;
+const COORD_RANGE = 2 ** 26;
+
+/**
+ * Counts the number of live neighbors for a given cell using the provided grid data.
+ * Neighbors beyond the grid edges are resolved according to the topology: glued edges
+ * wrap around (optionally mirrored), unglued edges count as dead cells.
+ * @param {number} x - The x-coordinate of the cell.
+ * @param {number} y - The y-coordinate of the cell.
+ * @param {number} width - The grid width.
+ * @param {number} height - The grid height.
+ * @param {Uint16Array} grid - The grid data (row-major cell ages).
+ * @param {{wrapX: boolean, wrapY: boolean, twistX: boolean, twistY: boolean}} topology - The edge topology (see topology.js).
+ * @returns {number} The count of live neighbors.
+ */
+function countNeighbors(x, y, width, height, grid, topology) {
+  let count = 0;
+  for (let dy = -1; dy <= 1; dy++) {
+    for (let dx = -1; dx <= 1; dx++) {
+      // Skip the cell itself
+      if (dx === 0 && dy === 0) {
+        continue;
+      }
+
+      let nx = x + dx;
+      let ny = y + dy;
+
+      // Crossing the left/right edge
+      if (nx < 0 || nx >= width) {
+        if (!topology.wrapX) {
+          continue; // Bounded edge: outside cells are dead
+        }
+        nx = (nx + width) % width;
+        if (topology.twistX) {
+          ny = height - 1 - ny; // Glued with a twist: mirror vertically
+        }
+      }
+
+      // Crossing the top/bottom edge
+      if (ny < 0 || ny >= height) {
+        if (!topology.wrapY) {
+          continue;
+        }
+        ny = (ny + height) % height;
+        if (topology.twistY) {
+          nx = width - 1 - nx; // Glued with a twist: mirror horizontally
+        }
+      }
+
+      // Add to count if the neighbor is alive (age > 0)
+      if (grid[ny * width + nx] > 0) {
+        count++;
+      }
+    }
+  }
+  return count;
+}
+
+/**
+ * Counts the live neighbors of a cell that does not touch any grid edge.
+ * Fast path for the bulk of the grid, where no topology handling is needed.
+ * @param {number} index - The row-major index of the cell.
+ * @param {number} width - The grid width.
+ * @param {Uint16Array} grid - The grid data (row-major cell ages).
+ * @returns {number} The count of live neighbors.
+ */
+function countInteriorNeighbors(index, width, grid) {
+  const above = index - width;
+  const below = index + width;
+  return (grid[above - 1] > 0) + (grid[above] > 0) + (grid[above + 1] > 0) +
+    (grid[index - 1] > 0) + (grid[index + 1] > 0) +
+    (grid[below - 1] > 0) + (grid[below] > 0) + (grid[below + 1] > 0);
+}
+
+/**
+ * Works out the next decay state of a dying cell (Generations rules).
+ * @param {number} decayState - How many generations ago the cell died (at least 1).
+ * @param {number} states - The rule's number of cell states.
+ * @returns {number} The next decay state, or 0 once the cell is dead.
+ */
+function nextDecayState(decayState, states) {
+  return decayState + 1 <= states - 2 ? decayState + 1 : 0;
+}
+
+/**
+ * Computes the next state of the grid based on the given Life-like or Generations rule
+ * and calculates statistics about the transition (born, died, oldest cell).
+ * Under a Generations rule a live cell that does not survive starts dying instead of becoming dead right away.
+ * @param {Uint16Array} currentGrid - The current grid state (row-major cell ages).
+ * @param {Uint8Array} currentDecay - The current dying cells (row-major decay states, 0 if not dying).
+ * @param {number} width - The grid width.
+ * @param {number} height - The grid height.
+ * @param {{birth: boolean[], survival: boolean[], states: number}} rule - Lookup tables indexed by live neighbor count
+ *        and the number of cell states (see rules.js).
+ * @param {{wrapX: boolean, wrapY: boolean, twistX: boolean, twistY: boolean}} topology - The edge topology (see topology.js).
+ * @returns {{nextGrid: Uint16Array, nextDecay: Uint8Array, stats: {born: number, died: number, oldest: number}}}
+ *          An object containing the grid and dying cells for the next generation and statistics.
+ */
+export function computeNextGeneration(currentGrid, currentDecay, width, height, rule, topology) {
+  const nextGrid = new Uint16Array(width * height);
+  const nextDecay = new Uint8Array(width * height);
+  const states = rule.states ?? 2;
+  let cellsBorn = 0;
+  let cellsDied = 0;
+  let currentOldestAge = 0;
+
+  for (let y = 0; y < height; y++) {
+    const isInteriorRow = y > 0 && y < height - 1;
+    for (let x = 0; x < width; x++) {
+      const index = y * width + x;
+      const neighbors = isInteriorRow && x > 0 && x < width - 1
+        ? countInteriorNeighbors(index, width, currentGrid)
+        : countNeighbors(x, y, width, height, currentGrid, topology);
+      const currentAge = currentGrid[index];
+      const currentIsAlive = currentAge > 0;
+
+      // Dying cells only fade; they cannot be born into
+      if (!currentIsAlive && states > 2 && currentDecay[index] > 0) {
+        nextDecay[index] = nextDecayState(currentDecay[index], states);
+        continue;
+      }
+
+      let nextAge = currentAge;
+
+      // Apply the rule: live cells consult the survival table, dead cells the birth table
+      const nextIsAlive = currentIsAlive ? rule.survival[neighbors] : rule.birth[neighbors];
+
+      // Calculate the next age and update stats
+      if (nextIsAlive) {
+        if (currentIsAlive) {
+          nextAge = Math.min(currentAge + 1, MAX_CELL_AGE); // Survived: Increment age (saturating)
+        } else {
+          nextAge = 1; // Born: Set age to 1
+          cellsBorn++;
+        }
+        // Update oldest age for this generation
+        if (nextAge > currentOldestAge) {
+          currentOldestAge = nextAge;
+        }
+      } else {
+        nextAge = 0; // Died or stayed dead: Reset age
+        if (currentIsAlive) {
+          cellsDied++; // Died
+          if (states > 2) {
+            nextDecay[index] = 1; // Generations rules: start dying
+          }
+        }
+      }
+
+      // Store the new age in the next grid
+      nextGrid[index] = nextAge;
+    }
+  }
+
+  const stats = {
+    born: cellsBorn,
+    died: cellsDied,
+    oldest: currentOldestAge
+  };
+
+  return { nextGrid, nextDecay, stats };
+}
+
+/**
+ * Computes the next generation on the infinite plane, looking only at live cells and their neighbors.
+ * Cells with no live neighbor are never considered, so rules with birth on 0 neighbors (B0) would not
+ * fill the empty plane; callers refuse them here (see topology.supportsRule).
+ * @param {{xs: Int32Array, ys: Int32Array, ages: Uint16Array}} cells - The live cells, in world coordinates.
+ * @param {{xs: Int32Array, ys: Int32Array, decays: Uint8Array}} dyingCells - The dying cells (Generations rules), in world coordinates.
+ * @param {{birth: boolean[], survival: boolean[], states: number}} rule - Lookup tables indexed by live neighbor count (0-8)
+ *        and the number of cell states.
+ * @returns {{cells: {xs: Int32Array, ys: Int32Array, ages: Uint16Array}, dying: {xs: Int32Array, ys: Int32Array, decays: Uint8Array}, stats: {born: number, died: number, oldest: number}}}
+ *          The live and dying cells of the next generation and stats about the step.
+ */
+export function computeNextGenerationSparse(cells, dyingCells, rule) {
+  const { xs, ys, ages } = cells;
+  const states = rule.states ?? 2;
+  const liveAges = new Map(); // Packed coordinates -> age
+  const neighborCounts = new Map(); // Packed coordinates -> live neighbor count
+  const decayStates = new Map(); // Packed coordinates -> decay state of dying cells
+  for (let i = 0; i < xs.length; i++) {
+    liveAges.set((ys[i] + COORD_OFFSET) * COORD_RANGE + xs[i] + COORD_OFFSET, ages[i]);
+  }
+  if (states > 2) {
+    for (let i = 0; i < dyingCells.xs.length; i++) {
+      decayStates.set((dyingCells.ys[i] + COORD_OFFSET) * COORD_RANGE + dyingCells.xs[i] + COORD_OFFSET, dyingCells.decays[i]);
+    }
+  }
+  for (let i = 0; i < xs.length; i++) {
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        if (dx === 0 && dy === 0) continue;
+        const key = (ys[i] + dy + COORD_OFFSET) * COORD_RANGE + xs[i] + dx + COORD_OFFSET;
+        neighborCounts.set(key, (neighborCounts.get(key) ?? 0) + 1);
+      }
+    }
+  }
+
+  const nextXs = [];
+  const nextYs = [];
+  const nextAges = [];
+  const dyingXs = [];
+  const dyingYs = [];
+  const dyingDecays = [];
+  let cellsBorn = 0;
+  let cellsDied = 0;
+  let currentOldestAge = 0;
+
+  /**
+   * Applies the rule to one cell and collects it if it is alive in the next generation.
+   * @param {number} key - The packed coordinates.
+   * @param {number} neighbors - The live neighbor count.
+   */
+  const applyRule = (key, neighbors) => {
+    const currentAge = liveAges.get(key) ?? 0;
+    const currentIsAlive = currentAge > 0;
+    if (!currentIsAlive && decayStates.has(key)) return; // Dying cells cannot be born into
+    const nextIsAlive = currentIsAlive ? rule.survival[neighbors] : rule.birth[neighbors];
+    if (!nextIsAlive) {
+      if (currentIsAlive) {
+        cellsDied++;
+        if (states > 2) {
+          // Generations rules: start dying
+          dyingXs.push(key % COORD_RANGE - COORD_OFFSET);
+          dyingYs.push(Math.floor(key / COORD_RANGE) - COORD_OFFSET);
+          dyingDecays.push(1);
+        }
+      }
+      return;
+    }
+    const nextAge = currentIsAlive ? Math.min(currentAge + 1, MAX_CELL_AGE) : 1;
+    if (!currentIsAlive) cellsBorn++;
+    if (nextAge > currentOldestAge) currentOldestAge = nextAge;
+    nextXs.push(key % COORD_RANGE - COORD_OFFSET);
+    nextYs.push(Math.floor(key / COORD_RANGE) - COORD_OFFSET);
+    nextAges.push(nextAge);
+  };
+
+  neighborCounts.forEach((neighbors, key) => applyRule(key, neighbors));
+  // Live cells without any live neighbor do not appear in neighborCounts
+  liveAges.forEach((age, key) => {
+    if (!neighborCounts.has(key)) applyRule(key, 0);
+  });
+  decayStates.forEach((decayState, key) => {
+    const nextDecay = nextDecayState(decayState, states);
+    if (nextDecay === 0) return;
+    dyingXs.push(key % COORD_RANGE - COORD_OFFSET);
+    dyingYs.push(Math.floor(key / COORD_RANGE) - COORD_OFFSET);
+    dyingDecays.push(nextDecay);
+  });
+
+  return {
+    cells: { xs: Int32Array.from(nextXs), ys: Int32Array.from(nextYs), ages: Uint16Array.from(nextAges) },
+    dying: { xs: Int32Array.from(dyingXs), ys: Int32Array.from(dyingYs), decays: Uint8Array.from(dyingDecays) },
+    stats: { born: cellsBorn, died: cellsDied, oldest: currentOldestAge },
+  };
+}
+
+/**
+ * Jumps 2^stepExponent generations ahead on the infinite plane with HashLife.
+ * HashLife does not see the generations in between, so ages are approximated: a cell alive before and after
+ * the jump is taken to have lived through it, any other cell counts as newly born. Born and died are unknown.
+ * @param {{xs: Int32Array, ys: Int32Array, ages: Uint16Array}} cells - The live cells, in world coordinates.
+ * @param {{birth: boolean[], survival: boolean[]}} rule - Lookup tables indexed by live neighbor count (0-8).
+ * @param {number} stepExponent - Log2 of the number of generations to advance.
+ * Only Life-like (two-state) rules are supported, so there are never dying cells.
+ * @returns {{cells: {xs: Int32Array, ys: Int32Array, ages: Uint16Array}, dying: {xs: Int32Array, ys: Int32Array, decays: Uint8Array}, stats: {born: null, died: null, oldest: number}, generations: number}}
+ *          The live cells afterwards, stats about the jump and the number of generations it covered.
+ */
+export function computeGenerationsHashLife(cells, rule, stepExponent) {
+  const generations = 2 ** stepExponent;
+  const previousAges = new Map(); // Packed coordinates -> age
+  for (let i = 0; i < cells.xs.length; i++) {
+    previousAges.set((cells.ys[i] + COORD_OFFSET) * COORD_RANGE + cells.xs[i] + COORD_OFFSET, cells.ages[i]);
+  }
+
+  const { xs, ys } = advance(cells, rule, stepExponent);
+  const ages = new Uint16Array(xs.length);
+  let currentOldestAge = 0;
+  for (let i = 0; i < xs.length; i++) {
+    const previousAge = previousAges.get((ys[i] + COORD_OFFSET) * COORD_RANGE + xs[i] + COORD_OFFSET);
+    ages[i] = previousAge ? Math.min(previousAge + generations, MAX_CELL_AGE) : 1;
+    if (ages[i] > currentOldestAge) currentOldestAge = ages[i];
+  }
+
+  return {
+    cells: { xs, ys, ages },
+    dying: { xs: new Int32Array(0), ys: new Int32Array(0), decays: new Uint8Array(0) },
+    stats: { born: null, died: null, oldest: currentOldestAge },
+    generations,
+  };
+}
+
+/**
+ * Checks whether HashLife is asked for and can run a board under a rule. Like the UI, anything it cannot run
+ * falls back to brute force.
+ * @param {object} board - The board (see createBoard).
+ * @param {{states?: number}} rule - The parsed rule.
+ * @param {string} engine - A key of ENGINES.
+ * @returns {boolean} True if the board is to be advanced with HashLife.
+ */
+function usesHashLife(board, rule, engine) {
+  if (!isValidEngine(engine)) {
+    console.warn(`Invalid engine: ${engine}. Using brute force.`);
+    return false;
+  }
+  if (engine !== "hashlife") return false;
+  if (!TOPOLOGIES[board.topology].unbounded || (rule.states ?? 2) > 2) {
+    console.warn("HashLife needs the infinite plane and a two-state rule. Using brute force.");
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Creates a board to run a pattern on without the UI, e.g. from Node or tests.
+ * On bounded topologies the pattern is centered on the grid; on the infinite plane its cells keep their
+ * pattern coordinates. Pattern cells start with age 1; its dying cells (Generations rules) keep their decay state.
+ * @param {{width: number, height: number, cells: Array<{x: number, y: number}>, dying?: Array<{x: number, y: number, decay: number}>}} pattern
+ *        The pattern (see patternFormats.js).
+ * @param {{topology?: string, width?: number, height?: number}} [options] - A key of TOPOLOGIES and, on bounded
+ *        topologies, the grid size (by default the default grid size, or the pattern's size if it is larger).
+ * @returns {object | null} The board at generation 0: {topology, generation, width, height, grid, decay} on bounded
+ *          topologies, {topology, generation, cells, dying} on the infinite plane. Null if the topology or size is
+ *          invalid, or the pattern does not fit.
+ */
+export function createBoard(pattern, { topology = DEFAULT_TOPOLOGY, width, height } = {}) {
+  if (!isValidTopology(topology)) {
+    console.warn(`Invalid topology: ${topology}.`);
+    return null;
+  }
+
+  const dying = pattern.dying ?? [];
+  if (TOPOLOGIES[topology].unbounded) {
+    return {
+      topology,
+      generation: 0,
+      cells: {
+        xs: Int32Array.from(pattern.cells, ({ x }) => x),
+        ys: Int32Array.from(pattern.cells, ({ y }) => y),
+        ages: new Uint16Array(pattern.cells.length).fill(1),
+      },
+      dying: {
+        xs: Int32Array.from(dying, ({ x }) => x),
+        ys: Int32Array.from(dying, ({ y }) => y),
+        decays: Uint8Array.from(dying, ({ decay }) => decay),
+      },
+    };
+  }
+
+  const boardWidth = width ?? Math.max(DEFAULT_WIDTH, pattern.width);
+  const boardHeight = height ?? Math.max(DEFAULT_HEIGHT, pattern.height);
+  if (!Number.isInteger(boardWidth) || !Number.isInteger(boardHeight) || boardWidth < 1 || boardHeight < 1) {
+    console.warn(`Invalid board size: ${boardWidth}x${boardHeight}.`);
+    return null;
+  }
+  if (pattern.width > boardWidth || pattern.height > boardHeight) {
+    console.warn(`The pattern (${pattern.width}x${pattern.height}) does not fit on a ${boardWidth}x${boardHeight} board.`);
+    return null;
+  }
+
+  const grid = new Uint16Array(boardWidth * boardHeight);
+  const offsetX = Math.floor((boardWidth - pattern.width) / 2);
+  const offsetY = Math.floor((boardHeight - pattern.height) / 2);
+  const decay = new Uint8Array(grid.length);
+  pattern.cells.forEach(({ x, y }) => {
+    grid[(y + offsetY) * boardWidth + x + offsetX] = 1;
+  });
+  dying.forEach(({ x, y, decay: decayState }) => {
+    decay[(y + offsetY) * boardWidth + x + offsetX] = decayState;
+  });
+  return { topology, generation: 0, width: boardWidth, height: boardHeight, grid, decay };
+}
+
+/**
+ * Advances a board by one step: one generation, or 2^stepExponent generations with HashLife.
+ * @param {object} board - The board (see createBoard). It is not modified.
+ * @param {{birth: boolean[], survival: boolean[], states: number}} rule - The parsed rule (see parseRule).
+ * @param {{engine?: string, stepExponent?: number}} [options] - A key of ENGINES and, for HashLife, log2 of the
+ *        number of generations to advance (0 to MAX_STEP_EXPONENT).
+ * @returns {{board: object, stats: {born: number | null, died: number | null, oldest: number}, generations: number}}
+ *          The board afterwards, stats about the step and the number of generations it covered.
+ */
+export function stepBoard(board, rule, { engine = DEFAULT_ENGINE, stepExponent = 0 } = {}) {
+  const topology = TOPOLOGIES[board.topology];
+  if (!topology.unbounded) {
+    const { nextGrid, nextDecay, stats } = computeNextGeneration(board.grid, board.decay, board.width, board.height, rule, topology);
+    return { board: { ...board, generation: board.generation + 1, grid: nextGrid, decay: nextDecay }, stats, generations: 1 };
+  }
+
+  const result = usesHashLife(board, rule, engine)
+    ? computeGenerationsHashLife(board.cells, rule, Math.max(0, Math.min(MAX_STEP_EXPONENT, stepExponent)))
+    : computeNextGenerationSparse(board.cells, board.dying, rule);
+  const generations = result.generations ?? 1;
+  return {
+    board: { ...board, generation: board.generation + generations, cells: result.cells, dying: result.dying },
+    stats: result.stats,
+    generations,
+  };
+}
+
+/**
+ * Runs a board for a number of generations and totals the births and deaths.
+ * HashLife covers the generations in the largest power-of-two jumps that fit, so births and deaths are unknown.
+ * @param {object} board - The board (see createBoard). It is not modified.
+ * @param {{birth: boolean[], survival: boolean[], states: number}} rule - The parsed rule (see parseRule).
+ * @param {number} generations - How many generations to run.
+ * @param {{engine?: string}} [options] - A key of ENGINES.
+ * @returns {{board: object, born: number | null, died: number | null}} The board afterwards and the total number
+ *          of cells born and died on the way (null with HashLife).
+ */
+export function runGenerations(board, rule, generations, { engine = DEFAULT_ENGINE } = {}) {
+  const hashLife = usesHashLife(board, rule, engine);
+  let current = board;
+  let born = 0;
+  let died = 0;
+  let remaining = generations;
+  while (remaining > 0) {
+    const stepExponent = hashLife ? Math.min(Math.floor(Math.log2(remaining)), MAX_STEP_EXPONENT) : 0;
+    const result = stepBoard(current, rule, { engine: hashLife ? "hashlife" : "bruteforce", stepExponent });
+    current = result.board;
+    born += result.stats.born;
+    died += result.stats.died;
+    remaining -= result.generations;
+  }
+  return { board: current, born: hashLife ? null : born, died: hashLife ? null : died };
+}
+
+/**
+ * Counts the live cells of a board and finds the oldest.
+ * @param {object} board - The board (see createBoard).
+ * @returns {{population: number, oldest: number}} The number of live cells and the highest cell age (0 if none).
+ */
+export function getBoardStats(board) {
+  const ages = TOPOLOGIES[board.topology].unbounded ? board.cells.ages : board.grid;
+  let population = 0;
+  let oldest = 0;
+  for (let i = 0; i < ages.length; i++) {
+    if (ages[i] === 0) continue;
+    population++;
+    if (ages[i] > oldest) oldest = ages[i];
+  }
+  return { population, oldest };
+}
+
+/**
+ * Lists the live cells of a board, e.g. to turn them into a pattern with createPatternFromCells.
+ * @param {object} board - The board (see createBoard).
+ * @returns {Array<{x: number, y: number}>} The live cells, in grid coordinates (world coordinates on the infinite plane).
+ */
+export function getLiveCells(board) {
+  const cells = [];
+  if (TOPOLOGIES[board.topology].unbounded) {
+    const { xs, ys } = board.cells;
+    for (let i = 0; i < xs.length; i++) {
+      cells.push({ x: xs[i], y: ys[i] });
+    }
+    return cells;
+  }
+  for (let i = 0; i < board.grid.length; i++) {
+    if (board.grid[i] > 0) cells.push({ x: i % board.width, y: Math.floor(i / board.width) });
+  }
+  return cells;
+}
+
+/**
+ * Lists the dying cells of a board (Generations rules), e.g. to keep them in a pattern with createPatternFromCells.
+ * @param {object} board - The board (see createBoard).
+ * @returns {Array<{x: number, y: number, decay: number}>} The dying cells and their decay states, in grid coordinates
+ *          (world coordinates on the infinite plane).
+ */
+export function getDyingCells(board) {
+  const cells = [];
+  if (TOPOLOGIES[board.topology].unbounded) {
+    const { xs, ys, decays } = board.dying;
+    for (let i = 0; i < xs.length; i++) {
+      cells.push({ x: xs[i], y: ys[i], decay: decays[i] });
+    }
+    return cells;
+  }
+  for (let i = 0; i < board.decay.length; i++) {
+    if (board.decay[i] > 0) cells.push({ x: i % board.width, y: Math.floor(i / board.width), decay: board.decay[i] });
+  }
+  return cells;
+}
@@ -0,0 +1,165 @@
+"use strict";
+
+// Animated GIF (GIF89a) encoding. Every frame brings its own palette of up to 256 colors, so the frames can be
+// encoded one at a time while they are recorded, without keeping their pixels around.
+
+const MAX_COLORS = 256;
+const MAX_CODE = 4095; // GIF codes are at most 12 bits
+const SUB_BLOCK_SIZE = 255; // Image data is split into blocks of at most this many bytes
+
+/**
+ * Encodes the start of an animated GIF: the header, the logical screen and an endless loop.
+ * @param {number} width - Width of the animation in pixels.
+ * @param {number} height - Height of the animation in pixels.
+ * @returns {Uint8Array} The bytes; follow them with gifFrame bytes and GIF_TRAILER.
+ */
+export function gifHeader(width, height) {
+  return Uint8Array.from([
+    ..."GIF89a".split("").map((char) => char.charCodeAt(0)),
+    width & 0xff, width >> 8, height & 0xff, height >> 8,
+    0x00, // No global color table: every frame has its own
+    0x00, // Background color index
+    0x00, // Square pixels
+    // Application extension: loop forever
+    0x21, 0xff, 0x0b, ..."NETSCAPE2.0".split("").map((char) => char.charCodeAt(0)), 0x03, 0x01, 0x00, 0x00, 0x00,
+  ]);
+}
+
+// The last byte of an animated GIF
+export const GIF_TRAILER = Uint8Array.of(0x3b);
+
+/**
+ * Reduces RGBA pixels to palette indices. The first 256 distinct colors form the palette;
+ * any further colors (e.g. from anti-aliased text) use the closest palette color.
+ * @param {Uint8ClampedArray} rgba - The pixels, 4 bytes each; alpha is ignored.
+ * @returns {{indices: Uint8Array, palette: number[]}} One index per pixel, and the palette as 0xRRGGBB values.
+ */
+function quantize(rgba) {
+  const indices = new Uint8Array(rgba.length / 4);
+  const palette = [];
+  const colorIndices = new Map(); // 0xRRGGBB -> palette index
+  for (let i = 0; i < indices.length; i++) {
+    const color = (rgba[4 * i] << 16) | (rgba[4 * i + 1] << 8) | rgba[4 * i + 2];
+    let index = colorIndices.get(color);
+    if (index === undefined) {
+      if (palette.length < MAX_COLORS) {
+        index = palette.length;
+        palette.push(color);
+      } else {
+        index = findClosestColor(palette, color);
+      }
+      colorIndices.set(color, index);
+    }
+    indices[i] = index;
+  }
+  return { indices, palette };
+}
+
+/**
+ * Finds the palette color closest to a color.
+ * @param {number[]} palette - Colors as 0xRRGGBB values.
+ * @param {number} color - The color as 0xRRGGBB.
+ * @returns {number} The index of the closest palette color.
+ */
+function findClosestColor(palette, color) {
+  let bestIndex = 0;
+  let bestDistance = Infinity;
+  palette.forEach((entry, index) => {
+    const dr = (entry >> 16) - (color >> 16);
+    const dg = ((entry >> 8) & 0xff) - ((color >> 8) & 0xff);
+    const db = (entry & 0xff) - (color & 0xff);
+    const distance = dr * dr + dg * dg + db * db;
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      bestIndex = index;
+    }
+  });
+  return bestIndex;
+}
+
+/**
+ * Compresses palette indices with the GIF flavor of LZW.
+ * @param {Uint8Array} indices - The palette index of every pixel.
+ * @param {number} minCodeSize - Bits per palette index (at least 2).
+ * @returns {number[]} The compressed bytes, not yet split into sub-blocks.
+ */
+function lzwEncode(indices, minCodeSize) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const output = [];
+  let bitBuffer = 0;
+  let bitCount = 0;
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let table = new Map(); // prefix code * 256 + index -> code
+
+  const writeCode = (code) => {
+    bitBuffer |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      output.push(bitBuffer & 0xff);
+      bitBuffer >>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  writeCode(clearCode);
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const key = prefix * 256 + indices[i];
+    const code = table.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+    writeCode(prefix);
+    if (nextCode > MAX_CODE) {
+      // Table full: start over
+      writeCode(clearCode);
+      table = new Map();
+      codeSize = minCodeSize + 1;
+      nextCode = endCode + 1;
+    } else {
+      if (nextCode >= 1 << codeSize) codeSize++;
+      table.set(key, nextCode++);
+    }
+    prefix = indices[i];
+  }
+  writeCode(prefix);
+  writeCode(endCode);
+  if (bitCount > 0) output.push(bitBuffer & 0xff);
+  return output;
+}
+
+/**
+ * Encodes one frame of an animated GIF.
+ * @param {Uint8ClampedArray} rgba - The frame's pixels (e.g. ImageData.data), the full width and height of the animation.
+ * @param {number} width - Width of the frame in pixels.
+ * @param {number} height - Height of the frame in pixels.
+ * @param {number} delay - How long the frame is shown, in hundredths of a second.
+ * @returns {Uint8Array} The frame's bytes.
+ */
+export function gifFrame(rgba, width, height, delay) {
+  const { indices, palette } = quantize(rgba);
+  const colorBits = Math.max(1, Math.ceil(Math.log2(palette.length))); // The color table has 2^colorBits entries
+  const minCodeSize = Math.max(2, colorBits);
+  const compressed = lzwEncode(indices, minCodeSize);
+
+  const bytes = [
+    // Graphic control extension: frame delay, each frame replaces the previous one
+    0x21, 0xf9, 0x04, 0x04, delay & 0xff, delay >> 8, 0x00, 0x00,
+    // Image descriptor covering the whole animation, with a local color table
+    0x2c, 0x00, 0x00, 0x00, 0x00, width & 0xff, width >> 8, height & 0xff, height >> 8, 0x80 | (colorBits - 1),
+  ];
+  for (let i = 0; i < 1 << colorBits; i++) {
+    const color = palette[i] ?? 0;
+    bytes.push(color >> 16, (color >> 8) & 0xff, color & 0xff);
+  }
+  bytes.push(minCodeSize);
+  for (let start = 0; start < compressed.length; start += SUB_BLOCK_SIZE) {
+    const block = compressed.slice(start, start + SUB_BLOCK_SIZE);
+    bytes.push(block.length, ...block);
+  }
+  bytes.push(0x00); // End of the image data
+  return Uint8Array.from(bytes);
+}
@@ -1,41 +1,87 @@
 "use strict";
 
-import { DEFAULT_WIDTH, DEFAULT_HEIGHT } from './config.js';
+import { DEFAULT_WIDTH, DEFAULT_HEIGHT, MAX_GRID_SIZE, UNBOUNDED_GROW_MARGIN } from './config.js';
+import { generateSoup } from './soup.js';
+import { generateSeed } from './random.js';
 
 // Module-level state
-let grid = [];
+// Cell ages stored row-major (index = y * width + x): 0 is dead, >0 is the number of generations alive.
+let grid = new Uint16Array(DEFAULT_WIDTH * DEFAULT_HEIGHT);
+// Generations rules: dying cells, row-major like grid. 0 for live and dead cells, otherwise how many generations
+// ago the cell died (1 up to the rule's states - 2). Dying cells are not alive: their age in grid is 0.
+let decay = new Uint8Array(DEFAULT_WIDTH * DEFAULT_HEIGHT);
 let width = DEFAULT_WIDTH;
 let height = DEFAULT_HEIGHT;
 let generationCount = 0;
+let soupSeed = null; // Seed of the most recent random fill, so it can be reproduced
+// Infinite plane: the board is a window onto unbounded world coordinates
+let isUnbounded = false;
+let originX = 0; // World coordinates of board cell (0, 0); only move on the infinite plane
+let originY = 0;
+// Live cells beyond the board's size limit, as parallel arrays in world coordinates.
+// Always replaced, never modified in place, so snapshots can share them.
+const NO_CELLS = { xs: new Int32Array(0), ys: new Int32Array(0), ages: new Uint16Array(0) };
+const NO_DYING_CELLS = { xs: new Int32Array(0), ys: new Int32Array(0), decays: new Uint8Array(0) };
+let offBoardCells = NO_CELLS;
+let offBoardDyingCells = NO_DYING_CELLS; // Same for dying cells (Generations rules)
+// Cells edited while the next generation is being calculated, so they can be re-applied on top of it instead of
+// being overwritten. Maps "x,y" in world coordinates to { x, y, age }; null while no step is being calculated.
+let pendingEdits = null;
+const changeListeners = []; // Called with "step" or "edit" whenever the grid changes
 
 /**
- * Creates the initial grid state with a random pattern.
+ * Registers a function to call whenever the grid changes.
+ * @param {Function} listener - Expected signature: (kind: "step" | "edit") => void. "step" means a new
+ *        generation replaced the grid; "edit" covers everything else (painting, clear, resize, ...).
+ */
+export function addChangeListener(listener) {
+  changeListeners.push(listener);
+}
+
+/**
+ * Notifies all change listeners.
+ * @param {"step" | "edit"} kind - What kind of change happened.
+ */
+function notifyChange(kind) {
+  changeListeners.forEach((listener) => listener(kind));
+}
+
+/**
+ * Creates the initial grid state, with a random soup unless told otherwise.
  * @param {number} w - The width of the grid.
  * @param {number} h - The height of the grid.
+ * @param {object | null} [soupOptions={}] - Options for generateSoup (see soup.js). A missing seed gets a
+ *        fresh one. If null, all cells start dead.
  */
-function createGrid(w, h) {
-  grid = []; // Reset the grid
-  for (let y = 0; y < h; y++) {
-    grid[y] = [];
-    for (let x = 0; x < w; x++) {
-      // Initialize with state object using only age
-      const isAliveRandom = Math.random() > 0.7; // Approx 30% live cells
-      grid[y][x] = { age: isAliveRandom ? 1 : 0 }; // Age 1 if alive, 0 if dead
-    }
+function createGrid(w, h, soupOptions = {}) {
+  if (soupOptions) {
+    const seed = soupOptions.seed || generateSeed();
+    grid = generateSoup(w, h, { ...soupOptions, seed });
+    soupSeed = seed;
+    console.log(`Random soup generated with seed "${seed}".`);
+  } else {
+    grid = new Uint16Array(w * h); // All cells dead
   }
+  decay = new Uint8Array(w * h);
   width = w;
   height = h;
+  originX = 0;
+  originY = 0;
+  offBoardCells = NO_CELLS;
+  offBoardDyingCells = NO_DYING_CELLS;
   generationCount = 0; // Reset generation count when grid is created
   console.log(`Grid state created: ${width}x${height}`);
+  notifyChange("edit");
 }
 
 /**
  * Initializes the grid state. Called once at the start.
  * @param {number} initialWidth - Initial width.
  * @param {number} initialHeight - Initial height.
+ * @param {object | null} [soupOptions={}] - Options for the random soup, or null to start with an empty grid.
  */
-export function initializeGrid(initialWidth = DEFAULT_WIDTH, initialHeight = DEFAULT_HEIGHT) {
-  createGrid(initialWidth, initialHeight);
+export function initializeGrid(initialWidth = DEFAULT_WIDTH, initialHeight = DEFAULT_HEIGHT, soupOptions = {}) {
+  createGrid(initialWidth, initialHeight, soupOptions);
 }
 
 /**
@@ -50,14 +96,13 @@ export function resizeGrid(newWidth, newHeight) {
   }
   console.log(`Resizing grid state from ${width}x${height} to ${newWidth}x${newHeight}`);
   const oldGrid = grid;
+  const oldDecay = decay;
   const oldWidth = width;
   const oldHeight = height;
 
   // Create the new grid, initialized with dead cells
-  const newGrid = [];
-  for (let y = 0; y < newHeight; y++) {
-    newGrid[y] = Array(newWidth).fill(null).map(() => ({ age: 0 })); // Ensure new objects
-  }
+  const newGrid = new Uint16Array(newWidth * newHeight);
+  const newDecay = new Uint8Array(newWidth * newHeight);
 
   // Calculate offsets to center the old grid
   const deltaWidth = newWidth - oldWidth;
@@ -77,31 +122,39 @@ export function resizeGrid(newWidth, newHeight) {
       offsetY = Math.floor(deltaHeight / 2);
   }
 
+  // On the infinite plane the board is only a window: cells that no longer fit are kept off the board
+  if (isUnbounded) {
+    placeSparseCells(getSparseCells(), getSparseDyingCells(), originX - offsetX, originY - offsetY, newWidth, newHeight);
+    console.log(`Resized grid state to ${width}x${height}.`);
+    notifyChange("edit");
+    return;
+  }
+
   // Determine copy boundaries
   const copyStartX = Math.max(0, -offsetX);
   const copyStartY = Math.max(0, -offsetY);
   const copyEndX = Math.min(oldWidth, newWidth - offsetX);
   const copyEndY = Math.min(oldHeight, newHeight - offsetY);
 
-  // Copy the relevant part
-  for (let oldY = copyStartY; oldY < copyEndY; oldY++) {
-    for (let oldX = copyStartX; oldX < copyEndX; oldX++) {
-        const newX = oldX + offsetX;
-        const newY = oldY + offsetY;
-        if (newX >= 0 && newX < newWidth && newY >= 0 && newY < newHeight) {
-            if (oldGrid[oldY]?.[oldX] !== undefined) {
-                newGrid[newY][newX] = oldGrid[oldY][oldX];
-            }
-        }
+  // Copy the relevant part, one row slice at a time
+  if (copyEndX > copyStartX) {
+    for (let oldY = copyStartY; oldY < copyEndY; oldY++) {
+      const newY = oldY + offsetY;
+      const oldRowStart = oldY * oldWidth;
+      const row = oldGrid.subarray(oldRowStart + copyStartX, oldRowStart + copyEndX);
+      newGrid.set(row, newY * newWidth + copyStartX + offsetX);
+      newDecay.set(oldDecay.subarray(oldRowStart + copyStartX, oldRowStart + copyEndX), newY * newWidth + copyStartX + offsetX);
     }
   }
 
   // Update state
   grid = newGrid;
+  decay = newDecay;
   width = newWidth;
   height = newHeight;
   // Do NOT reset generationCount
   console.log(`Resized grid state to ${width}x${height}.`);
+  notifyChange("edit");
 }
 
 /**
@@ -109,43 +162,535 @@ export function resizeGrid(newWidth, newHeight) {
  */
 export function clearGrid() {
   console.log("Clearing grid state.");
+  grid.fill(0);
+  decay.fill(0);
+  offBoardCells = NO_CELLS;
+  offBoardDyingCells = NO_DYING_CELLS;
+  // generationCount is not reset on clear
+  notifyChange("edit");
+}
+
+/**
+ * Clears the grid and places a pattern centered on it. Cells that do not fit are dropped.
+ * Resets the generation count, as the pattern is a new starting configuration.
+ * @param {Array<{x: number, y: number}>} cells - The live cells, relative to the pattern's top-left corner.
+ * @param {number} patternWidth - The width of the pattern's bounding box.
+ * @param {number} patternHeight - The height of the pattern's bounding box.
+ * @param {Array<{x: number, y: number, decay: number}>} [dying=[]] - The dying cells (Generations rules), likewise.
+ */
+export function placePattern(cells, patternWidth, patternHeight, dying = []) {
+  grid.fill(0);
+  decay.fill(0);
+  offBoardCells = NO_CELLS;
+  offBoardDyingCells = NO_DYING_CELLS;
+  const offsetX = Math.floor((width - patternWidth) / 2);
+  const offsetY = Math.floor((height - patternHeight) / 2);
+  cells.forEach(({ x, y }) => {
+    if (isInBounds(x + offsetX, y + offsetY)) {
+      grid[(y + offsetY) * width + x + offsetX] = 1;
+    }
+  });
+  dying.forEach(({ x, y, decay: decayState }) => {
+    if (isInBounds(x + offsetX, y + offsetY)) {
+      decay[(y + offsetY) * width + x + offsetX] = decayState;
+    }
+  });
+  generationCount = 0;
+  console.log(`Placed ${patternWidth}x${patternHeight} pattern on ${width}x${height} grid.`);
+  notifyChange("edit");
+}
+
+/**
+ * Replaces all cells, keeping the board size; e.g. for a shared link. Live cells start with age 1.
+ * On the infinite plane the board is moved to the given origin and cells beyond it are kept off the board;
+ * elsewhere they are dropped.
+ * @param {Array<{x: number, y: number}>} cells - The live cells, in board coordinates.
+ * @param {Array<{x: number, y: number, decay: number}>} dying - The dying cells (Generations rules), in board coordinates.
+ * @param {number} newOriginX - World x-coordinate of the board's left column (infinite plane only).
+ * @param {number} newOriginY - World y-coordinate of the board's top row (infinite plane only).
+ */
+export function loadCells(cells, dying, newOriginX, newOriginY) {
+  const worldX = isUnbounded ? newOriginX : 0;
+  const worldY = isUnbounded ? newOriginY : 0;
+  placeSparseCells(
+    {
+      xs: Int32Array.from(cells, ({ x }) => x + worldX),
+      ys: Int32Array.from(cells, ({ y }) => y + worldY),
+      ages: new Uint16Array(cells.length).fill(1),
+    },
+    {
+      xs: Int32Array.from(dying, ({ x }) => x + worldX),
+      ys: Int32Array.from(dying, ({ y }) => y + worldY),
+      decays: Uint8Array.from(dying, ({ decay: decayState }) => decayState),
+    },
+    worldX, worldY, width, height,
+  );
+  if (!isUnbounded && (offBoardCells.xs.length > 0 || offBoardDyingCells.xs.length > 0)) {
+    console.warn(`Dropping ${offBoardCells.xs.length} live cells beyond the board.`);
+    offBoardCells = NO_CELLS;
+    offBoardDyingCells = NO_DYING_CELLS;
+  }
+  notifyChange("edit");
+}
+
+/**
+ * Sets a board cell to an age, replacing a dying cell too. Remembers the edit while a step is being calculated.
+ * @param {number} index - The row-major index of the cell.
+ * @param {number} age - The new age (0 for dead, >0 for alive).
+ */
+function editCell(index, age) {
+  grid[index] = age;
+  decay[index] = 0;
+  if (pendingEdits) {
+    const x = index % width + originX;
+    const y = Math.floor(index / width) + originY;
+    pendingEdits.set(`${x},${y}`, { x, y, age });
+  }
+}
+
+/**
+ * Starts remembering edited cells. Call when the board is sent off to calculate the next generation: edits made
+ * until the result arrives are re-applied on top of it by updateGrid or updateGridSparse, so they are not lost.
+ */
+export function collectEdits() {
+  pendingEdits = new Map();
+}
+
+/**
+ * Stops remembering edited cells without re-applying them, e.g. when the calculated generation is discarded.
+ */
+export function dropCollectedEdits() {
+  pendingEdits = null;
+}
+
+/**
+ * Sets cells of a pattern alive at the given position, leaving all other cells as they are.
+ * Cells that fall outside the grid are dropped.
+ * @param {Array<{x: number, y: number}>} cells - The live cells, relative to the pattern's top-left corner.
+ * @param {number} originX - The x-coordinate of the pattern's top-left corner on the grid.
+ * @param {number} originY - The y-coordinate of the pattern's top-left corner on the grid.
+ * @returns {number} The number of cells that landed on the grid.
+ */
+export function stampCells(cells, originX, originY) {
+  let placed = 0;
+  cells.forEach(({ x, y }) => {
+    if (isInBounds(x + originX, y + originY)) {
+      editCell((y + originY) * width + x + originX, 1);
+      placed++;
+    }
+  });
+  notifyChange("edit");
+  return placed;
+}
+
+/**
+ * Sets many cells to the same age at once (e.g. a brush stroke or a shape), notifying listeners once.
+ * Cells outside the grid are skipped.
+ * @param {Array<{x: number, y: number}>} cells - The cells to set.
+ * @param {number} age - The new age (0 for dead, >0 for alive).
+ * @returns {number} The number of cells whose state changed.
+ */
+export function setCells(cells, age) {
+  let changed = 0;
+  cells.forEach(({ x, y }) => {
+    if (!isInBounds(x, y)) return;
+    const index = y * width + x;
+    if ((grid[index] > 0) !== (age > 0) || decay[index] > 0) changed++;
+    editCell(index, age);
+  });
+  if (changed > 0) notifyChange("edit");
+  return changed;
+}
+
+/**
+ * Flood-fills the area of the board connected to a cell (through its four neighbors) that is in the same state:
+ * a dead area becomes alive, a group of live cells dies. Dying cells count as dead.
+ * @param {number} x - The x-coordinate of the start cell.
+ * @param {number} y - The y-coordinate of the start cell.
+ * @returns {number} The number of cells changed.
+ */
+export function floodFill(x, y) {
+  if (!isInBounds(x, y)) return 0;
+  const fillAlive = grid[y * width + x] === 0;
+  const isTarget = (index) => (grid[index] === 0) === fillAlive;
+  const newAge = fillAlive ? 1 : 0;
+  const stack = [y * width + x];
+  let changed = 0;
+  // Cells change when they are pushed, so no cell is pushed twice
+  editCell(y * width + x, newAge);
+  while (stack.length > 0) {
+    const index = stack.pop();
+    changed++;
+    const cellX = index % width;
+    const neighbors = [];
+    if (cellX > 0) neighbors.push(index - 1);
+    if (cellX < width - 1) neighbors.push(index + 1);
+    if (index >= width) neighbors.push(index - width);
+    if (index < grid.length - width) neighbors.push(index + width);
+    neighbors.forEach((neighbor) => {
+      if (!isTarget(neighbor)) return;
+      editCell(neighbor, newAge);
+      stack.push(neighbor);
+    });
+  }
+  notifyChange("edit");
+  return changed;
+}
+
+/**
+ * Lists the live cells inside a rectangle of the board.
+ * @param {{x: number, y: number, width: number, height: number}} rect - The rectangle, within the board.
+ * @returns {Array<{x: number, y: number}>} The live cells, relative to the rectangle's top-left corner.
+ */
+export function getRegionCells(rect) {
+  const cells = [];
+  for (let y = 0; y < rect.height; y++) {
+    for (let x = 0; x < rect.width; x++) {
+      if (grid[(rect.y + y) * width + rect.x + x] > 0) cells.push({ x, y });
+    }
+  }
+  return cells;
+}
+
+/**
+ * Kills all live and dying cells inside a rectangle of the board, or everywhere outside it.
+ * Clearing outside also removes the cells beyond the board on the infinite plane.
+ * @param {{x: number, y: number, width: number, height: number}} rect - The rectangle, within the board.
+ * @param {boolean} [outside=false] - Whether to clear everything except the rectangle instead.
+ */
+export function clearRegion(rect, outside = false) {
   for (let y = 0; y < height; y++) {
+    const rowInside = y >= rect.y && y < rect.y + rect.height;
     for (let x = 0; x < width; x++) {
-      if (grid[y]?.[x]) {
-          grid[y][x] = { age: 0 };
+      const inside = rowInside && x >= rect.x && x < rect.x + rect.width;
+      if (inside !== outside) {
+        editCell(y * width + x, 0);
       }
     }
   }
-  // generationCount is not reset on clear
+  if (outside) {
+    offBoardCells = NO_CELLS;
+    offBoardDyingCells = NO_DYING_CELLS;
+  }
+  notifyChange("edit");
+}
+
+/**
+ * Replaces a rectangle of the board with a new random soup, leaving the rest of the board as it is.
+ * @param {{x: number, y: number, width: number, height: number}} rect - The rectangle, within the board.
+ * @param {object} [soupOptions={}] - Options for generateSoup (see soup.js), applied to the rectangle
+ *        as if it were the whole grid. A missing seed gets a fresh one.
+ */
+export function randomizeRegion(rect, soupOptions = {}) {
+  const seed = soupOptions.seed || generateSeed();
+  const soup = generateSoup(rect.width, rect.height, { ...soupOptions, seed });
+  for (let y = 0; y < rect.height; y++) {
+    for (let x = 0; x < rect.width; x++) {
+      editCell((rect.y + y) * width + rect.x + x, soup[y * rect.width + x]);
+    }
+  }
+  soupSeed = seed;
+  console.log(`Randomized ${rect.width}x${rect.height} region with seed "${seed}".`);
+  notifyChange("edit");
 }
 
 /**
  * Resets the grid to a new random state with current dimensions.
+ * @param {object} [soupOptions={}] - Options for the random soup (seed, density, symmetry, fill area).
  */
-export function resetGrid() {
+export function resetGrid(soupOptions = {}) {
     console.log("Resetting grid state.");
-    createGrid(width, height); // Re-create with current dimensions
+    createGrid(width, height, soupOptions); // Re-create with current dimensions
 }
 
 
 /**
  * Updates the grid state with the next generation's grid.
- * Increments the generation counter.
- * @param {Array<Array<{age: number}>>} nextGrid - The computed next grid state.
+ * Increments the generation counter and re-applies the cells edited while it was calculated (see collectEdits).
+ * @param {Uint16Array} nextGrid - The computed next grid state (row-major ages, same dimensions).
+ * @param {Uint8Array} nextDecay - The dying cells of the next generation (see decay).
+ * @returns {number | null} The number of edited cells re-applied, or null if the grid was calculated for another
+ *          board size and was not applied.
  */
-export function updateGrid(nextGrid) {
+export function updateGrid(nextGrid, nextDecay) {
+  if (nextGrid.length !== width * height || nextDecay.length !== width * height) {
+    console.error(`Ignoring a generation of ${nextGrid.length} cells for a ${width}x${height} board.`);
+    pendingEdits = null; // The edits are already on the current board
+    return null;
+  }
   grid = nextGrid;
+  decay = nextDecay;
+  const edits = pendingEdits ?? new Map();
+  pendingEdits = null;
+  edits.forEach(({ x, y, age }) => {
+    if (isInBounds(x - originX, y - originY)) {
+      grid[(y - originY) * width + x - originX] = age;
+      decay[(y - originY) * width + x - originX] = 0;
+    }
+  });
   generationCount++;
+  notifyChange("step");
+  return edits.size;
+}
+
+/**
+ * Switches between a fixed board and the infinite plane, where the board grows with the pattern.
+ * Leaving the infinite plane drops the cells beyond the board.
+ * @param {boolean} enabled - True for the infinite plane.
+ */
+export function setUnbounded(enabled) {
+  isUnbounded = enabled;
+  if (enabled) return;
+  originX = 0;
+  originY = 0;
+  if (offBoardCells.xs.length > 0 || offBoardDyingCells.xs.length > 0) {
+    console.warn(`Dropping ${offBoardCells.xs.length} live cells beyond the board.`);
+    offBoardCells = NO_CELLS;
+    offBoardDyingCells = NO_DYING_CELLS;
+    notifyChange("edit");
+  }
+}
+
+/**
+ * Lists every live cell in world coordinates: the board's cells and, on the infinite plane, those beyond it.
+ * @returns {{xs: Int32Array, ys: Int32Array, ages: Uint16Array}} Parallel arrays of coordinates and ages.
+ */
+export function getSparseCells() {
+  let count = offBoardCells.xs.length;
+  for (let i = 0; i < grid.length; i++) {
+    if (grid[i] > 0) count++;
+  }
+  const xs = new Int32Array(count);
+  const ys = new Int32Array(count);
+  const ages = new Uint16Array(count);
+  let n = 0;
+  for (let i = 0; i < grid.length; i++) {
+    if (grid[i] > 0) {
+      xs[n] = i % width + originX;
+      ys[n] = Math.floor(i / width) + originY;
+      ages[n] = grid[i];
+      n++;
+    }
+  }
+  xs.set(offBoardCells.xs, n);
+  ys.set(offBoardCells.ys, n);
+  ages.set(offBoardCells.ages, n);
+  return { xs, ys, ages };
+}
+
+/**
+ * Lists every dying cell (Generations rules) in world coordinates, on the board and beyond it.
+ * @returns {{xs: Int32Array, ys: Int32Array, decays: Uint8Array}} Parallel arrays of coordinates and decay states.
+ */
+export function getSparseDyingCells() {
+  let count = offBoardDyingCells.xs.length;
+  for (let i = 0; i < decay.length; i++) {
+    if (decay[i] > 0) count++;
+  }
+  const xs = new Int32Array(count);
+  const ys = new Int32Array(count);
+  const decays = new Uint8Array(count);
+  let n = 0;
+  for (let i = 0; i < decay.length; i++) {
+    if (decay[i] > 0) {
+      xs[n] = i % width + originX;
+      ys[n] = Math.floor(i / width) + originY;
+      decays[n] = decay[i];
+      n++;
+    }
+  }
+  xs.set(offBoardDyingCells.xs, n);
+  ys.set(offBoardDyingCells.ys, n);
+  decays.set(offBoardDyingCells.decays, n);
+  return { xs, ys, decays };
+}
+
+/**
+ * Rebuilds the board as a window onto the world: cells inside it go into the grid, the rest off the board.
+ * @param {{xs: Int32Array, ys: Int32Array, ages: Uint16Array}} cells - All live cells, in world coordinates.
+ * @param {{xs: Int32Array, ys: Int32Array, decays: Uint8Array}} dyingCells - All dying cells, in world coordinates.
+ * @param {number} newOriginX - World x-coordinate of the new board's left column.
+ * @param {number} newOriginY - World y-coordinate of the new board's top row.
+ * @param {number} newWidth - The new board width.
+ * @param {number} newHeight - The new board height.
+ */
+function placeSparseCells(cells, dyingCells, newOriginX, newOriginY, newWidth, newHeight) {
+  const { xs, ys, ages } = cells;
+  grid = new Uint16Array(newWidth * newHeight);
+  decay = new Uint8Array(newWidth * newHeight);
+  width = newWidth;
+  height = newHeight;
+  originX = newOriginX;
+  originY = newOriginY;
+  const offBoardIndices = [];
+  for (let i = 0; i < xs.length; i++) {
+    const x = xs[i] - originX;
+    const y = ys[i] - originY;
+    if (x >= 0 && x < width && y >= 0 && y < height) {
+      grid[y * width + x] = ages[i];
+    } else {
+      offBoardIndices.push(i);
+    }
+  }
+  offBoardCells = {
+    xs: Int32Array.from(offBoardIndices, (i) => xs[i]),
+    ys: Int32Array.from(offBoardIndices, (i) => ys[i]),
+    ages: Uint16Array.from(offBoardIndices, (i) => ages[i]),
+  };
+
+  const offBoardDyingIndices = [];
+  for (let i = 0; i < dyingCells.xs.length; i++) {
+    const x = dyingCells.xs[i] - originX;
+    const y = dyingCells.ys[i] - originY;
+    if (x >= 0 && x < width && y >= 0 && y < height) {
+      decay[y * width + x] = dyingCells.decays[i];
+    } else {
+      offBoardDyingIndices.push(i);
+    }
+  }
+  offBoardDyingCells = {
+    xs: Int32Array.from(offBoardDyingIndices, (i) => dyingCells.xs[i]),
+    ys: Int32Array.from(offBoardDyingIndices, (i) => dyingCells.ys[i]),
+    decays: Uint8Array.from(offBoardDyingIndices, (i) => dyingCells.decays[i]),
+  };
+}
+
+/**
+ * Works out how far the board should reach along one axis to keep a margin around the live cells.
+ * Grows by twice the margin at a time so the board does not have to grow every generation,
+ * and never beyond MAX_GRID_SIZE (the room left is shared by how much each side needs).
+ * @param {number} start - Current first world coordinate of the board.
+ * @param {number} size - Current board size.
+ * @param {number} liveMin - Smallest world coordinate of a live cell.
+ * @param {number} liveMax - Largest world coordinate of a live cell.
+ * @returns {{start: number, size: number}} The new range.
+ */
+function growRange(start, size, liveMin, liveMax) {
+  const end = start + size;
+  const wantStart = liveMin - UNBOUNDED_GROW_MARGIN < start ? liveMin - 2 * UNBOUNDED_GROW_MARGIN : start;
+  const wantEnd = liveMax + 1 + UNBOUNDED_GROW_MARGIN > end ? liveMax + 1 + 2 * UNBOUNDED_GROW_MARGIN : end;
+  if (wantEnd - wantStart <= MAX_GRID_SIZE) {
+    return { start: wantStart, size: wantEnd - wantStart };
+  }
+  const room = MAX_GRID_SIZE - size;
+  if (room <= 0) return { start, size };
+  const needBefore = start - wantStart;
+  const needAfter = wantEnd - end;
+  const before = Math.round(room * needBefore / (needBefore + needAfter));
+  return { start: start - before, size: size + room };
+}
+
+/**
+ * Replaces the cells of a generation by the cells edited while it was calculated.
+ * @param {{xs: Int32Array, ys: Int32Array, ages: Uint16Array}} cells - The live cells, in world coordinates.
+ * @param {{xs: Int32Array, ys: Int32Array, decays: Uint8Array}} dyingCells - The dying cells.
+ * @param {Map<string, {x: number, y: number, age: number}>} edits - The edited cells, keyed by "x,y".
+ * @returns {{cells: object, dyingCells: object}} New cell lists in the same form.
+ */
+function mergeSparseEdits(cells, dyingCells, edits) {
+  const keep = (xs, ys) => {
+    const indices = [];
+    for (let i = 0; i < xs.length; i++) {
+      if (!edits.has(`${xs[i]},${ys[i]}`)) indices.push(i);
+    }
+    return indices;
+  };
+  const liveIndices = keep(cells.xs, cells.ys);
+  const liveEdits = [...edits.values()].filter(({ age }) => age > 0);
+  const dyingIndices = keep(dyingCells.xs, dyingCells.ys);
+  return {
+    cells: {
+      xs: Int32Array.from([...liveIndices.map((i) => cells.xs[i]), ...liveEdits.map(({ x }) => x)]),
+      ys: Int32Array.from([...liveIndices.map((i) => cells.ys[i]), ...liveEdits.map(({ y }) => y)]),
+      ages: Uint16Array.from([...liveIndices.map((i) => cells.ages[i]), ...liveEdits.map(({ age }) => age)]),
+    },
+    dyingCells: {
+      xs: Int32Array.from(dyingIndices, (i) => dyingCells.xs[i]),
+      ys: Int32Array.from(dyingIndices, (i) => dyingCells.ys[i]),
+      decays: Uint8Array.from(dyingIndices, (i) => dyingCells.decays[i]),
+    },
+  };
+}
+
+/**
+ * Updates the infinite plane with the next generation's live cells, growing the board if they come near its edges.
+ * Advances the generation counter and re-applies the cells edited while it was calculated (see collectEdits).
+ * The board only grows for live cells; dying cells beyond it are kept off the board.
+ * @param {{xs: Int32Array, ys: Int32Array, ages: Uint16Array}} nextCells - All live cells of the next generation, in world coordinates.
+ * @param {{xs: Int32Array, ys: Int32Array, decays: Uint8Array}} nextDyingCells - All dying cells of the next generation (Generations rules).
+ * @param {number} [generations=1] - How many generations the cells are ahead (HashLife jumps several at once).
+ * @returns {number} The number of edited cells re-applied.
+ */
+export function updateGridSparse(nextCells, nextDyingCells, generations = 1) {
+  const edits = pendingEdits ?? new Map();
+  pendingEdits = null;
+  const { cells, dyingCells } = edits.size > 0 ?
+    mergeSparseEdits(nextCells, nextDyingCells, edits) : { cells: nextCells, dyingCells: nextDyingCells };
+  const { xs, ys } = cells;
+  let rangeX = { start: originX, size: width };
+  let rangeY = { start: originY, size: height };
+  if (xs.length > 0) {
+    let minX = xs[0], maxX = xs[0], minY = ys[0], maxY = ys[0];
+    for (let i = 1; i < xs.length; i++) {
+      if (xs[i] < minX) minX = xs[i];
+      if (xs[i] > maxX) maxX = xs[i];
+      if (ys[i] < minY) minY = ys[i];
+      if (ys[i] > maxY) maxY = ys[i];
+    }
+    rangeX = growRange(originX, width, minX, maxX);
+    rangeY = growRange(originY, height, minY, maxY);
+  }
+  placeSparseCells(cells, dyingCells, rangeX.start, rangeY.start, rangeX.size, rangeY.size);
+  generationCount += generations;
+  notifyChange("step");
+  return edits.size;
+}
+
+/**
+ * Checks whether the board is a window onto the infinite plane.
+ * @returns {boolean}
+ */
+export function getIsUnbounded() {
+  return isUnbounded;
+}
+
+/**
+ * Gets the world coordinates of the board's top-left cell. Always (0, 0) except on the infinite plane.
+ * @returns {{x: number, y: number}}
+ */
+export function getOrigin() {
+  return { x: originX, y: originY };
+}
+
+/**
+ * Gets the number of live cells beyond the board (infinite plane only).
+ * @returns {number}
+ */
+export function getOffBoardCount() {
+  return offBoardCells.xs.length;
+}
+
+/**
+ * Checks whether coordinates lie inside the grid.
+ * @param {number} x - The x-coordinate.
+ * @param {number} y - The y-coordinate.
+ * @returns {boolean} True if (x, y) is a valid cell.
+ */
+function isInBounds(x, y) {
+  return Number.isInteger(x) && Number.isInteger(y) && x >= 0 && x < width && y >= 0 && y < height;
 }
 
 /**
  * Gets the state of a specific cell.
  * @param {number} x - The x-coordinate.
  * @param {number} y - The y-coordinate.
- * @returns {{age: number} | undefined} The cell state object or undefined if out of bounds.
+ * @returns {{age: number} | undefined} A new cell state object or undefined if out of bounds.
  */
 export function getCellState(x, y) {
-  return grid[y]?.[x];
+  if (!isInBounds(x, y)) {
+    return undefined;
+  }
+  return { age: grid[y * width + x] };
 }
 
 /**
@@ -155,8 +700,9 @@ export function getCellState(x, y) {
  * @param {number} age - The new age for the cell (0 for dead, >0 for alive).
  */
 export function setCellState(x, y, age) {
-  if (grid[y]?.[x] !== undefined) {
-    grid[y][x] = { age: age };
+  if (isInBounds(x, y)) {
+    editCell(y * width + x, age); // Painting replaces a dying cell too
+    notifyChange("edit");
   } else {
     console.warn(`Attempted to set state for invalid cell coordinates: (${x}, ${y})`);
   }
@@ -187,30 +733,141 @@ export function getGenerationCount() {
 }
 
 /**
- * Gets the entire grid data structure.
+ * Gets the seed of the most recent random fill.
+ * @returns {string | null} The seed, or null if the grid was never randomized.
+ */
+export function getSoupSeed() {
+  return soupSeed;
+}
+
+/**
+ * Gets the entire grid data structure: cell ages stored row-major (index = y * width + x).
  * NOTE: Returns a direct reference for performance. Avoid direct modification outside this module.
- * @returns {Array<Array<{age: number}>>}
+ * @returns {Uint16Array}
  */
 export function getGrid() {
     return grid;
 }
 
+/**
+ * Gets the dying cells of Generations rules: row-major like the grid, 0 unless the cell is dying,
+ * otherwise how many generations ago it died.
+ * NOTE: Returns a direct reference for performance. Avoid direct modification outside this module.
+ * @returns {Uint8Array}
+ */
+export function getDecay() {
+  return decay;
+}
+
+/**
+ * Lists the coordinates of all live cells on the board, in row-major order.
+ * @param {boolean} [includeOffBoard=false] - Also list the cells beyond the board on the infinite plane
+ *        (in board coordinates, so they can be negative or past the width/height).
+ * @returns {Array<{x: number, y: number}>}
+ */
+export function getLiveCells(includeOffBoard = false) {
+  const cells = [];
+  for (let i = 0; i < grid.length; i++) {
+    if (grid[i] > 0) {
+      cells.push({ x: i % width, y: Math.floor(i / width) });
+    }
+  }
+  if (includeOffBoard) {
+    for (let i = 0; i < offBoardCells.xs.length; i++) {
+      cells.push({ x: offBoardCells.xs[i] - originX, y: offBoardCells.ys[i] - originY });
+    }
+  }
+  return cells;
+}
+
+/**
+ * Lists the coordinates and decay states of all dying cells on the board (Generations rules), in row-major order.
+ * @param {boolean} [includeOffBoard=false] - Also list the cells beyond the board on the infinite plane
+ *        (in board coordinates, so they can be negative or past the width/height).
+ * @returns {Array<{x: number, y: number, decay: number}>}
+ */
+export function getDyingCells(includeOffBoard = false) {
+  const cells = [];
+  for (let i = 0; i < decay.length; i++) {
+    if (decay[i] > 0) {
+      cells.push({ x: i % width, y: Math.floor(i / width), decay: decay[i] });
+    }
+  }
+  if (includeOffBoard) {
+    for (let i = 0; i < offBoardDyingCells.xs.length; i++) {
+      cells.push({
+        x: offBoardDyingCells.xs[i] - originX, y: offBoardDyingCells.ys[i] - originY, decay: offBoardDyingCells.decays[i],
+      });
+    }
+  }
+  return cells;
+}
+
+/**
+ * Finds the smallest rectangle containing all live cells.
+ * @returns {{minX: number, minY: number, maxX: number, maxY: number} | null} The inclusive bounds, or null if no cell is alive.
+ */
+export function getLiveBounds() {
+  let minX = width;
+  let minY = height;
+  let maxX = -1;
+  let maxY = -1;
+  for (let i = 0; i < grid.length; i++) {
+    if (grid[i] > 0) {
+      const x = i % width;
+      const y = Math.floor(i / width);
+      if (x < minX) minX = x;
+      if (x > maxX) maxX = x;
+      if (y < minY) minY = y;
+      maxY = y; // Rows are scanned in order
+    }
+  }
+  return maxX < 0 ? null : { minX, minY, maxX, maxY };
+}
+
+/**
+ * Captures a copy of the grid and its dying cells, its dimensions, the generation count and, on the infinite plane,
+ * its position and off-board cells.
+ * @returns {{grid: Uint16Array, decay: Uint8Array, width: number, height: number, generationCount: number, originX: number, originY: number, offBoardCells: {xs: Int32Array, ys: Int32Array, ages: Uint16Array}, offBoardDyingCells: {xs: Int32Array, ys: Int32Array, decays: Uint8Array}}}
+ */
+export function getSnapshot() {
+  return {
+    grid: grid.slice(), decay: decay.slice(), width, height, generationCount, originX, originY,
+    offBoardCells, offBoardDyingCells,
+  };
+}
+
+/**
+ * Restores the grid, its dimensions and the generation count from a snapshot.
+ * @param {object} snapshot - A snapshot from getSnapshot.
+ */
+export function restoreSnapshot(snapshot) {
+  grid = snapshot.grid.slice(); // Keep the snapshot itself unchanged so it can be restored again
+  decay = snapshot.decay ? snapshot.decay.slice() : new Uint8Array(grid.length);
+  width = snapshot.width;
+  height = snapshot.height;
+  generationCount = snapshot.generationCount;
+  // Position and off-board cells only mean something on the infinite plane
+  originX = isUnbounded ? snapshot.originX ?? 0 : 0;
+  originY = isUnbounded ? snapshot.originY ?? 0 : 0;
+  offBoardCells = isUnbounded ? snapshot.offBoardCells ?? NO_CELLS : NO_CELLS;
+  offBoardDyingCells = isUnbounded ? snapshot.offBoardDyingCells ?? NO_DYING_CELLS : NO_DYING_CELLS;
+  notifyChange("edit");
+}
+
 /**
  * Calculates statistics about the current grid state.
+ * aliveCount includes the cells beyond the board on the infinite plane; percentage is of the board only.
  * @returns {{aliveCount: number, totalCells: number, percentage: string}}
  */
 export function getAliveStats() {
-  let aliveCount = 0;
+  let boardAliveCount = 0;
   const totalCells = width * height;
-  if (totalCells > 0) {
-      for (let y = 0; y < height; y++) {
-          for (let x = 0; x < width; x++) {
-              if (grid[y]?.[x]?.age > 0) {
-                  aliveCount++;
-              }
-          }
+  for (let i = 0; i < totalCells; i++) {
+      if (grid[i] > 0) {
+          boardAliveCount++;
       }
   }
-  const percentage = totalCells > 0 ? ((aliveCount / totalCells) * 100).toFixed(1) : "0.0";
-  return { aliveCount, totalCells, percentage };
+  const percentage = totalCells > 0 ? ((boardAliveCount / totalCells) * 100).toFixed(1) : "0.0";
+  return { aliveCount: boardAliveCount + offBoardCells.xs.length, totalCells, percentage };
 }
\ No newline at end of file
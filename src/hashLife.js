@@ -0,0 +1,280 @@
+"use strict";
+
+// HashLife: the plane is a quadtree whose nodes are shared, so equal squares anywhere on the plane (and in
+// any generation) are the same node. Each node remembers its own future, so repeating structure is only ever
+// calculated once and a step can cover 2^k generations at the cost of a few.
+//
+// A node of level n is a 2^n x 2^n square made of four level n-1 quadrants (nw, ne, sw, se); level 0 is a single cell.
+
+const MAX_CACHED_NODES = 1000000; // The cache starts over when it grows beyond this between steps
+
+// Module-level state
+const DEAD_CELL = { id: 0, level: 0, population: 0 };
+const LIVE_CELL = { id: 1, level: 0, population: 1 };
+let nodeCache = new Map(); // "nwId,neId,swId,seId" -> node
+let emptyNodes = [DEAD_CELL]; // The empty node of each level
+let nextNodeId = 2;
+let cachedRuleKey = null; // The rule the cached futures were calculated with
+
+/**
+ * Forgets every node and every calculated future.
+ */
+function resetCache() {
+  nodeCache = new Map();
+  emptyNodes = [DEAD_CELL];
+  nextNodeId = 2;
+}
+
+/**
+ * Gets the shared node made of four quadrants, creating it the first time.
+ * @param {object} nw - Top-left quadrant.
+ * @param {object} ne - Top-right quadrant.
+ * @param {object} sw - Bottom-left quadrant.
+ * @param {object} se - Bottom-right quadrant.
+ * @returns {object} The node one level up.
+ */
+function join(nw, ne, sw, se) {
+  const key = `${nw.id},${ne.id},${sw.id},${se.id}`;
+  let node = nodeCache.get(key);
+  if (!node) {
+    node = {
+      id: nextNodeId++,
+      level: nw.level + 1,
+      population: nw.population + ne.population + sw.population + se.population,
+      nw, ne, sw, se,
+      futures: null, // Step exponent -> centered result node, filled in by advanceNode
+    };
+    nodeCache.set(key, node);
+  }
+  return node;
+}
+
+/**
+ * Gets the empty node of a level.
+ * @param {number} level
+ * @returns {object}
+ */
+function emptyNode(level) {
+  while (emptyNodes.length <= level) {
+    const smaller = emptyNodes[emptyNodes.length - 1];
+    emptyNodes.push(join(smaller, smaller, smaller, smaller));
+  }
+  return emptyNodes[level];
+}
+
+/**
+ * Wraps a node in empty space: the result is one level up, with the node in its center.
+ * @param {object} node - A node of level 1 or higher.
+ * @returns {object}
+ */
+function expand(node) {
+  const empty = emptyNode(node.level - 1);
+  return join(
+    join(empty, empty, empty, node.nw),
+    join(empty, empty, node.ne, empty),
+    join(empty, node.sw, empty, empty),
+    join(node.se, empty, empty, empty)
+  );
+}
+
+/**
+ * Checks whether all live cells of a node lie in its center half, so it can be advanced without losing any.
+ * @param {object} node - A node of level 2 or higher.
+ * @returns {boolean}
+ */
+function isPadded(node) {
+  return node.nw.se.population + node.ne.sw.population + node.sw.ne.population + node.se.nw.population ===
+    node.population;
+}
+
+/**
+ * Reads one cell of a node.
+ * @param {object} node - The node.
+ * @param {number} x - Column within the node.
+ * @param {number} y - Row within the node.
+ * @returns {number} 1 if alive, 0 if dead.
+ */
+function cellAt(node, x, y) {
+  while (node.level > 0) {
+    const half = 2 ** (node.level - 1);
+    if (y < half) {
+      node = x < half ? node.nw : node.ne;
+    } else {
+      node = x < half ? node.sw : node.se;
+      y -= half;
+    }
+    if (x >= half) x -= half;
+  }
+  return node.population;
+}
+
+/**
+ * Advances the center 2x2 cells of a 4x4 node by one generation, the smallest step HashLife builds on.
+ * Dead cells without live neighbors stay dead, as on the brute-force infinite plane, which refuses B0 rules.
+ * @param {object} node - A level 2 node.
+ * @param {{birth: boolean[], survival: boolean[]}} rule - Lookup tables indexed by live neighbor count (0-8).
+ * @returns {object} The level 1 node of the center one generation later.
+ */
+function advanceBase(node, rule) {
+  const next = [];
+  for (let y = 1; y <= 2; y++) {
+    for (let x = 1; x <= 2; x++) {
+      let neighbors = 0;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          if (dx !== 0 || dy !== 0) neighbors += cellAt(node, x + dx, y + dy);
+        }
+      }
+      const isAlive = cellAt(node, x, y) === 1;
+      const nextIsAlive = isAlive ? rule.survival[neighbors] : neighbors > 0 && rule.birth[neighbors];
+      next.push(nextIsAlive ? LIVE_CELL : DEAD_CELL);
+    }
+  }
+  return join(next[0], next[1], next[2], next[3]);
+}
+
+/**
+ * Calculates the center half of a node 2^stepExponent generations later. Results are remembered on the node.
+ * @param {object} node - A node of level 2 or higher.
+ * @param {number} stepExponent - Log2 of the number of generations; at most node.level - 2.
+ * @param {{birth: boolean[], survival: boolean[]}} rule - Lookup tables indexed by live neighbor count (0-8).
+ * @returns {object} A node one level down, covering the center of the given node.
+ */
+function advanceNode(node, stepExponent, rule) {
+  if (node.population === 0) return emptyNode(node.level - 1);
+  if (node.futures?.has(stepExponent)) return node.futures.get(stepExponent);
+
+  let result;
+  if (node.level === 2) {
+    result = advanceBase(node, rule);
+  } else {
+    const { nw, ne, sw, se } = node;
+    // Nine overlapping squares of half the size, each advanced by one step (or half of a full step)
+    const halfStep = Math.min(stepExponent, node.level - 3);
+    const squares = [
+      nw, join(nw.ne, ne.nw, nw.se, ne.sw), ne,
+      join(nw.sw, nw.se, sw.nw, sw.ne), join(nw.se, ne.sw, sw.ne, se.nw), join(ne.sw, ne.se, se.nw, se.ne),
+      sw, join(sw.ne, se.nw, sw.se, se.sw), se,
+    ].map((square) => advanceNode(square, halfStep, rule));
+    const [c00, c01, c02, c10, c11, c12, c20, c21, c22] = squares;
+    if (stepExponent < node.level - 2) {
+      // Already advanced far enough: just take the center of each group of four
+      result = join(
+        join(c00.se, c01.sw, c10.ne, c11.nw),
+        join(c01.se, c02.sw, c11.ne, c12.nw),
+        join(c10.se, c11.sw, c20.ne, c21.nw),
+        join(c11.se, c12.sw, c21.ne, c22.nw)
+      );
+    } else {
+      // Full step: advance each group of four by the second half
+      result = join(
+        advanceNode(join(c00, c01, c10, c11), halfStep, rule),
+        advanceNode(join(c01, c02, c11, c12), halfStep, rule),
+        advanceNode(join(c10, c11, c20, c21), halfStep, rule),
+        advanceNode(join(c11, c12, c21, c22), halfStep, rule)
+      );
+    }
+  }
+
+  if (!node.futures) node.futures = new Map();
+  node.futures.set(stepExponent, result);
+  return result;
+}
+
+/**
+ * Builds the node for a square of the plane from a list of live cells.
+ * @param {number} level - The level of the node.
+ * @param {number} left - World x-coordinate of the square's left column.
+ * @param {number} top - World y-coordinate of the square's top row.
+ * @param {number[]} indices - Indices of the cells (into xs/ys) that lie in the square.
+ * @param {Int32Array} xs - World x-coordinates of all cells.
+ * @param {Int32Array} ys - World y-coordinates of all cells.
+ * @returns {object}
+ */
+function buildNode(level, left, top, indices, xs, ys) {
+  if (indices.length === 0) return emptyNode(level);
+  if (level === 0) return LIVE_CELL;
+  const half = 2 ** (level - 1);
+  const quadrants = [[], [], [], []]; // nw, ne, sw, se
+  indices.forEach((i) => {
+    quadrants[(xs[i] >= left + half ? 1 : 0) + (ys[i] >= top + half ? 2 : 0)].push(i);
+  });
+  return join(
+    buildNode(level - 1, left, top, quadrants[0], xs, ys),
+    buildNode(level - 1, left + half, top, quadrants[1], xs, ys),
+    buildNode(level - 1, left, top + half, quadrants[2], xs, ys),
+    buildNode(level - 1, left + half, top + half, quadrants[3], xs, ys)
+  );
+}
+
+/**
+ * Lists the live cells of a node in world coordinates.
+ * @param {object} node - The node.
+ * @param {number} left - World x-coordinate of the node's left column.
+ * @param {number} top - World y-coordinate of the node's top row.
+ * @param {number[]} xs - Receives the x-coordinates.
+ * @param {number[]} ys - Receives the y-coordinates.
+ */
+function collectCells(node, left, top, xs, ys) {
+  if (node.population === 0) return;
+  if (node.level === 0) {
+    xs.push(left);
+    ys.push(top);
+    return;
+  }
+  const half = 2 ** (node.level - 1);
+  collectCells(node.nw, left, top, xs, ys);
+  collectCells(node.ne, left + half, top, xs, ys);
+  collectCells(node.sw, left, top + half, xs, ys);
+  collectCells(node.se, left + half, top + half, xs, ys);
+}
+
+/**
+ * Advances live cells on the infinite plane by 2^stepExponent generations.
+ * Calculated futures are kept between calls (for the same rule), which is what makes repeated jumps fast.
+ * @param {{xs: Int32Array, ys: Int32Array}} cells - The live cells, in world coordinates.
+ * @param {{birth: boolean[], survival: boolean[]}} rule - Lookup tables indexed by live neighbor count (0-8).
+ * @param {number} stepExponent - Log2 of the number of generations to advance.
+ * @returns {{xs: Int32Array, ys: Int32Array}} The live cells afterwards, in world coordinates.
+ */
+export function advance(cells, rule, stepExponent) {
+  const ruleKey = `${rule.birth}/${rule.survival}`;
+  if (ruleKey !== cachedRuleKey || nodeCache.size > MAX_CACHED_NODES) {
+    resetCache(); // Futures depend on the rule; a huge cache is cheaper to rebuild than to keep
+    cachedRuleKey = ruleKey;
+  }
+
+  const { xs, ys } = cells;
+  if (xs.length === 0) return { xs: new Int32Array(0), ys: new Int32Array(0) };
+  let minX = xs[0], maxX = xs[0], minY = ys[0], maxY = ys[0];
+  for (let i = 1; i < xs.length; i++) {
+    if (xs[i] < minX) minX = xs[i];
+    if (xs[i] > maxX) maxX = xs[i];
+    if (ys[i] < minY) minY = ys[i];
+    if (ys[i] > maxY) maxY = ys[i];
+  }
+
+  let level = 2;
+  while (2 ** level <= Math.max(maxX - minX, maxY - minY)) level++;
+  let root = buildNode(level, minX, minY, Array.from(xs.keys()), xs, ys);
+  let left = minX;
+  let top = minY;
+
+  // Grow until the step fits the level and the cells sit in the center half, then once more, so nothing
+  // can travel (at one cell per generation) beyond the center half that advanceNode returns
+  while (root.level < stepExponent + 2 || !isPadded(root)) {
+    left -= 2 ** (root.level - 1);
+    top -= 2 ** (root.level - 1);
+    root = expand(root);
+  }
+  left -= 2 ** (root.level - 1);
+  top -= 2 ** (root.level - 1);
+  root = expand(root);
+
+  const result = advanceNode(root, stepExponent, rule);
+  const quarter = 2 ** (root.level - 2);
+  const nextXs = [];
+  const nextYs = [];
+  collectCells(result, left + quarter, top + quarter, nextXs, nextYs);
+  return { xs: Int32Array.from(nextXs), ys: Int32Array.from(nextYs) };
+}
@@ -0,0 +1,108 @@
+"use strict";
+
+import { DEFAULT_HISTORY_DEPTH, MAX_HISTORY_BYTES } from './config.js';
+
+// Module-level state
+// Entries are { label: string, snapshot: object, bytes: number }, oldest first.
+const undoStack = [];
+const redoStack = [];
+let maxDepth = DEFAULT_HISTORY_DEPTH;
+
+// Callback invoked whenever the stacks change (to be set by uiController)
+let changeCallback = () => {};
+
+/**
+ * Sets a callback function to run whenever undo/redo availability may have changed.
+ * @param {Function} callback - The function to call. Expected signature: () => void
+ */
+export function setChangeCallback(callback) {
+  changeCallback = callback;
+}
+
+/**
+ * Drops the oldest undo entries until the stack fits both the depth and the memory budget.
+ */
+function trimUndoStack() {
+  let totalBytes = undoStack.reduce((sum, entry) => sum + entry.bytes, 0) +
+    redoStack.reduce((sum, entry) => sum + entry.bytes, 0);
+  while (undoStack.length > 0 && (undoStack.length > maxDepth || totalBytes > MAX_HISTORY_BYTES)) {
+    totalBytes -= undoStack.shift().bytes;
+  }
+}
+
+/**
+ * Records a state that can be returned to with undo. Clears the redo stack.
+ * @param {string} label - What is about to change (e.g. "paint", "step").
+ * @param {object} snapshot - The state before the change.
+ * @param {number} bytes - Approximate memory used by the snapshot.
+ */
+export function record(label, snapshot, bytes) {
+  redoStack.length = 0;
+  undoStack.push({ label, snapshot, bytes });
+  trimUndoStack();
+  changeCallback();
+}
+
+/**
+ * Takes the most recent entry off the undo stack. The current state moves to the redo stack.
+ * @param {object} currentSnapshot - The state being undone.
+ * @param {number} bytes - Approximate memory used by currentSnapshot.
+ * @returns {{label: string, snapshot: object} | null} The entry to restore, or null if there is nothing to undo.
+ */
+export function undo(currentSnapshot, bytes) {
+  const entry = undoStack.pop();
+  if (!entry) return null;
+  redoStack.push({ label: entry.label, snapshot: currentSnapshot, bytes });
+  changeCallback();
+  return entry;
+}
+
+/**
+ * Takes the most recent entry off the redo stack. The current state moves back to the undo stack.
+ * @param {object} currentSnapshot - The state being redone over.
+ * @param {number} bytes - Approximate memory used by currentSnapshot.
+ * @returns {{label: string, snapshot: object} | null} The entry to restore, or null if there is nothing to redo.
+ */
+export function redo(currentSnapshot, bytes) {
+  const entry = redoStack.pop();
+  if (!entry) return null;
+  undoStack.push({ label: entry.label, snapshot: currentSnapshot, bytes });
+  trimUndoStack();
+  changeCallback();
+  return entry;
+}
+
+/**
+ * Gets the label of the entry that undo would restore.
+ * @returns {string | null} The label, or null if there is nothing to undo.
+ */
+export function peekUndoLabel() {
+  return undoStack.length > 0 ? undoStack[undoStack.length - 1].label : null;
+}
+
+/**
+ * Gets the label of the entry that redo would restore.
+ * @returns {string | null} The label, or null if there is nothing to redo.
+ */
+export function peekRedoLabel() {
+  return redoStack.length > 0 ? redoStack[redoStack.length - 1].label : null;
+}
+
+/**
+ * Sets the maximum number of undo entries. Older entries are dropped if needed.
+ * @param {number} depth - The new maximum depth (at least 1).
+ */
+export function setMaxDepth(depth) {
+  maxDepth = Math.max(1, depth);
+  trimUndoStack();
+  changeCallback();
+  console.log(`History depth set to ${maxDepth}.`);
+}
+
+/**
+ * Gets the maximum number of undo entries.
+ * @returns {number}
+ */
+export function getMaxDepth() {
+  return maxDepth;
+}
@@ -5,7 +5,19 @@ import * as renderer from './renderer.js';
 import * as simulationController from './simulationController.js';
 import * as uiController from './uiController.js';
 import * as painter from './painter.js';
+import * as toolPalette from './toolPalette.js';
+import * as patternIO from './patternIO.js';
+import * as stampTool from './stampTool.js';
+import * as selectionTool from './selectionTool.js';
+import * as urlState from './urlState.js';
+import * as soupPanel from './soupPanel.js';
+import * as savePanel from './savePanel.js';
+import * as recordPanel from './recordPanel.js';
+import * as populationChart from './populationChart.js';
+import * as viewport from './viewport.js';
 import * as backgroundAnimation from './backgroundAnimation.js';
+import * as themeSelector from './themeSelector.js';
+import * as cellCursor from './cellCursor.js';
 
 /**
  * Initializes the entire application.
@@ -13,8 +25,13 @@ import * as backgroundAnimation from './backgroundAnimation.js';
 function initialize() {
   console.log("Initializing Game of Life (Modular)...");
 
-  // 1. Initialize state (grid dimensions, generation count)
-  gridState.initializeGrid(); // Uses defaults from config.js
+  // 0. Apply the saved color theme before anything is drawn
+  themeSelector.applySavedTheme();
+
+  // 1. Initialize state (grid dimensions, generation count), from a shared link if there is one
+  if (!urlState.applyStateFromHash()) {
+    gridState.initializeGrid(); // Uses defaults from config.js
+  }
 
   // 2. Initialize UI elements (set initial input values, button text, info displays)
   uiController.initializeUI();
@@ -25,6 +42,18 @@ function initialize() {
   // 4. Setup event listeners
   uiController.setupEventListeners(); // For buttons, inputs
   painter.setupPaintingListeners(); // For grid painting
+  toolPalette.setupToolPalette(); // For choosing the drawing tool and brush
+  patternIO.setupPatternIOListeners(); // For pattern import/export
+  stampTool.setupPatternLibrary(); // For stamping library patterns
+  selectionTool.setupSelectionTool(); // For selecting, copying and pasting regions
+  soupPanel.setupSoupPanel(); // For the Randomize button's options
+  savePanel.setupSavePanel(); // For save slots and session files
+  recordPanel.setupRecordPanel(); // For GIF/WebM recordings and PNG snapshots
+  populationChart.setupPopulationChart(); // For the population history chart
+  viewport.setupViewportListeners(); // For zooming and panning the grid
+  cellCursor.setupCellCursor(); // For toggling cells with the keyboard
+  urlState.setupUrlSync(); // Keep the URL hash in sync with the board
+  themeSelector.setupThemeSelector(); // For the color theme select
   // Window resize listener for grid appearance is handled within renderer.js setup potentially,
   // but let's add one here too for safety, specifically calling the renderer's update function.
   window.addEventListener('resize', renderer.updateGridAppearance);
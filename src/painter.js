@@ -2,153 +2,327 @@
 
 import * as gridState from './gridState.js';
 import * as renderer from './renderer.js';
+import * as simulationController from './simulationController.js';
+import {
+  DRAWING_TOOLS, DEFAULT_DRAWING_TOOL, MAX_BRUSH_SIZE, isValidDrawingTool,
+  linePoints, rectanglePoints, ellipsePoints, applyBrush,
+} from './drawingTools.js';
 
 // DOM Element Reference
 const gridContainer = document.getElementById("grid-container");
 
+const PEN_ERASER_BUTTON = 5; // PointerEvent.button of a pen's eraser end
+
 // Module-level state
+let drawingTool = DEFAULT_DRAWING_TOOL; // Tool used when no other tool has taken over (see DRAWING_TOOLS)
+let brushSize = 1; // Brush diameter in cells for freehand, eraser and shape outlines
+let fillShapes = false; // Whether rectangles and ellipses are drawn filled
 let isPainting = false; // Track if the user is currently painting cells
 let paintingState = false; // State being painted (true for alive, false for dead)
+let lastPaintCoords = null; // Cell painted last in the current stroke, to fill the gap to the next one
+let shapeStart = null; // First corner (or end) of the shape being drawn, or null
+let shapeEnd = null; // Opposite corner of the shape being drawn
+// Optional tool that takes over pointer input from painting, e.g. the pattern stamp.
+// Shape: { onPointerDown(coords), onPointerMove(coords | null), onPointerLeave(), onPointerUp?(), onDeactivate?() }
+let activeTool = null;
 
 /**
- * Gets the cell coordinates (x, y) under a PointerEvent or TouchEvent relative to the grid container.
- * @param {MouseEvent|TouchEvent} event - The pointer or touch event.
- * @returns {{x: number, y: number}|null} The cell coordinates {x, y} or null if outside the grid or cell size cannot be determined.
+ * Gets the cell coordinates (x, y) under a pointer event.
+ * @param {PointerEvent} event - The pointer event.
+ * @returns {{x: number, y: number}|null} The cell coordinates {x, y} or null if outside the grid.
  */
 function getCellCoordsFromEvent(event) {
-  if (!gridContainer) return null;
-
-  const rect = gridContainer.getBoundingClientRect();
-  let clientX, clientY;
+  // The renderer knows the current cell size and canvas position
+  return renderer.getCellAtClientPoint(event.clientX, event.clientY);
+}
 
-  if (event.touches && event.touches.length > 0) {
-    clientX = event.touches[0].clientX;
-    clientY = event.touches[0].clientY;
-  } else if (event.clientX !== undefined && event.clientY !== undefined) {
-    clientX = event.clientX;
-    clientY = event.clientY;
+/**
+ * Lists the cells of the shape being drawn, widened by the brush unless it is filled.
+ * @returns {Array<{x: number, y: number}>}
+ */
+function getShapeCells() {
+  let points;
+  if (drawingTool === "line") {
+    points = linePoints(shapeStart, shapeEnd);
+  } else if (drawingTool === "rectangle") {
+    points = rectanglePoints(shapeStart, shapeEnd, fillShapes);
   } else {
-    return null; // Invalid event type
+    points = ellipsePoints(shapeStart, shapeEnd, fillShapes);
   }
+  return fillShapes && drawingTool !== "line" ? points : applyBrush(points, brushSize);
+}
 
-  const xPos = clientX - rect.left;
-  const yPos = clientY - rect.top;
-
-  // Calculate cell size from computed style
-  const gridStyle = window.getComputedStyle(gridContainer);
-  const columnStyle = gridStyle.gridTemplateColumns;
-  const firstColumnSize = columnStyle.split(' ')[0];
-  const cellSize = parseFloat(firstColumnSize);
-
-  if (isNaN(cellSize) || cellSize <= 0) {
-    console.error("Could not determine cell size for painting.");
-    return null;
-  }
-
-  const x = Math.floor(xPos / cellSize);
-  const y = Math.floor(yPos / cellSize);
-
-  // Check bounds
-  const width = gridState.getWidth();
-  const height = gridState.getHeight();
-  if (x >= 0 && x < width && y >= 0 && y < height) {
-    return { x, y };
+/**
+ * Previews the shape being drawn, or the brush under the pointer, on the overlay.
+ * @param {{x: number, y: number} | null} coords - The cell under the pointer, or null when outside the grid.
+ */
+function updatePreview(coords) {
+  if (shapeStart) {
+    renderer.drawOverlay(getShapeCells());
+  } else if (coords && brushSize > 1 && DRAWING_TOOLS[drawingTool].usesBrush) {
+    renderer.drawOverlay(applyBrush([coords], brushSize));
   } else {
-    return null; // Outside grid cells
+    renderer.clearOverlay();
   }
 }
 
 /**
- * Handles the start of a painting action (mousedown or touchstart).
- * Toggles the initial cell and sets the painting state.
- * @param {MouseEvent|TouchEvent} event - The mousedown or touchstart event.
+ * Sets the cells the brush covers along a path to the painting state, and re-renders the grid.
+ * @param {Array<{x: number, y: number}>} points - Where the brush goes.
  */
-function handlePointerDown(event) {
-  // Prevent default scrolling/selection behavior, especially for touch
-  if (event.type === 'touchstart') {
-    event.preventDefault();
+function paintPoints(points) {
+  const changed = gridState.setCells(applyBrush(points, brushSize), paintingState ? 1 : 0);
+  if (changed > 0) {
+    renderer.renderGrid();
   }
+}
 
-  const coords = getCellCoordsFromEvent(event);
-  if (!coords) return; // Click was not on a valid cell
-
-  const { x, y } = coords;
-  const currentCellState = gridState.getCellState(x, y);
-
+/**
+ * Starts a freehand or eraser stroke as a new undo step. A freehand stroke starting on a live cell erases,
+ * so a click toggles the cell like before.
+ * @param {{x: number, y: number}} coords - The cell the stroke starts on.
+ * @param {boolean} erase - Whether to erase regardless of the tool (e.g. a pen's eraser end).
+ */
+function startStroke(coords, erase) {
+  const currentCellState = gridState.getCellState(coords.x, coords.y);
   if (!currentCellState) {
-      console.error("Invalid cell state on pointer down:", x, y);
-      return;
+    console.error("Invalid cell state on stroke start:", coords.x, coords.y);
+    return;
   }
+  const isErasing = erase || drawingTool === "eraser";
+  paintingState = !isErasing && currentCellState.age === 0;
+  simulationController.recordHistory(isErasing ? "erase" : "paint");
 
-  const currentIsAlive = currentCellState.age > 0;
-  const newAge = currentIsAlive ? 0 : 1; // Toggle age
-  const newIsAliveState = newAge > 0; // The boolean state corresponding to the new age
-
-  // Update the cell state via gridState module
-  gridState.setCellState(x, y, newAge);
-  console.log(`Painter Down: Toggled cell (${x}, ${y}) to age: ${newAge}`);
-
-  // Start painting
+  // Start painting; the whole stroke, until pointer up, is undone as one step
   isPainting = true;
-  paintingState = newIsAliveState; // Set painting state (boolean)
+  lastPaintCoords = coords;
+  paintPoints([coords]);
+}
 
-  // Re-render the grid immediately to show the toggle
+/**
+ * Draws the shape being previewed as live cells, as one undo step.
+ */
+function commitShape() {
+  const cells = getShapeCells();
+  simulationController.recordHistory(DRAWING_TOOLS[drawingTool].label.toLowerCase());
+  const changed = gridState.setCells(cells, 1);
+  console.log(`Painter: Drew ${drawingTool} with ${cells.length} cells (${changed} changed).`);
+  shapeStart = null;
+  shapeEnd = null;
+  renderer.clearOverlay();
   renderer.renderGrid();
 }
 
 /**
- * Handles the continuation of a painting action (mousemove or touchmove).
- * Sets the state of cells under the pointer to the current painting state.
- * @param {MouseEvent|TouchEvent} event - The mousemove or touchmove event.
+ * Flood-fills from a cell as one undo step.
+ * @param {{x: number, y: number}} coords - The cell.
  */
-function handlePointerMove(event) {
-  if (!isPainting) return;
+function fillFrom({ x, y }) {
+  simulationController.recordHistory("fill");
+  const changed = gridState.floodFill(x, y);
+  console.log(`Painter: Filled ${changed} cells from (${x}, ${y}).`);
+  renderer.renderGrid();
+}
 
-  // Prevent default scrolling/selection behavior
-   if (event.type === 'touchmove') {
-    event.preventDefault();
-  }
+/**
+ * Handles the start of a painting action: starts a stroke or shape, or fills, depending on the drawing tool.
+ * @param {PointerEvent} event - The pointerdown event.
+ */
+function handlePointerDown(event) {
+  // Only the first finger draws, and only with the main button (or a pen's eraser end)
+  if (!event.isPrimary || (event.button !== 0 && event.button !== PEN_ERASER_BUTTON)) return;
 
   const coords = getCellCoordsFromEvent(event);
-   if (!coords) return; // Pointer is outside the grid
-
-  const { x, y } = coords;
-  const currentCellState = gridState.getCellState(x, y);
+  if (!coords) return; // Click was not on a valid cell
 
-  if (!currentCellState) {
-      // Can happen if moving quickly outside grid bounds
-      return;
+  if (activeTool) {
+    activeTool.onPointerDown(coords);
+    return;
   }
 
-  const currentIsAlive = currentCellState.age > 0;
+  if (event.button === PEN_ERASER_BUTTON || drawingTool === "freehand" || drawingTool === "eraser") {
+    startStroke(coords, event.button === PEN_ERASER_BUTTON);
+  } else if (drawingTool === "fill") {
+    fillFrom(coords);
+  } else {
+    shapeStart = coords;
+    shapeEnd = coords;
+    updatePreview(coords);
+  }
+}
 
-  // Only update and re-render if the cell's state is different from the painting state
-  if (currentIsAlive !== paintingState) {
-    const newAge = paintingState ? 1 : 0; // Age based on boolean painting state
-    gridState.setCellState(x, y, newAge);
-    console.log(`Painter Move: Set cell (${x}, ${y}) to age: ${newAge}`);
+/**
+ * Handles the continuation of a painting action. Strokes paint every cell between the previous and
+ * the current pointer position, so fast strokes leave no gaps; shapes follow the pointer.
+ * @param {PointerEvent} event - The pointermove event.
+ */
+function handlePointerMove(event) {
+  if (!event.isPrimary) return;
+  const coords = getCellCoordsFromEvent(event); // null when outside the grid
+  if (activeTool) {
+    activeTool.onPointerMove(coords);
+    return;
+  }
 
-    // Re-render the grid to show the change
-    // Optimization: Could potentially debounce/throttle rendering here
-    renderer.renderGrid();
+  if (isPainting) {
+    if (!coords) {
+      lastPaintCoords = null; // Don't draw a line across the outside of the grid
+      return;
+    }
+    paintPoints(lastPaintCoords ? linePoints(lastPaintCoords, coords) : [coords]);
+    lastPaintCoords = coords;
+  } else if (shapeStart && coords) {
+    shapeEnd = coords;
   }
+  updatePreview(coords);
 }
 
 /**
- * Handles the end of a painting action (mouseup or touchend).
- * Stops the painting state.
- * @param {MouseEvent|TouchEvent} event - The mouseup or touchend event.
+ * Handles the end of a painting action: ends the stroke, or draws the shape.
+ * @param {PointerEvent} event - The pointerup event.
  */
 function handlePointerUp(event) {
+  if (!event.isPrimary) return;
+  if (activeTool && activeTool.onPointerUp) {
+    activeTool.onPointerUp();
+    return;
+  }
   if (isPainting) {
     console.log("Painter Up: Painting stopped.");
     isPainting = false;
+    lastPaintCoords = null;
     // No re-render needed here, last move event handled it.
+  } else if (shapeStart) {
+    commitShape();
+  }
+}
+
+/**
+ * Handles the browser taking the pointer away (e.g. a touch turning into a system gesture):
+ * ends the stroke and drops the shape being drawn.
+ */
+function handlePointerCancel() {
+  if (activeTool) {
+    if (activeTool.onPointerUp) activeTool.onPointerUp();
+    return;
+  }
+  isPainting = false;
+  lastPaintCoords = null;
+  shapeStart = null;
+  shapeEnd = null;
+  renderer.clearOverlay();
+}
+
+/**
+ * Handles the pointer leaving the grid container, so the active tool or brush can hide its preview.
+ */
+function handlePointerLeave() {
+  if (activeTool) {
+    activeTool.onPointerLeave();
+  } else if (!shapeStart) {
+    renderer.clearOverlay();
+  }
+}
+
+/**
+ * Points at a cell without a pointer (the keyboard cursor): moves the active tool's or shape's preview there.
+ * @param {{x: number, y: number} | null} coords - The cell, or null when the cursor is hidden.
+ */
+export function pointAtCell(coords) {
+  if (!activeTool) {
+    if (shapeStart && coords) shapeEnd = coords;
+    updatePreview(coords);
+    return;
+  }
+  if (coords) {
+    activeTool.onPointerMove(coords);
+  } else {
+    activeTool.onPointerLeave();
+  }
+}
+
+/**
+ * Presses a cell without a pointer (the keyboard cursor): the active tool acts on it, or the drawing tool is
+ * applied there. Shapes need two presses, one on each corner (or end).
+ * @param {{x: number, y: number}} coords - The cell.
+ */
+export function pressCell(coords) {
+  if (activeTool) {
+    activeTool.onPointerDown(coords);
+  } else if (drawingTool === "fill") {
+    fillFrom(coords);
+  } else if (!DRAWING_TOOLS[drawingTool].isShape) {
+    startStroke(coords, false);
+    isPainting = false; // A single dab, as there is no pointer up
+    lastPaintCoords = null;
+  } else if (shapeStart) {
+    shapeEnd = coords;
+    commitShape();
+  } else {
+    shapeStart = coords;
+    shapeEnd = coords;
+    updatePreview(coords);
   }
 }
 
 /**
- * Sets up event listeners for painting on the grid container.
+ * Hands pointer input on the grid to another tool, or back to painting.
+ * @param {{onPointerDown: Function, onPointerMove: Function, onPointerLeave: Function, onPointerUp?: Function, onDeactivate?: Function} | null} tool
+ *        The tool, or null to resume painting.
+ */
+export function setActiveTool(tool) {
+  if (activeTool && activeTool !== tool) {
+    activeTool.onPointerLeave(); // Let the previous tool clean up its preview
+    if (activeTool.onDeactivate) activeTool.onDeactivate(); // e.g. so its button no longer shows it as active
+  }
+  activeTool = tool;
+  isPainting = false;
+  shapeStart = null;
+  shapeEnd = null;
+}
+
+/**
+ * Chooses the tool used for painting, and hands pointer input back to it from any other tool.
+ * @param {string} name - A key of DRAWING_TOOLS.
+ * @returns {boolean} True if the tool was chosen; false if the name is not a drawing tool.
+ */
+export function setDrawingTool(name) {
+  if (!isValidDrawingTool(name)) {
+    console.warn(`Invalid drawing tool: ${name}. Keeping ${drawingTool}.`);
+    return false;
+  }
+  setActiveTool(null);
+  drawingTool = name;
+  renderer.clearOverlay();
+  return true;
+}
+
+/**
+ * Gets the tool used for painting.
+ * @returns {string} A key of DRAWING_TOOLS.
+ */
+export function getDrawingTool() {
+  return drawingTool;
+}
+
+/**
+ * Sets the brush diameter.
+ * @param {number} size - The diameter in cells, clamped to 1..MAX_BRUSH_SIZE.
+ */
+export function setBrushSize(size) {
+  brushSize = Math.max(1, Math.min(MAX_BRUSH_SIZE, Math.round(size) || 1));
+}
+
+/**
+ * Sets whether rectangles and ellipses are drawn filled or as outlines.
+ * @param {boolean} filled - True for filled shapes.
+ */
+export function setFillShapes(filled) {
+  fillShapes = filled;
+}
+
+/**
+ * Sets up pointer event listeners (mouse, touch and pen alike) for painting on the grid container.
  */
 export function setupPaintingListeners() {
     if (!gridContainer) {
@@ -157,15 +331,12 @@ export function setupPaintingListeners() {
     }
     console.log("Setting up painting listeners...");
 
-    gridContainer.addEventListener("mousedown", handlePointerDown);
-    gridContainer.addEventListener("mousemove", handlePointerMove);
+    gridContainer.addEventListener("pointerdown", handlePointerDown);
+    gridContainer.addEventListener("pointermove", handlePointerMove);
+    gridContainer.addEventListener("pointerleave", handlePointerLeave);
     // Listen on window to catch pointer up outside the grid
-    window.addEventListener("mouseup", handlePointerUp);
-
-    // Touch events
-    gridContainer.addEventListener("touchstart", handlePointerDown, { passive: false });
-    gridContainer.addEventListener("touchmove", handlePointerMove, { passive: false });
-    window.addEventListener("touchend", handlePointerUp);
+    window.addEventListener("pointerup", handlePointerUp);
+    window.addEventListener("pointercancel", handlePointerCancel);
 
     console.log("Painting listeners attached.");
-}
\ No newline at end of file
+}
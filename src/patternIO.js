@@ -0,0 +1,146 @@
+"use strict";
+
+import * as gridState from './gridState.js';
+import * as renderer from './renderer.js';
+import * as simulationController from './simulationController.js';
+import * as uiController from './uiController.js';
+import { PATTERN_FORMATS, parsePattern, formatPattern, createPatternFromCells } from './patternFormats.js';
+import { parseRule, formatRule } from './rules.js';
+import { MAX_GRID_SIZE } from './config.js';
+
+// DOM Elements
+const patternPanel = document.getElementById("patternPanel");
+const patternText = document.getElementById("patternText");
+const patternFormatSelect = document.getElementById("patternFormatSelect");
+const importPatternButton = document.getElementById("importPatternButton");
+const exportPatternButton = document.getElementById("exportPatternButton");
+const downloadPatternButton = document.getElementById("downloadPatternButton");
+const patternFileInput = document.getElementById("patternFileInput");
+const patternStatus = document.getElementById("patternStatus");
+
+/**
+ * Shows a status message below the pattern text area.
+ * @param {string} message - The message to show.
+ * @param {boolean} [isError=false] - Whether to style the message as an error.
+ */
+function showStatus(message, isError = false) {
+  if (!patternStatus) return;
+  patternStatus.textContent = message;
+  patternStatus.classList.toggle("error", isError);
+}
+
+/**
+ * Parses pattern text and loads it as the new board.
+ * @param {string} text - The pattern in any supported format (detected automatically).
+ */
+function importPatternText(text) {
+  let pattern;
+  try {
+    pattern = parsePattern(text); // RLE runs past the maximum grid size are refused before they are expanded
+  } catch (error) {
+    console.warn("Pattern import failed:", error.message);
+    showStatus(error.message, true);
+    return;
+  }
+
+  if (!simulationController.handleLoadPattern(pattern)) {
+    showStatus(`Pattern is ${pattern.width}x${pattern.height}, larger than the maximum grid size of ${MAX_GRID_SIZE}x${MAX_GRID_SIZE}.`, true);
+    return;
+  }
+  uiController.syncControls(); // Grid size and rule may have changed
+
+  const label = pattern.name ? `"${pattern.name}"` : "Pattern";
+  if (pattern.rule && !parseRule(pattern.rule)) {
+    showStatus(`${label} loaded, but its rule ${pattern.rule} is not supported. Kept ${simulationController.getRule()}.`, true);
+  } else if (pattern.rule && simulationController.getRule() !== formatRule(parseRule(pattern.rule))) {
+    showStatus(`${label} loaded, but its rule ${pattern.rule} cannot run on the infinite plane. Kept ${simulationController.getRule()}.`, true);
+  } else {
+    const dyingCount = pattern.dying?.length ?? 0;
+    showStatus(`${label} loaded: ${pattern.width}x${pattern.height}, ${pattern.cells.length} live cells` +
+      (dyingCount > 0 ? `, ${dyingCount} dying cells.` : "."));
+  }
+}
+
+/**
+ * Encodes the live cells of the current grid (including those beyond the board on the infinite plane)
+ * in the selected format, cropped to their bounding box. RLE also keeps the dying cells of Generations rules.
+ * @returns {string} The encoded pattern text.
+ */
+function getCurrentPatternText() {
+  const pattern = createPatternFromCells(gridState.getLiveCells(true), simulationController.getRule(),
+    gridState.getDyingCells(true));
+  return formatPattern(pattern, patternFormatSelect.value);
+}
+
+/**
+ * Handles the import button click.
+ */
+function handleImportClick() {
+  importPatternText(patternText.value);
+}
+
+/**
+ * Handles the export button click by writing the current grid into the text area.
+ */
+function handleExportClick() {
+  patternText.value = getCurrentPatternText();
+  showStatus(`Current grid exported as ${PATTERN_FORMATS[patternFormatSelect.value].label}.`);
+}
+
+/**
+ * Handles the download button click by saving the current grid as a file in the selected format.
+ */
+function handleDownloadClick() {
+  const blob = new Blob([getCurrentPatternText()], { type: "text/plain" });
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = `pattern.${PATTERN_FORMATS[patternFormatSelect.value].extension}`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Handles a file being chosen in the file input: shows its contents and imports it.
+ * @param {Event} event - The change event of the file input.
+ */
+function handleFileSelected(event) {
+  const file = event.target.files[0];
+  if (!file) return;
+  file.text()
+    .then((text) => {
+      patternText.value = text;
+      importPatternText(text);
+    })
+    .catch((error) => {
+      console.error("Could not read pattern file:", error);
+      showStatus(`Could not read ${file.name}.`, true);
+    });
+  patternFileInput.value = ""; // Allow choosing the same file again
+}
+
+/**
+ * Sets up event listeners for the pattern import/export panel.
+ */
+export function setupPatternIOListeners() {
+  if (!patternPanel || !patternText || !patternFormatSelect || !importPatternButton || !exportPatternButton || !downloadPatternButton || !patternFileInput) {
+    console.error("One or more pattern panel elements not found. Cannot attach listeners.");
+    return;
+  }
+  console.log("Setting up pattern import/export listeners...");
+
+  Object.entries(PATTERN_FORMATS).forEach(([format, { label }]) => {
+    const option = document.createElement("option");
+    option.value = format;
+    option.textContent = label;
+    patternFormatSelect.appendChild(option);
+  });
+
+  importPatternButton.addEventListener("click", handleImportClick);
+  exportPatternButton.addEventListener("click", handleExportClick);
+  downloadPatternButton.addEventListener("click", handleDownloadClick);
+  patternFileInput.addEventListener("change", handleFileSelected);
+  // Opening or closing the panel changes the space available to the grid
+  patternPanel.addEventListener("toggle", renderer.updateGridAppearance);
+
+  console.log("Pattern import/export listeners attached.");
+}
@@ -0,0 +1,67 @@
+"use strict";
+
+import { parseRLE } from './patternFormats.js';
+
+// Built-in patterns for the stamp tool, grouped by category. Sources: LifeWiki (RLE, rule B3/S23).
+export const PATTERN_LIBRARY = [
+  {
+    category: "Still lifes",
+    patterns: [
+      { name: "Block", rle: "x = 2, y = 2\n2o$2o!" },
+      { name: "Beehive", rle: "x = 4, y = 3\nb2o$o2bo$b2o!" },
+      { name: "Loaf", rle: "x = 4, y = 4\nb2o$o2bo$bobo$2bo!" },
+      { name: "Boat", rle: "x = 3, y = 3\n2o$obo$bo!" },
+      { name: "Tub", rle: "x = 3, y = 3\nbo$obo$bo!" },
+    ],
+  },
+  {
+    category: "Oscillators",
+    patterns: [
+      { name: "Blinker", rle: "x = 3, y = 1\n3o!" },
+      { name: "Toad", rle: "x = 4, y = 2\nb3o$3o!" },
+      { name: "Beacon", rle: "x = 4, y = 4\n2o$2o$2b2o$2b2o!" },
+      { name: "Pulsar", rle: "x = 13, y = 13\n2b3o3b3o2$o4bobo4bo$o4bobo4bo$o4bobo4bo$2b3o3b3o2$2b3o3b3o$o4bobo4bo$o4bobo4bo$o4bobo4bo2$2b3o3b3o!" },
+      { name: "Pentadecathlon", rle: "x = 10, y = 3\n2bo4bo$2ob4ob2o$2bo4bo!" },
+    ],
+  },
+  {
+    category: "Spaceships",
+    patterns: [
+      { name: "Glider", rle: "x = 3, y = 3\nbo$2bo$3o!" },
+      { name: "Lightweight spaceship", rle: "x = 5, y = 4\nbo2bo$o$o3bo$4o!" },
+      { name: "Middleweight spaceship", rle: "x = 6, y = 5\n3bo$bo3bo$o$o4bo$5o!" },
+      { name: "Heavyweight spaceship", rle: "x = 7, y = 5\n3b2o$bo4bo$o$o5bo$6o!" },
+    ],
+  },
+  {
+    category: "Guns",
+    patterns: [
+      { name: "Gosper glider gun", rle: "x = 36, y = 9\n24bo$22bobo$12b2o6b2o12b2o$11bo3bo4b2o12b2o$2o8bo5bo3b2o$2o8bo3bob2o4bobo$10bo5bo7bo$11bo3bo$12b2o!" },
+      { name: "Simkin glider gun", rle: "x = 33, y = 21\n2o5b2o$2o5b2o2$4b2o$4b2o5$22b2ob2o$21bo5bo$21bo6bo2b2o$21b3o3bo3b2o$26bo4$20b2o$20bo$21b3o$23bo!" },
+    ],
+  },
+  {
+    category: "Methuselahs",
+    patterns: [
+      { name: "R-pentomino", rle: "x = 3, y = 3\nb2o$2o$bo!" },
+      { name: "Diehard", rle: "x = 8, y = 3\n6bo$2o$bo3b3o!" },
+      { name: "Acorn", rle: "x = 7, y = 3\nbo$3bo$2o2b3o!" },
+    ],
+  },
+];
+
+/**
+ * Looks up a library pattern by name and parses it.
+ * @param {string} name - The pattern name as listed in PATTERN_LIBRARY.
+ * @returns {{width: number, height: number, cells: Array<{x: number, y: number}>, rule: string | null, name: string | null, comments: string[]} | null}
+ *          The parsed pattern, or null if there is no pattern with that name.
+ */
+export function getLibraryPattern(name) {
+  for (const { patterns } of PATTERN_LIBRARY) {
+    const entry = patterns.find((p) => p.name === name);
+    if (entry) {
+      return { ...parseRLE(entry.rle), name: entry.name };
+    }
+  }
+  return null;
+}
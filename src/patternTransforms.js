@@ -0,0 +1,40 @@
+"use strict";
+
+/**
+ * Rotates a pattern 90 degrees clockwise.
+ * @param {{width: number, height: number, cells: Array<{x: number, y: number}>}} pattern - The pattern to rotate.
+ * @returns {{width: number, height: number, cells: Array<{x: number, y: number}>}} A new pattern with width and height swapped.
+ */
+export function rotateClockwise(pattern) {
+  const { width, height, cells } = pattern;
+  return {
+    ...pattern,
+    width: height,
+    height: width,
+    cells: cells.map(({ x, y }) => ({ x: height - 1 - y, y: x })),
+  };
+}
+
+/**
+ * Mirrors a pattern left to right.
+ * @param {{width: number, height: number, cells: Array<{x: number, y: number}>}} pattern - The pattern to flip.
+ * @returns {{width: number, height: number, cells: Array<{x: number, y: number}>}} A new, mirrored pattern.
+ */
+export function flipHorizontal(pattern) {
+  return {
+    ...pattern,
+    cells: pattern.cells.map(({ x, y }) => ({ x: pattern.width - 1 - x, y })),
+  };
+}
+
+/**
+ * Mirrors a pattern top to bottom.
+ * @param {{width: number, height: number, cells: Array<{x: number, y: number}>}} pattern - The pattern to flip.
+ * @returns {{width: number, height: number, cells: Array<{x: number, y: number}>}} A new, mirrored pattern.
+ */
+export function flipVertical(pattern) {
+  return {
+    ...pattern,
+    cells: pattern.cells.map(({ x, y }) => ({ x, y: pattern.height - 1 - y })),
+  };
+}
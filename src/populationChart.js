@@ -0,0 +1,339 @@
+"use strict";
+
+import * as renderer from './renderer.js';
+
+// DOM Elements
+const chartPanel = document.getElementById("chartPanel");
+const chartCanvas = document.getElementById("populationChart");
+const chartCtx = chartCanvas ? chartCanvas.getContext("2d") : null;
+const chartZoomInButton = document.getElementById("chartZoomInButton");
+const chartZoomOutButton = document.getElementById("chartZoomOutButton");
+const chartShowAllButton = document.getElementById("chartShowAllButton");
+const chartCsvButton = document.getElementById("chartCsvButton");
+const chartRangeDisplay = document.getElementById("chartRange");
+
+const MIN_VISIBLE_POINTS = 10; // Zooming in stops here
+const ZOOM_FACTOR = 2; // Per zoom button click; the mouse wheel zooms in smaller steps
+const PADDING = 6; // Pixels around the plot area
+
+// Module-level state
+// One entry per generation, in increasing generation order
+const generations = [];
+const populations = [];
+const births = [];
+const deaths = [];
+let visiblePoints = null; // Number of generations shown, or null to show the whole history
+let viewEnd = null; // Index just past the last shown entry, or null to follow the latest generation
+let drawPending = false;
+let dragStartX = null; // Pointer x where a drag started, or null when not dragging
+let dragStartEnd = 0; // viewEnd when the drag started
+
+/**
+ * Records the stats of a generation. If the generation is not newer than the last recorded one
+ * (after undo, step back, clear or randomize), the later entries are dropped first.
+ * Unknown births and deaths (HashLife jumps) are kept as null and leave a gap in their lines.
+ * @param {{generation: number, population: number, born: number | null, died: number | null}} stats - The stats passed to the UI callback.
+ */
+export function recordStats(stats) {
+  if (!Number.isInteger(stats.generation)) return;
+  let length = generations.length;
+  while (length > 0 && generations[length - 1] >= stats.generation) {
+    length--;
+  }
+  generations.length = populations.length = births.length = deaths.length = length;
+  if (viewEnd !== null && viewEnd > length) {
+    viewEnd = null; // The entries being looked at are gone; go back to following the latest
+  }
+
+  generations.push(stats.generation);
+  populations.push(stats.population ?? 0);
+  births.push(stats.born ?? null);
+  deaths.push(stats.died ?? null);
+  scheduleDraw();
+}
+
+/**
+ * Gets the range of entries currently shown.
+ * @returns {{start: number, end: number}} Entry indices; end is exclusive.
+ */
+function getVisibleRange() {
+  const end = viewEnd ?? generations.length;
+  const count = visiblePoints === null ? end : Math.min(visiblePoints, end);
+  return { start: end - count, end };
+}
+
+/**
+ * Draws at the next animation frame, so a burst of generations is drawn once.
+ */
+function scheduleDraw() {
+  if (drawPending || !chartPanel || !chartPanel.open) return;
+  drawPending = true;
+  requestAnimationFrame(() => {
+    drawPending = false;
+    drawChart();
+  });
+}
+
+/**
+ * Reads the series colors from the CSS custom properties.
+ * @returns {{population: string, born: string, died: string, axis: string, text: string}}
+ */
+function readChartColors() {
+  const style = getComputedStyle(document.documentElement);
+  return {
+    population: style.getPropertyValue("--tron-cyan").trim() || "#00ffff",
+    born: style.getPropertyValue("--tron-newly-alive").trim() || "#ffffff",
+    died: style.getPropertyValue("--tron-chart-deaths").trim() || "#ff8c00",
+    axis: style.getPropertyValue("--tron-grid-line").trim() || "rgba(0, 255, 255, 0.1)",
+    text: style.getPropertyValue("--tron-text-darker").trim() || "#00aaaa",
+  };
+}
+
+/**
+ * Draws one series as a line. When there are more entries than pixels, each pixel column
+ * shows the minimum and maximum of its entries, so spikes stay visible. Null entries leave a gap.
+ * @param {Array<number | null>} values - The series.
+ * @param {number} start - First entry to draw.
+ * @param {number} end - Entry just past the last one to draw.
+ * @param {number} maxValue - Value drawn at the top of the plot.
+ * @param {string} color - Line color.
+ * @param {{left: number, top: number, width: number, height: number}} plot - The plot area in CSS pixels.
+ */
+function drawSeries(values, start, end, maxValue, color, plot) {
+  const count = end - start;
+  const toY = (value) => plot.top + plot.height - (value / maxValue) * plot.height;
+  chartCtx.strokeStyle = color;
+  chartCtx.lineWidth = 1.5;
+  chartCtx.beginPath();
+
+  if (count <= plot.width) {
+    let isPenDown = false;
+    for (let i = start; i < end; i++) {
+      if (values[i] === null) {
+        isPenDown = false;
+        continue;
+      }
+      const x = plot.left + (count > 1 ? ((i - start) / (count - 1)) * plot.width : plot.width);
+      if (isPenDown) chartCtx.lineTo(x, toY(values[i]));
+      else chartCtx.moveTo(x, toY(values[i]));
+      isPenDown = true;
+    }
+  } else {
+    let isPenDown = false;
+    for (let column = 0; column < plot.width; column++) {
+      const from = start + Math.floor((column / plot.width) * count);
+      const to = start + Math.floor(((column + 1) / plot.width) * count);
+      let min = Infinity;
+      let max = -Infinity;
+      for (let i = from; i < to; i++) {
+        if (values[i] === null) continue;
+        min = Math.min(min, values[i]);
+        max = Math.max(max, values[i]);
+      }
+      if (max < min) {
+        isPenDown = false; // Only null entries in this column
+        continue;
+      }
+      const x = plot.left + column + 0.5;
+      if (isPenDown) chartCtx.lineTo(x, toY(max));
+      else chartCtx.moveTo(x, toY(max));
+      chartCtx.lineTo(x, toY(min));
+      isPenDown = true;
+    }
+  }
+  chartCtx.stroke();
+}
+
+/**
+ * Gets the largest value of a series within a range.
+ * @param {Array<number | null>} values - The series.
+ * @param {number} start - First entry.
+ * @param {number} end - Entry just past the last one.
+ * @returns {number} The maximum, at least 1 so flat lines stay on the chart.
+ */
+function getMax(values, start, end) {
+  let max = 1;
+  for (let i = start; i < end; i++) {
+    if (values[i] > max) max = values[i];
+  }
+  return max;
+}
+
+/**
+ * Redraws the chart: population against the left scale, births and deaths against the right one.
+ */
+function drawChart() {
+  const width = chartCanvas.clientWidth;
+  const height = chartCanvas.clientHeight;
+  const dpr = window.devicePixelRatio || 1;
+  if (chartCanvas.width !== Math.round(width * dpr) || chartCanvas.height !== Math.round(height * dpr)) {
+    chartCanvas.width = Math.round(width * dpr);
+    chartCanvas.height = Math.round(height * dpr);
+  }
+  chartCtx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  chartCtx.clearRect(0, 0, width, height);
+
+  const colors = readChartColors();
+  const plot = { left: PADDING, top: PADDING + 12, width: Math.max(1, Math.floor(width - 2 * PADDING)), height: height - 2 * PADDING - 12 };
+  chartCtx.strokeStyle = colors.axis;
+  chartCtx.lineWidth = 1;
+  chartCtx.strokeRect(plot.left, plot.top, plot.width, plot.height);
+
+  const { start, end } = getVisibleRange();
+  if (end - start === 0) {
+    chartRangeDisplay.textContent = "No generations yet";
+    return;
+  }
+  const maxPopulation = getMax(populations, start, end);
+  const maxChange = Math.max(getMax(births, start, end), getMax(deaths, start, end));
+  drawSeries(births, start, end, maxChange, colors.born, plot);
+  drawSeries(deaths, start, end, maxChange, colors.died, plot);
+  drawSeries(populations, start, end, maxPopulation, colors.population, plot);
+
+  chartCtx.fillStyle = colors.text;
+  chartCtx.font = "11px sans-serif";
+  chartCtx.textBaseline = "top";
+  chartCtx.textAlign = "left";
+  chartCtx.fillText(`max ${maxPopulation}`, plot.left, PADDING - 2);
+  chartCtx.textAlign = "right";
+  chartCtx.fillText(`max ${maxChange} / gen`, plot.left + plot.width, PADDING - 2);
+
+  const follow = viewEnd === null ? " (following)" : "";
+  chartRangeDisplay.textContent = `Generations ${generations[start]}–${generations[end - 1]}${follow}`;
+}
+
+/**
+ * Zooms the chart in or out, keeping a given entry at the same place.
+ * @param {number} factor - Greater than 1 to zoom out, less than 1 to zoom in.
+ * @param {number} [anchor=1] - Position (0 = left edge, 1 = right edge) to keep in place.
+ */
+function zoom(factor, anchor = 1) {
+  const { start, end } = getVisibleRange();
+  const count = end - start;
+  const newCount = Math.max(MIN_VISIBLE_POINTS, Math.round(count * factor));
+  if (newCount >= generations.length) {
+    showAll();
+    return;
+  }
+  const anchorIndex = start + anchor * count;
+  const newEnd = Math.round(anchorIndex + (1 - anchor) * newCount);
+  visiblePoints = newCount;
+  setViewEnd(newEnd);
+}
+
+/**
+ * Moves the visible range so it ends at the given entry. Ending at the latest entry follows new generations.
+ * @param {number} end - Index just past the last entry to show.
+ */
+function setViewEnd(end) {
+  const minEnd = Math.min(generations.length, visiblePoints ?? generations.length);
+  const clamped = Math.max(minEnd, Math.min(generations.length, end));
+  viewEnd = clamped >= generations.length ? null : clamped;
+  scheduleDraw();
+}
+
+/**
+ * Shows the whole history and follows new generations.
+ */
+function showAll() {
+  visiblePoints = null;
+  viewEnd = null;
+  scheduleDraw();
+}
+
+/**
+ * Handles the mouse wheel over the chart: zooms around the pointer, or scrolls with Shift held.
+ * @param {WheelEvent} event - The wheel event.
+ */
+function handleWheel(event) {
+  event.preventDefault();
+  const { start, end } = getVisibleRange();
+  if (event.shiftKey) {
+    const step = Math.max(1, Math.round((end - start) / 10));
+    setViewEnd(end + Math.sign(event.deltaY || event.deltaX) * step);
+    return;
+  }
+  const rect = chartCanvas.getBoundingClientRect();
+  const anchor = Math.min(1, Math.max(0, (event.clientX - rect.left - PADDING) / (rect.width - 2 * PADDING)));
+  zoom(event.deltaY > 0 ? 1.25 : 0.8, anchor);
+}
+
+/**
+ * Starts dragging the chart to scroll through the history.
+ * @param {PointerEvent} event - The pointerdown event.
+ */
+function handlePointerDown(event) {
+  dragStartX = event.clientX;
+  dragStartEnd = getVisibleRange().end;
+  chartCanvas.setPointerCapture(event.pointerId);
+}
+
+/**
+ * Scrolls the chart while dragging.
+ * @param {PointerEvent} event - The pointermove event.
+ */
+function handlePointerMove(event) {
+  if (dragStartX === null) return;
+  const { start, end } = getVisibleRange();
+  const entriesPerPixel = (end - start) / Math.max(1, chartCanvas.clientWidth - 2 * PADDING);
+  setViewEnd(Math.round(dragStartEnd - (event.clientX - dragStartX) * entriesPerPixel));
+}
+
+/**
+ * Ends dragging the chart.
+ */
+function handlePointerUp() {
+  dragStartX = null;
+}
+
+/**
+ * Downloads the recorded series as a CSV file.
+ */
+function handleCsvClick() {
+  const lines = ["generation,population,born,died"];
+  for (let i = 0; i < generations.length; i++) {
+    lines.push(`${generations[i]},${populations[i]},${births[i] ?? ""},${deaths[i] ?? ""}`); // Empty when unknown
+  }
+  const blob = new Blob([lines.join("\n") + "\n"], { type: "text/csv" });
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = "population.csv";
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Redraws the chart with the colors of the CSS custom properties, e.g. after a theme change.
+ */
+export function refreshColors() {
+  scheduleDraw(); // The colors are read on every draw
+}
+
+/**
+ * Sets up the population chart panel and its event listeners.
+ */
+export function setupPopulationChart() {
+  if (!chartPanel || !chartCtx || !chartZoomInButton || !chartZoomOutButton || !chartShowAllButton || !chartCsvButton || !chartRangeDisplay) {
+    console.error("Population chart elements not found. Cannot set up the chart.");
+    return;
+  }
+  console.log("Setting up population chart...");
+
+  chartZoomInButton.addEventListener("click", () => zoom(1 / ZOOM_FACTOR));
+  chartZoomOutButton.addEventListener("click", () => zoom(ZOOM_FACTOR));
+  chartShowAllButton.addEventListener("click", showAll);
+  chartCsvButton.addEventListener("click", handleCsvClick);
+  chartCanvas.addEventListener("wheel", handleWheel, { passive: false });
+  chartCanvas.addEventListener("pointerdown", handlePointerDown);
+  chartCanvas.addEventListener("pointermove", handlePointerMove);
+  chartCanvas.addEventListener("pointerup", handlePointerUp);
+  chartCanvas.addEventListener("pointercancel", handlePointerUp);
+  window.addEventListener("resize", scheduleDraw);
+  chartPanel.addEventListener("toggle", () => {
+    // Opening or closing the panel changes the space available to the grid
+    renderer.updateGridAppearance();
+    scheduleDraw();
+  });
+
+  console.log("Population chart set up.");
+}
@@ -0,0 +1,40 @@
+"use strict";
+
+/**
+ * Hashes a seed string to a 32-bit unsigned integer (FNV-1a).
+ * @param {string} seed - Any text; the same text always gives the same number.
+ * @returns {number} The 32-bit hash.
+ */
+export function hashSeed(seed) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < seed.length; i++) {
+    hash ^= seed.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32).
+ * Unlike Math.random, the sequence is the same in every browser for the same seed.
+ * @param {string} seed - The seed text.
+ * @returns {() => number} A function returning the next number in [0, 1).
+ */
+export function createRandom(seed) {
+  let state = hashSeed(String(seed));
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Generates a fresh seed for when the user did not pick one.
+ * @returns {string} A short random seed (8 base-36 characters).
+ */
+export function generateSeed() {
+  return Math.floor(Math.random() * 36 ** 8).toString(36).padStart(8, "0");
+}
@@ -0,0 +1,317 @@
+"use strict";
+
+import * as gridState from './gridState.js';
+import * as renderer from './renderer.js';
+import * as simulationController from './simulationController.js';
+import * as uiController from './uiController.js';
+import { gifHeader, gifFrame, GIF_TRAILER } from './gifEncoder.js';
+
+const MAX_FRAMES = 1000; // Most frames one recording may have
+const MAX_FRAME_SIZE = 1024; // Longest side of an exported image in pixels; the cell size shrinks to fit
+
+// Supported animation formats, keyed by the name used in the UI
+const RECORD_FORMATS = {
+  gif: { label: "Animated GIF", extension: "gif" },
+  webm: { label: "WebM video", extension: "webm" },
+};
+
+// DOM Elements
+const recordPanel = document.getElementById("recordPanel");
+const recordStartInput = document.getElementById("recordStartInput");
+const recordEndInput = document.getElementById("recordEndInput");
+const recordFpsInput = document.getElementById("recordFpsInput");
+const recordScaleInput = document.getElementById("recordScaleInput");
+const recordFormatSelect = document.getElementById("recordFormatSelect");
+const recordCounterCheckbox = document.getElementById("recordCounterCheckbox");
+const recordButton = document.getElementById("recordButton");
+const cancelRecordButton = document.getElementById("cancelRecordButton");
+const pngButton = document.getElementById("pngButton");
+const recordStatus = document.getElementById("recordStatus");
+
+// Module-level state
+// The recording in progress, or null. Shape: { format, start, end, fps, showCounter, area, scale, canvas, ctx,
+// frameCount, timeoutId, gifParts (GIF), mediaRecorder and track (WebM) }
+let recording = null;
+
+/**
+ * Shows a status message below the recording controls.
+ * @param {string} message - The message to show.
+ * @param {boolean} [isError=false] - Whether to style the message as an error.
+ */
+function showStatus(message, isError = false) {
+  if (!recordStatus) return;
+  recordStatus.textContent = message;
+  recordStatus.classList.toggle("error", isError);
+}
+
+/**
+ * Checks whether the browser can record WebM videos from a canvas.
+ * @returns {boolean}
+ */
+function canRecordWebm() {
+  return typeof MediaRecorder !== "undefined" && MediaRecorder.isTypeSupported("video/webm") &&
+    typeof HTMLCanvasElement.prototype.captureStream === "function";
+}
+
+/**
+ * Reads an integer from a number input, clamped to its min/max.
+ * @param {HTMLInputElement} input - The input to read.
+ * @param {number} fallback - The value to use if the input is empty or invalid.
+ * @returns {number}
+ */
+function readInteger(input, fallback) {
+  const value = parseInt(input.value, 10);
+  if (isNaN(value)) return fallback;
+  const min = parseInt(input.min, 10);
+  const max = parseInt(input.max, 10);
+  return Math.min(isNaN(max) ? Infinity : max, Math.max(isNaN(min) ? -Infinity : min, value));
+}
+
+/**
+ * Gets the whole board as an area of the plane, which exported images show.
+ * @returns {{left: number, top: number, width: number, height: number}} The area in world coordinates.
+ */
+function getBoardArea() {
+  const origin = gridState.getOrigin();
+  return { left: origin.x, top: origin.y, width: gridState.getWidth(), height: gridState.getHeight() };
+}
+
+/**
+ * Creates a canvas for images of an area, with the cell size reduced if the image would exceed MAX_FRAME_SIZE.
+ * @param {{width: number, height: number}} area - The area to show.
+ * @returns {{canvas: HTMLCanvasElement, ctx: CanvasRenderingContext2D, scale: number}} The canvas and the cell size in pixels.
+ */
+function createFrameCanvas(area) {
+  const requestedScale = readInteger(recordScaleInput, 4);
+  const scale = Math.max(1, Math.min(requestedScale, Math.floor(MAX_FRAME_SIZE / Math.max(area.width, area.height))));
+  const canvas = document.createElement("canvas");
+  canvas.width = area.width * scale;
+  canvas.height = area.height * scale;
+  return { canvas, ctx: canvas.getContext("2d"), scale };
+}
+
+/**
+ * Draws the board onto an image canvas, with the generation in the top-left corner if requested.
+ * @param {CanvasRenderingContext2D} frameCtx - The image canvas context.
+ * @param {number} scale - The cell size in pixels.
+ * @param {{left: number, top: number, width: number, height: number}} area - The area to draw, in world coordinates.
+ * @param {boolean} showCounter - Whether to draw the generation counter.
+ */
+function drawImage(frameCtx, scale, area, showCounter) {
+  renderer.drawFrame(frameCtx, scale, area);
+  if (!showCounter) return;
+
+  const rootStyle = window.getComputedStyle(document.documentElement);
+  const fontSize = Math.max(12, Math.round(frameCtx.canvas.height / 24));
+  const text = `Gen ${gridState.getGenerationCount()}`;
+  frameCtx.font = `${fontSize}px Consolas, "Courier New", monospace`;
+  frameCtx.textBaseline = "top";
+  const padding = Math.round(fontSize / 4);
+  frameCtx.fillStyle = rootStyle.getPropertyValue("--tron-bg-secondary").trim() || "rgba(0, 0, 0, 0.6)";
+  frameCtx.fillRect(0, 0, frameCtx.measureText(text).width + 2 * padding, fontSize + 2 * padding);
+  frameCtx.fillStyle = rootStyle.getPropertyValue("--tron-text").trim() || "#00ffff";
+  frameCtx.fillText(text, padding, padding);
+}
+
+/**
+ * Saves a blob as a file.
+ * @param {Blob} blob - The file contents.
+ * @param {string} fileName - The suggested file name.
+ */
+function downloadBlob(blob, fileName) {
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Enables the controls that fit the current recording state.
+ */
+function updateButtons() {
+  recordButton.disabled = recording !== null;
+  cancelRecordButton.disabled = recording === null;
+}
+
+/**
+ * Adds the current board as a frame of the recording.
+ */
+function captureFrame() {
+  const { canvas, ctx, scale, area } = recording;
+  drawImage(ctx, scale, area, recording.showCounter);
+  if (recording.format === "gif") {
+    const pixels = ctx.getImageData(0, 0, canvas.width, canvas.height).data;
+    recording.gifParts.push(gifFrame(pixels, canvas.width, canvas.height, Math.round(100 / recording.fps)));
+  } else {
+    recording.track.requestFrame(); // The stream only takes a frame when asked, so pacing is up to us
+  }
+  recording.frameCount++;
+}
+
+/**
+ * Handles a new generation while recording: captures it if it is in the range, then finishes or asks for the next.
+ * Generations before the range are stepped through as fast as possible; WebM frames are paced in real time.
+ */
+function continueRecording() {
+  clearTimeout(recording.timeoutId);
+  const generation = gridState.getGenerationCount();
+  if (generation >= recording.start) {
+    captureFrame();
+    showStatus(`Recording frame ${recording.frameCount} (generation ${generation} of ${recording.end})...`);
+  }
+  if (generation >= recording.end) {
+    finishRecording();
+    return;
+  }
+  if (simulationController.getIsRunning()) return; // The running simulation brings the next generation
+  const delay = recording.format === "webm" && generation >= recording.start ? 1000 / recording.fps : 0;
+  recording.timeoutId = setTimeout(simulationController.runStep, delay);
+}
+
+/**
+ * Ends the recording and downloads the animation.
+ */
+function finishRecording() {
+  const { format, start, end, frameCount, fps } = recording;
+  const fileName = `life-${start}-${end}.${RECORD_FORMATS[format].extension}`;
+  if (format === "gif") {
+    downloadBlob(new Blob([...recording.gifParts, GIF_TRAILER], { type: "image/gif" }), fileName);
+  } else {
+    const { mediaRecorder } = recording;
+    const chunks = [];
+    mediaRecorder.ondataavailable = (event) => chunks.push(event.data);
+    mediaRecorder.onstop = () => downloadBlob(new Blob(chunks, { type: "video/webm" }), fileName);
+    setTimeout(() => mediaRecorder.stop(), 1000 / fps); // Let the last frame show for its full time
+  }
+  recording = null;
+  updateButtons();
+  showStatus(`Recorded ${frameCount} frames as ${RECORD_FORMATS[format].label}.`);
+}
+
+/**
+ * Handles the record button click: checks the options, then steps through the range capturing frames.
+ */
+function handleRecordClick() {
+  if (recording) return;
+  const currentGeneration = gridState.getGenerationCount();
+  const start = readInteger(recordStartInput, currentGeneration);
+  const end = readInteger(recordEndInput, start + 100);
+  const fps = readInteger(recordFpsInput, 10);
+  const format = recordFormatSelect.value;
+
+  if (start < currentGeneration) {
+    showStatus(`Generation ${start} has already passed (now ${currentGeneration}). Undo, or load an earlier board.`, true);
+    return;
+  }
+  if (end <= start) {
+    showStatus("The last generation must come after the first.", true);
+    return;
+  }
+  if (end - start + 1 > MAX_FRAMES) {
+    showStatus(`Recordings are limited to ${MAX_FRAMES} frames: record at most generations ${start} to ${start + MAX_FRAMES - 1}.`, true);
+    return;
+  }
+  if (format === "webm" && !canRecordWebm()) {
+    showStatus("This browser cannot record WebM videos. Choose GIF instead.", true);
+    return;
+  }
+
+  simulationController.pauseGame();
+  uiController.syncControls(); // Start/Pause button
+  const area = getBoardArea(); // Fixed for the recording, even if the infinite plane's board grows
+  const { canvas, ctx, scale } = createFrameCanvas(area);
+  recording = {
+    format, start, end, fps, area, scale, canvas, ctx,
+    showCounter: recordCounterCheckbox.checked,
+    frameCount: 0,
+    timeoutId: null,
+  };
+  if (format === "gif") {
+    recording.gifParts = [gifHeader(canvas.width, canvas.height)];
+  } else {
+    const stream = canvas.captureStream(0);
+    recording.track = stream.getVideoTracks()[0];
+    recording.mediaRecorder = new MediaRecorder(stream, { mimeType: "video/webm" });
+    recording.mediaRecorder.start();
+  }
+  updateButtons();
+  showStatus(`Recording generations ${start} to ${end}...`);
+  continueRecording();
+}
+
+/**
+ * Handles the cancel button click: stops recording without saving anything.
+ */
+function handleCancelClick() {
+  if (!recording) return;
+  clearTimeout(recording.timeoutId);
+  if (recording.mediaRecorder) {
+    recording.mediaRecorder.stop(); // No onstop handler: the video is dropped
+  }
+  recording = null;
+  updateButtons();
+  showStatus("Recording cancelled.");
+}
+
+/**
+ * Handles the PNG button click by saving the current generation as an image.
+ */
+function handlePngClick() {
+  const area = getBoardArea();
+  const { canvas, ctx, scale } = createFrameCanvas(area);
+  drawImage(ctx, scale, area, recordCounterCheckbox.checked);
+  canvas.toBlob((blob) => {
+    if (!blob) {
+      showStatus("Could not create the image.", true);
+      return;
+    }
+    downloadBlob(blob, `generation-${gridState.getGenerationCount()}.png`);
+  }, "image/png");
+}
+
+/**
+ * Fills the range inputs with the next 100 generations when they would otherwise point to the past.
+ */
+function suggestRange() {
+  if (recording) return;
+  const currentGeneration = gridState.getGenerationCount();
+  if (readInteger(recordStartInput, -1) < currentGeneration) {
+    recordStartInput.value = currentGeneration;
+    recordEndInput.value = currentGeneration + 100;
+  }
+}
+
+/**
+ * Sets up the recording panel and its event listeners.
+ */
+export function setupRecordPanel() {
+  if (!recordPanel || !recordStartInput || !recordEndInput || !recordFpsInput || !recordScaleInput || !recordFormatSelect || !recordCounterCheckbox || !recordButton || !cancelRecordButton || !pngButton) {
+    console.error("One or more recording panel elements not found. Cannot set up recording.");
+    return;
+  }
+  console.log("Setting up recording panel...");
+
+  Object.entries(RECORD_FORMATS).forEach(([format, { label }]) => {
+    const option = document.createElement("option");
+    option.value = format;
+    option.textContent = label;
+    option.disabled = format === "webm" && !canRecordWebm();
+    recordFormatSelect.appendChild(option);
+  });
+  suggestRange();
+
+  gridState.addChangeListener((kind) => {
+    if (recording && kind === "step") continueRecording();
+  });
+  recordButton.addEventListener("click", handleRecordClick);
+  cancelRecordButton.addEventListener("click", handleCancelClick);
+  pngButton.addEventListener("click", handlePngClick);
+  recordPanel.addEventListener("toggle", () => {
+    suggestRange();
+    renderer.updateGridAppearance(); // Opening or closing the panel changes the space available to the grid
+  });
+  updateButtons();
+
+  console.log("Recording panel set up.");
+}
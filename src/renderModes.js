@@ -0,0 +1,64 @@
+"use strict";
+
+/**
+ * Ways to color the cells, keyed by the name used in the render mode select.
+ * - classic: live cells in one color, newly born cells highlighted.
+ * - age: live cells colored by age, from young to old on a logarithmic scale.
+ * - heat: every cell colored by how many steps it has been alive since the last clear, randomize or load.
+ * - trail: like classic, but cells that just died leave a trail that fades out.
+ */
+export const RENDER_MODES = {
+  classic: { label: "Classic" },
+  age: { label: "Age" },
+  heat: { label: "Heat map" },
+  trail: { label: "Ghost trails" },
+};
+
+export const DEFAULT_RENDER_MODE = "classic";
+
+/**
+ * Checks whether a render mode name is supported.
+ * @param {string} name - The render mode name.
+ * @returns {boolean} True if the name is a key of RENDER_MODES.
+ */
+export function isValidRenderMode(name) {
+  return Object.prototype.hasOwnProperty.call(RENDER_MODES, name);
+}
+
+/**
+ * Parses a CSS color in hex (#rgb, #rrggbb) or rgb()/rgba() notation.
+ * @param {string} text - The color.
+ * @returns {{r: number, g: number, b: number} | null} The color channels (0-255), or null if the notation is not supported.
+ */
+function parseColor(text) {
+  const hex = text.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+  if (hex) {
+    const digits = hex[1].length === 3 ? hex[1].replace(/./g, "$&$&") : hex[1];
+    const value = parseInt(digits, 16);
+    return { r: value >> 16, g: (value >> 8) & 0xff, b: value & 0xff };
+  }
+  const rgb = text.match(/^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/i);
+  if (rgb) {
+    return { r: Number(rgb[1]), g: Number(rgb[2]), b: Number(rgb[3]) };
+  }
+  return null;
+}
+
+/**
+ * Builds a color ramp that blends evenly through the given colors.
+ * @param {string[]} stops - Two or more CSS colors; unsupported notations are treated as cyan.
+ * @param {number} count - The number of colors in the ramp.
+ * @returns {string[]} The ramp as rgb() colors, from the first stop to the last.
+ */
+export function buildRamp(stops, count) {
+  const parsed = stops.map((stop) => parseColor(stop) ?? { r: 0, g: 255, b: 255 });
+  return Array.from({ length: count }, (_, i) => {
+    const position = count > 1 ? (i / (count - 1)) * (parsed.length - 1) : 0;
+    const index = Math.min(Math.floor(position), parsed.length - 2);
+    const t = position - index;
+    const from = parsed[index];
+    const to = parsed[index + 1];
+    const channel = (name) => Math.round(from[name] + (to[name] - from[name]) * t);
+    return `rgb(${channel("r")}, ${channel("g")}, ${channel("b")})`;
+  });
+}
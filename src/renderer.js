@@ -1,39 +1,214 @@
 "use strict";
 
 import * as gridState from './gridState.js';
+import * as cellActivity from './cellActivity.js';
+import { DEFAULT_RENDER_MODE, isValidRenderMode, buildRamp } from './renderModes.js';
 
 // DOM Element References (Consider passing these in during initialization for better decoupling)
 const gridContainer = document.getElementById("grid-container");
+const gridCanvas = document.getElementById("gridCanvas");
+const overlayCanvas = document.getElementById("overlayCanvas");
+const minimapCanvas = document.getElementById("minimapCanvas");
 const mainContainer = document.querySelector(".container");
 const titleElement = document.querySelector(".container h1");
 const controlsElement = document.querySelector(".controls");
 const infoElement = document.querySelector(".info");
+const panelElements = document.querySelectorAll(".panel");
 const bodyElement = document.body;
 
+const ctx = gridCanvas ? gridCanvas.getContext("2d") : null;
+const overlayCtx = overlayCanvas ? overlayCanvas.getContext("2d") : null;
+const minimapCtx = minimapCanvas ? minimapCanvas.getContext("2d") : null;
+
+// Visual states a cell can be drawn in
+const CELL_DEAD = 0;
+const CELL_LIVE = 1;
+const CELL_NEWLY_ALIVE = 2;
+const CELL_DYING = 3; // First of DECAY_SHADES states for dying cells, brightest first
+const DECAY_SHADES = 16; // Steps in which dying cells (Generations rules) fade out
+const DECAY_MAX_ALPHA = 0.6; // Opacity of a cell that just started dying, like the head of a light cycle trail
+const RAMP_SHADES = 16; // Colors in the age and heat ramps
+const CELL_AGE = CELL_DYING + DECAY_SHADES; // First of RAMP_SHADES states for live cells by age, youngest first
+const CELL_HEAT = CELL_AGE + RAMP_SHADES; // First of RAMP_SHADES states for dead cells by heat, coldest first
+const CELL_HEAT_LIVE = CELL_HEAT + RAMP_SHADES; // Same for live cells
+const CELL_UNKNOWN = 255; // Forces a redraw of the cell
+
+// Cell sizes (CSS pixels) the zoom steps through. Whole pixels keep cells crisp.
+const ZOOM_LEVELS = [1, 2, 3, 4, 6, 8, 12, 16, 24, 32, 48, 64];
+const MINIMAP_SIZE = 140; // Longest side of the minimap in CSS pixels
+const FIT_MARGIN = 2; // Empty cells kept around a pattern when fitting the view to it
+
+// Module-level state
+let cellSize = 1; // Size of one cell in CSS pixels
+let renderedWidth = 0; // Grid dimensions the canvas was last laid out for
+let renderedHeight = 0;
+let renderedOrigin = { x: 0, y: 0 }; // World position of the board the canvas was last laid out for
+let renderedStates = new Uint8Array(0); // Visual state last drawn for each cell (row-major)
+let colors = null; // Palette read from the CSS custom properties
+let stateCount = 2; // Cell states of the current rule; more than 2 for Generations rules
+let renderMode = DEFAULT_RENDER_MODE; // How cells are colored (see renderModes.js)
+let overlayCells = []; // Cells currently previewed on the overlay canvas
+let cursorCell = null; // Cell outlined by the keyboard cursor, or null while the grid is not focused
+let selectionRect = null; // Rectangle outlined by the selection tool, or null when nothing is selected
+// Viewport: the canvas shows the part of the grid starting scrollX/scrollY CSS pixels from its top-left corner
+let scrollX = 0;
+let scrollY = 0;
+let viewWidth = 0; // Visible part of the grid in CSS pixels (the canvas size)
+let viewHeight = 0;
+let availableWidth = 1; // Space the window leaves for the grid, in CSS pixels
+let availableHeight = 1;
+let isFitMode = true; // True while the cell size follows the window so the whole grid fits
+let minimapDrawPending = false;
+
 /**
- * Calculates and applies the optimal cell size based on available container space.
- * Updates grid container styles and individual cell dimensions.
+ * Reads the cell palette from the CSS custom properties so the canvas matches style.css.
+ * @returns {{live: string, newlyAlive: string, decay: string, highlight: string, gridLine: string, ghost: string, ageRamp: string[], heatRamp: string[]}} The palette.
  */
-export function updateGridAppearance() {
-  const width = gridState.getWidth();
-  const height = gridState.getHeight();
+function readColors() {
+  const rootStyle = window.getComputedStyle(document.documentElement);
+  const read = (name, fallback) => rootStyle.getPropertyValue(name).trim() || fallback;
+  const live = read("--tron-cyan", "#00ffff");
+  return {
+    live,
+    newlyAlive: read("--tron-newly-alive", "#ffffff"),
+    decay: read("--tron-decay", "#00ffff"),
+    highlight: read("--tron-cell-highlight", "rgba(255, 255, 255, 0.5)"),
+    gridLine: read("--tron-grid-line", "rgba(0, 255, 255, 0.1)"),
+    ghost: read("--tron-ghost", "rgba(255, 255, 255, 0.45)"),
+    ageRamp: buildRamp([live, read("--tron-age-old", "#ff9900")], RAMP_SHADES),
+    heatRamp: buildRamp([read("--tron-heat-cold", "#0a2a6a"), live, read("--tron-heat-hot", "#ff9900")], RAMP_SHADES),
+  };
+}
 
-  if (!gridContainer || !mainContainer || width <= 0 || height <= 0) {
-    console.warn("Cannot update grid appearance: Missing elements or invalid grid dimensions.");
-    return;
+/**
+ * Picks the heat ramp shade of a cell, relative to the hottest cell on the board.
+ * @param {number} index - Row-major cell index.
+ * @returns {number} 0 (coldest) to RAMP_SHADES - 1 (hottest).
+ */
+function getHeatShade(index) {
+  const maxHeat = cellActivity.getMaxHeat();
+  return maxHeat > 0 ? Math.min(RAMP_SHADES - 1, Math.floor((cellActivity.getHeat(index) / maxHeat) * RAMP_SHADES)) : 0;
+}
+
+/**
+ * Determines the visual state of a cell from its age, decay state and the render mode.
+ * @param {number} index - Row-major cell index, for the heat and trail lookups.
+ * @param {number} age - The cell age (0 for dead or dying).
+ * @param {number} decayState - How many generations ago a dying cell died (0 if not dying).
+ * @returns {number} One of the CELL_* visual states, or a ramp start (CELL_DYING, CELL_AGE, ...) plus a shade offset.
+ */
+function getVisualState(index, age, decayState) {
+  if (age > 0) {
+    if (renderMode === "age") {
+      return CELL_AGE + Math.min(RAMP_SHADES - 1, Math.floor(Math.log2(age))); // One shade per doubling
+    }
+    if (renderMode === "heat") {
+      return CELL_HEAT_LIVE + getHeatShade(index);
+    }
+    return age === 1 ? CELL_NEWLY_ALIVE : CELL_LIVE;
   }
+  if (decayState > 0 && stateCount > 2) {
+    // Spread the dying states over the shades: just died is brightest, about to be dead is faintest
+    const remaining = Math.max(0, (stateCount - 1 - decayState) / (stateCount - 2));
+    return CELL_DYING + DECAY_SHADES - Math.max(1, Math.ceil(remaining * DECAY_SHADES));
+  }
+  if (renderMode === "heat" && cellActivity.getHeat(index) > 0) {
+    return CELL_HEAT + getHeatShade(index);
+  }
+  if (renderMode === "trail") {
+    const stepsSinceDeath = cellActivity.getTrail(index);
+    if (stepsSinceDeath > 0) {
+      // Ghost trails fade like dying cells
+      return CELL_DYING + Math.floor(((stepsSinceDeath - 1) * DECAY_SHADES) / cellActivity.TRAIL_LENGTH);
+    }
+  }
+  return CELL_DEAD;
+}
+
+/**
+ * Checks whether a visual state belongs to a live cell.
+ * @param {number} visualState - A visual state from getVisualState.
+ * @returns {boolean}
+ */
+function isLiveVisualState(visualState) {
+  return visualState === CELL_LIVE || visualState === CELL_NEWLY_ALIVE ||
+    (visualState >= CELL_AGE && visualState < CELL_HEAT) || (visualState >= CELL_HEAT_LIVE && visualState !== CELL_UNKNOWN);
+}
+
+/**
+ * Draws a single cell onto the canvas, replacing whatever was drawn there before.
+ * Dead cells are left transparent so the container background shows through; the
+ * outer glow of live cells comes from the CSS drop-shadow filter on the canvas.
+ * @param {number} x - The x-coordinate of the cell.
+ * @param {number} y - The y-coordinate of the cell.
+ * @param {number} visualState - One of the CELL_* visual states.
+ */
+function drawCell(x, y, visualState) {
+  const left = x * cellSize - scrollX;
+  const top = y * cellSize - scrollY;
+  ctx.clearRect(left, top, cellSize, cellSize);
+  paintCell(ctx, left, top, cellSize, visualState);
+}
+
+/**
+ * Paints a cell in its visual state onto a cleared (or background-filled) square of a canvas.
+ * @param {CanvasRenderingContext2D} target - The canvas context to paint on.
+ * @param {number} left - Left edge of the cell in CSS pixels.
+ * @param {number} top - Top edge of the cell in CSS pixels.
+ * @param {number} size - The cell size in CSS pixels.
+ * @param {number} visualState - One of the CELL_* visual states.
+ */
+function paintCell(target, left, top, size, visualState) {
+  if (visualState === CELL_LIVE) {
+    target.fillStyle = colors.live;
+    target.fillRect(left, top, size, size);
+  } else if (visualState === CELL_NEWLY_ALIVE) {
+    target.fillStyle = colors.newlyAlive; // Bright white for the first frame
+    target.fillRect(left, top, size, size);
+  } else if (visualState >= CELL_HEAT_LIVE) {
+    target.fillStyle = colors.heatRamp[visualState - CELL_HEAT_LIVE];
+    target.fillRect(left, top, size, size);
+  } else if (visualState >= CELL_HEAT) {
+    target.fillStyle = colors.heatRamp[visualState - CELL_HEAT];
+    target.fillRect(left, top, size, size);
+  } else if (visualState >= CELL_AGE) {
+    target.fillStyle = colors.ageRamp[visualState - CELL_AGE];
+    target.fillRect(left, top, size, size);
+  } else if (visualState >= CELL_DYING) {
+    const shade = DECAY_SHADES - (visualState - CELL_DYING); // DECAY_SHADES is brightest, 1 faintest
+    target.globalAlpha = DECAY_MAX_ALPHA * shade / DECAY_SHADES;
+    target.fillStyle = colors.decay;
+    target.fillRect(left, top, size, size);
+    target.globalAlpha = 1;
+  }
+
+  // Grid lines and inner highlight only make sense when cells are big enough to show them
+  if (size >= 4) {
+    target.lineWidth = 1;
+    if (isLiveVisualState(visualState)) {
+      target.strokeStyle = colors.highlight; // Inner highlight
+      target.strokeRect(left + 1.5, top + 1.5, size - 3, size - 3);
+    }
+    target.strokeStyle = colors.gridLine; // Faint grid lines
+    target.strokeRect(left + 0.5, top + 0.5, size - 1, size - 1);
+  }
+}
+
+/**
+ * Measures the space the window leaves for the grid, below the title, controls, info and panels.
+ * @returns {boolean} False if required elements are missing.
+ */
+function measureAvailableSpace() {
+  if (!gridContainer || !mainContainer) return false;
 
   // Get container dimensions and padding
   const containerStyle = window.getComputedStyle(mainContainer);
   const containerPaddingX = parseFloat(containerStyle.paddingLeft) + parseFloat(containerStyle.paddingRight);
   const containerPaddingY = parseFloat(containerStyle.paddingTop) + parseFloat(containerStyle.paddingBottom);
 
-  // Get available space within the container
-  const availableWidth = mainContainer.clientWidth - containerPaddingX;
-
   // Calculate available height by subtracting heights of other elements
   let nonGridElementsHeight = 0;
-  [titleElement, controlsElement, infoElement].forEach(el => {
+  [titleElement, controlsElement, infoElement, ...panelElements].forEach(el => {
     if (el) {
       const style = window.getComputedStyle(el);
       nonGridElementsHeight += el.offsetHeight + parseFloat(style.marginTop) + parseFloat(style.marginBottom);
@@ -47,81 +222,468 @@ export function updateGridAppearance() {
   const bodyPaddingY = parseFloat(bodyStyle.paddingTop) + parseFloat(bodyStyle.paddingBottom);
   const totalPaddingY = bodyPaddingY + containerPaddingY;
 
-  const availableHeight = window.innerHeight - totalPaddingY - nonGridElementsHeight;
+  availableWidth = Math.max(1, Math.floor(mainContainer.clientWidth - containerPaddingX));
+  availableHeight = Math.max(1, Math.floor(window.innerHeight - totalPaddingY - nonGridElementsHeight));
+  return true;
+}
+
+/**
+ * Keeps the scroll position inside the grid.
+ */
+function clampScroll() {
+  const width = gridState.getWidth();
+  const height = gridState.getHeight();
+  scrollX = Math.round(Math.max(0, Math.min(scrollX, width * cellSize - viewWidth)));
+  scrollY = Math.round(Math.max(0, Math.min(scrollY, height * cellSize - viewHeight)));
+}
 
-  // Calculate max cell size
-  const maxCellWidth = Math.floor(availableWidth / width);
-  const maxCellHeight = Math.floor(availableHeight / height);
+/**
+ * Sizes the canvases for the current cell size and available space, then redraws everything.
+ */
+function applyView() {
+  const width = gridState.getWidth();
+  const height = gridState.getHeight();
 
-  // Use the smaller dimension
-  let cellSize = Math.max(1, Math.min(maxCellWidth, maxCellHeight)); // Ensure at least 1px
+  // The canvas shrinks to the grid when it fits, and shows a scrollable part of it when it does not
+  viewWidth = Math.min(availableWidth, width * cellSize);
+  viewHeight = Math.min(availableHeight, height * cellSize);
+  clampScroll();
 
-  // Apply the calculated size to the grid container
-  gridContainer.style.gridTemplateColumns = `repeat(${width}, ${cellSize}px)`;
-  gridContainer.style.gridTemplateRows = `repeat(${height}, ${cellSize}px)`;
+  // Size the canvas backing store for the device pixel ratio to keep cells crisp
+  const pixelRatio = window.devicePixelRatio || 1;
+  gridCanvas.style.width = `${viewWidth}px`;
+  gridCanvas.style.height = `${viewHeight}px`;
+  gridCanvas.width = Math.round(viewWidth * pixelRatio);
+  gridCanvas.height = Math.round(viewHeight * pixelRatio);
+  ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+  if (overlayCanvas && overlayCtx) {
+    overlayCanvas.style.width = gridCanvas.style.width;
+    overlayCanvas.style.height = gridCanvas.style.height;
+    overlayCanvas.width = gridCanvas.width;
+    overlayCanvas.height = gridCanvas.height;
+    overlayCtx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+  }
 
-  // Update individual cell elements (if they exist)
-  const cells = gridContainer.querySelectorAll('.cell');
-  cells.forEach(cell => {
-    cell.style.width = `${cellSize}px`;
-    cell.style.height = `${cellSize}px`;
-  });
+  // Resizing the canvas wiped it, so every cell must be drawn again
+  renderedWidth = width;
+  renderedHeight = height;
+  renderedOrigin = gridState.getOrigin();
+  renderedStates = new Uint8Array(width * height).fill(CELL_UNKNOWN);
+  colors = readColors();
+  renderGrid();
+  drawOverlay(overlayCells);
+}
 
-  // Optional: Adjust container size explicitly if fit-content isn't perfect
-  // gridContainer.style.width = `${width * cellSize}px`;
-  // gridContainer.style.height = `${height * cellSize}px`;
+/**
+ * Redraws every visible cell after the view moved (panning without changing the canvas size).
+ */
+function redrawView() {
+  ctx.clearRect(0, 0, viewWidth, viewHeight);
+  renderedStates.fill(CELL_UNKNOWN);
+  renderGrid();
+  drawOverlay(overlayCells);
 }
 
+/**
+ * Calculates and applies the cell size based on available container space.
+ * In fit mode the cell size is the largest that shows the whole grid (at least 1px);
+ * otherwise the zoom level is kept and only the visible area changes.
+ * Resizes the canvas accordingly and redraws every cell.
+ */
+export function updateGridAppearance() {
+  const width = gridState.getWidth();
+  const height = gridState.getHeight();
+
+  if (!gridCanvas || !ctx || width <= 0 || height <= 0 || !measureAvailableSpace()) {
+    console.warn("Cannot update grid appearance: Missing elements or invalid grid dimensions.");
+    return;
+  }
+
+  if (isFitMode) {
+    // Use the smaller dimension
+    cellSize = Math.max(1, Math.min(Math.floor(availableWidth / width), Math.floor(availableHeight / height))); // Ensure at least 1px
+  }
+  applyView();
+}
 
 /**
- * Renders the current grid state from gridState.js to the DOM.
- * Clears the existing grid and creates new cell elements.
+ * Renders the visible part of the current grid state from gridState.js to the canvas.
+ * Only cells whose visual state changed since the last render are redrawn.
  */
 export function renderGrid() {
-  if (!gridContainer) {
-      console.error("Grid container not found for rendering.");
+  if (!ctx) {
+      console.error("Grid canvas not found for rendering.");
       return;
   }
 
   const grid = gridState.getGrid();
+  const decay = gridState.getDecay();
   const width = gridState.getWidth();
   const height = gridState.getHeight();
 
-  // Clear previous grid content
-  gridContainer.innerHTML = "";
-
-  // Create and append cell elements
-  for (let y = 0; y < height; y++) {
-    for (let x = 0; x < width; x++) {
-      const cell = document.createElement("div");
-      cell.classList.add("cell");
-
-      const currentCellState = grid[y]?.[x];
-
-      if (!currentCellState) {
-          console.warn(`Undefined cell state at (${x}, ${y}) during render`);
-          cell.classList.add("dead");
-      } else {
-          // Add 'live' or 'dead' class based on age
-          if (currentCellState.age > 0) {
-              cell.classList.add("live");
-          } else {
-              cell.classList.add("dead");
-          }
-          // Add 'newly-alive' class if age is 1
-          if (currentCellState.age === 1) {
-              cell.classList.add("newly-alive");
-          }
+  // A new grid size needs a new layout; updateGridAppearance calls back into renderGrid
+  if (width !== renderedWidth || height !== renderedHeight) {
+    // When the infinite plane's board grows left or up, scroll along so the view does not jump
+    const origin = gridState.getOrigin();
+    scrollX += (renderedOrigin.x - origin.x) * cellSize;
+    scrollY += (renderedOrigin.y - origin.y) * cellSize;
+    updateGridAppearance();
+    return;
+  }
+
+  // Only cells in view are drawn; panning redraws the rest
+  const startX = Math.floor(scrollX / cellSize);
+  const startY = Math.floor(scrollY / cellSize);
+  const endX = Math.min(width, Math.ceil((scrollX + viewWidth) / cellSize));
+  const endY = Math.min(height, Math.ceil((scrollY + viewHeight) / cellSize));
+  for (let y = startY; y < endY; y++) {
+    for (let x = startX; x < endX; x++) {
+      const index = y * width + x;
+      const visualState = getVisualState(index, grid[index], decay[index]);
+      if (renderedStates[index] !== visualState) {
+        drawCell(x, y, visualState);
+        renderedStates[index] = visualState;
       }
+    }
+  }
+  scheduleMinimapDraw();
+}
+
+/**
+ * Draws an area of the plane onto another canvas, in the current colors and render mode, e.g. for exporting
+ * images. Cells of the area that are not on the board are drawn dead.
+ * @param {CanvasRenderingContext2D} target - The canvas context to draw on; the area starts at its top-left corner.
+ * @param {number} size - The cell size in pixels.
+ * @param {{left: number, top: number, width: number, height: number}} area - The area in world coordinates
+ *        (the same as board coordinates except on the infinite plane, see gridState.getOrigin).
+ */
+export function drawFrame(target, size, area) {
+  if (!colors) colors = readColors();
+  const grid = gridState.getGrid();
+  const decay = gridState.getDecay();
+  const width = gridState.getWidth();
+  const height = gridState.getHeight();
+  const origin = gridState.getOrigin();
+
+  target.fillStyle = window.getComputedStyle(document.documentElement).getPropertyValue("--tron-bg").trim() || "#050810";
+  target.fillRect(0, 0, area.width * size, area.height * size);
+  for (let y = 0; y < area.height; y++) {
+    const boardY = area.top + y - origin.y;
+    for (let x = 0; x < area.width; x++) {
+      const boardX = area.left + x - origin.x;
+      const isOnBoard = boardX >= 0 && boardX < width && boardY >= 0 && boardY < height;
+      const index = boardY * width + boardX;
+      const visualState = isOnBoard ? getVisualState(index, grid[index], decay[index]) : CELL_DEAD;
+      paintCell(target, x * size, y * size, size, visualState);
+    }
+  }
+}
+
+/**
+ * Switches how cells are colored and redraws the grid.
+ * @param {string} mode - A key of RENDER_MODES in renderModes.js.
+ * @returns {boolean} True if the mode was valid and applied.
+ */
+export function setRenderMode(mode) {
+  if (!isValidRenderMode(mode)) {
+    console.warn(`Invalid render mode: ${mode}. Keeping ${renderMode}.`);
+    return false;
+  }
+  renderMode = mode;
+  renderedStates.fill(CELL_UNKNOWN);
+  renderGrid();
+  return true;
+}
+
+/**
+ * Gets the current render mode name.
+ * @returns {string}
+ */
+export function getRenderMode() {
+  return renderMode;
+}
+
+/**
+ * Describes the colors of the current render mode for a legend.
+ * @returns {{colors: string[], minLabel: string, maxLabel: string} | null} The colors from one end of the scale
+ *          to the other with labels for both ends, or null if the mode needs no legend.
+ */
+export function getLegend() {
+  if (!colors) return null;
+  switch (renderMode) {
+    case "age":
+      return { colors: colors.ageRamp, minLabel: "Born", maxLabel: `${(2 ** (RAMP_SHADES - 1)).toLocaleString()}+ gens old` };
+    case "heat":
+      return { colors: colors.heatRamp, minLabel: "Rarely alive", maxLabel: `Alive ${cellActivity.getMaxHeat().toLocaleString()} steps` };
+    case "trail":
+      return { colors: [colors.decay, "transparent"], minLabel: "Just died", maxLabel: `${cellActivity.TRAIL_LENGTH} steps later` };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Reads the cell colors from the CSS custom properties again and redraws everything, e.g. after a theme change.
+ */
+export function refreshColors() {
+  colors = readColors();
+  redrawView();
+}
+
+/**
+ * Sets the number of cell states of the current rule, which decides how dying cells are shaded.
+ * Every cell is redrawn on the next render.
+ * @param {number} count - The rule's number of states (2 for Life-like rules).
+ */
+export function setStateCount(count) {
+  if (count === stateCount) return;
+  stateCount = count;
+  renderedStates.fill(CELL_UNKNOWN);
+}
+
+/**
+ * Converts a point in viewport (client) coordinates to grid cell coordinates.
+ * @param {number} clientX - The x-coordinate relative to the viewport, e.g. from a mouse event.
+ * @param {number} clientY - The y-coordinate relative to the viewport.
+ * @returns {{x: number, y: number} | null} The cell coordinates, or null if the point is outside the grid.
+ */
+export function getCellAtClientPoint(clientX, clientY) {
+  if (!gridCanvas || cellSize <= 0) return null;
 
-      // Store coordinates for event handling (e.g., painting)
-      cell.dataset.x = x;
-      cell.dataset.y = y;
-      gridContainer.appendChild(cell);
+  const rect = gridCanvas.getBoundingClientRect();
+  if (clientX < rect.left || clientX >= rect.right || clientY < rect.top || clientY >= rect.bottom) {
+    return null; // Outside the visible part of the grid
+  }
+  const x = Math.floor((clientX - rect.left + scrollX) / cellSize);
+  const y = Math.floor((clientY - rect.top + scrollY) / cellSize);
+
+  if (x >= 0 && x < gridState.getWidth() && y >= 0 && y < gridState.getHeight()) {
+    return { x, y };
+  }
+  return null; // Outside grid cells
+}
+
+/**
+ * Draws a preview of cells (e.g. a pattern about to be stamped) on the overlay canvas,
+ * replacing any previous preview. Cells outside the grid are skipped. The keyboard cursor and selection stay.
+ * @param {Array<{x: number, y: number}>} cells - The cells to preview, in grid coordinates.
+ */
+export function drawOverlay(cells) {
+  overlayCells = cells;
+  if (!overlayCtx || !colors) return;
+
+  overlayCtx.clearRect(0, 0, viewWidth, viewHeight);
+  overlayCtx.fillStyle = colors.ghost;
+  cells.forEach(({ x, y }) => {
+    if (x >= 0 && x < renderedWidth && y >= 0 && y < renderedHeight) {
+      overlayCtx.fillRect(x * cellSize - scrollX, y * cellSize - scrollY, cellSize, cellSize);
+    }
+  });
+  if (selectionRect) {
+    overlayCtx.strokeStyle = colors.newlyAlive;
+    overlayCtx.lineWidth = 1;
+    overlayCtx.setLineDash([4, 4]);
+    overlayCtx.strokeRect(selectionRect.x * cellSize - scrollX + 0.5, selectionRect.y * cellSize - scrollY + 0.5,
+      selectionRect.width * cellSize - 1, selectionRect.height * cellSize - 1);
+    overlayCtx.setLineDash([]);
+  }
+  if (cursorCell && cursorCell.x < renderedWidth && cursorCell.y < renderedHeight) {
+    overlayCtx.strokeStyle = colors.newlyAlive;
+    overlayCtx.lineWidth = 2;
+    overlayCtx.strokeRect(cursorCell.x * cellSize - scrollX - 1, cursorCell.y * cellSize - scrollY - 1, cellSize + 2, cellSize + 2);
+  }
+}
+
+/**
+ * Outlines the cell under the keyboard cursor, scrolling it into view if needed.
+ * @param {{x: number, y: number} | null} cell - The cell, or null to hide the cursor.
+ */
+export function setCursor(cell) {
+  cursorCell = cell;
+  if (cell && ctx) {
+    // Scroll just far enough to show the cell
+    const left = cell.x * cellSize;
+    const top = cell.y * cellSize;
+    const deltaX = Math.min(0, left - scrollX) + Math.max(0, left + cellSize - scrollX - viewWidth);
+    const deltaY = Math.min(0, top - scrollY) + Math.max(0, top + cellSize - scrollY - viewHeight);
+    if (deltaX !== 0 || deltaY !== 0) {
+      panBy(deltaX, deltaY); // Redraws the overlay too
+      return;
     }
   }
-  // console.log(`Rendered ${width}x${height} grid.`); // Optional logging
+  drawOverlay(overlayCells);
+}
+
+/**
+ * Outlines the selected rectangle of cells.
+ * @param {{x: number, y: number, width: number, height: number} | null} rect - The selection in grid coordinates,
+ *        or null to remove the outline.
+ */
+export function setSelection(rect) {
+  selectionRect = rect;
+  drawOverlay(overlayCells);
+}
+
+/**
+ * Removes any preview from the overlay canvas.
+ */
+export function clearOverlay() {
+  drawOverlay([]);
+}
+
+/**
+ * Checks whether the whole grid is in view.
+ * @returns {boolean}
+ */
+export function isWholeGridVisible() {
+  return viewWidth >= gridState.getWidth() * cellSize && viewHeight >= gridState.getHeight() * cellSize;
+}
+
+/**
+ * Zooms in or out by one level, keeping the cell under the given point in place.
+ * @param {number} clientX - The x-coordinate to zoom around, relative to the viewport.
+ * @param {number} clientY - The y-coordinate to zoom around.
+ * @param {number} direction - Positive to zoom in, negative to zoom out.
+ */
+export function zoomAt(clientX, clientY, direction) {
+  if (!gridCanvas || !ctx) return;
+  const newCellSize = direction > 0
+    ? ZOOM_LEVELS.find((size) => size > cellSize)
+    : [...ZOOM_LEVELS].reverse().find((size) => size < cellSize);
+  if (!newCellSize) return; // Already at the closest or farthest zoom level
+
+  // Grid position (in cells) under the point, which should stay under it
+  const rect = gridCanvas.getBoundingClientRect();
+  const pointX = Math.min(Math.max(clientX - rect.left, 0), viewWidth);
+  const pointY = Math.min(Math.max(clientY - rect.top, 0), viewHeight);
+  const cellX = (scrollX + pointX) / cellSize;
+  const cellY = (scrollY + pointY) / cellSize;
+
+  isFitMode = false;
+  cellSize = newCellSize;
+  scrollX = cellX * cellSize - pointX;
+  scrollY = cellY * cellSize - pointY;
+  applyView();
+}
+
+/**
+ * Scrolls the view.
+ * @param {number} deltaX - CSS pixels to scroll right (negative scrolls left).
+ * @param {number} deltaY - CSS pixels to scroll down (negative scrolls up).
+ */
+export function panBy(deltaX, deltaY) {
+  if (!ctx) return;
+  const previousX = scrollX;
+  const previousY = scrollY;
+  scrollX += deltaX;
+  scrollY += deltaY;
+  clampScroll();
+  if (scrollX !== previousX || scrollY !== previousY) {
+    redrawView();
+  }
+}
 
-  // Update grid appearance (cell size, etc.) based on the new structure
+/**
+ * Scrolls the view so a cell is in the middle.
+ * @param {number} x - The x-coordinate of the cell (may be fractional).
+ * @param {number} y - The y-coordinate of the cell (may be fractional).
+ */
+export function centerOnCell(x, y) {
+  panBy(x * cellSize - viewWidth / 2 - scrollX, y * cellSize - viewHeight / 2 - scrollY);
+}
+
+/**
+ * Zooms out so the whole grid fits the window again, and keeps it that way when the window resizes.
+ */
+export function fitGrid() {
+  isFitMode = true;
+  scrollX = 0;
+  scrollY = 0;
   updateGridAppearance();
-}
\ No newline at end of file
+}
+
+/**
+ * Zooms and scrolls so a rectangle of cells (e.g. the live cells) fills the view.
+ * @param {{minX: number, minY: number, maxX: number, maxY: number}} bounds - The rectangle, inclusive, in cells.
+ */
+export function fitToBounds(bounds) {
+  if (!measureAvailableSpace()) return;
+  const boundsWidth = bounds.maxX - bounds.minX + 1 + 2 * FIT_MARGIN;
+  const boundsHeight = bounds.maxY - bounds.minY + 1 + 2 * FIT_MARGIN;
+  const fitSize = Math.min(Math.floor(availableWidth / boundsWidth), Math.floor(availableHeight / boundsHeight));
+  isFitMode = false;
+  cellSize = [...ZOOM_LEVELS].reverse().find((size) => size <= fitSize) ?? ZOOM_LEVELS[0];
+  // Center the rectangle; applyView keeps the scroll position inside the grid
+  scrollX = ((bounds.minX + bounds.maxX + 1) / 2) * cellSize - Math.min(availableWidth, gridState.getWidth() * cellSize) / 2;
+  scrollY = ((bounds.minY + bounds.maxY + 1) / 2) * cellSize - Math.min(availableHeight, gridState.getHeight() * cellSize) / 2;
+  applyView();
+}
+
+/**
+ * Converts a point on the minimap to grid cell coordinates.
+ * @param {number} clientX - The x-coordinate relative to the viewport.
+ * @param {number} clientY - The y-coordinate relative to the viewport.
+ * @returns {{x: number, y: number} | null} The (fractional) cell position, or null without a minimap.
+ */
+export function getCellAtMinimapPoint(clientX, clientY) {
+  if (!minimapCanvas) return null;
+  const rect = minimapCanvas.getBoundingClientRect();
+  if (rect.width === 0 || rect.height === 0) return null;
+  return {
+    x: ((clientX - rect.left) / rect.width) * gridState.getWidth(),
+    y: ((clientY - rect.top) / rect.height) * gridState.getHeight(),
+  };
+}
+
+/**
+ * Draws the minimap at the next animation frame, so bursts of renders draw it once.
+ */
+function scheduleMinimapDraw() {
+  if (minimapDrawPending || !minimapCtx) return;
+  minimapDrawPending = true;
+  requestAnimationFrame(() => {
+    minimapDrawPending = false;
+    drawMinimap();
+  });
+}
+
+/**
+ * Draws the whole grid scaled down, with a frame around the part in view.
+ * Hidden while the whole grid is visible anyway.
+ */
+function drawMinimap() {
+  if (isWholeGridVisible()) {
+    minimapCanvas.hidden = true;
+    return;
+  }
+  minimapCanvas.hidden = false;
+
+  const width = gridState.getWidth();
+  const height = gridState.getHeight();
+  const grid = gridState.getGrid();
+  const scale = MINIMAP_SIZE / Math.max(width, height);
+  const pixelRatio = window.devicePixelRatio || 1;
+  const cssWidth = Math.max(1, Math.round(width * scale));
+  const cssHeight = Math.max(1, Math.round(height * scale));
+  if (minimapCanvas.width !== Math.round(cssWidth * pixelRatio) || minimapCanvas.height !== Math.round(cssHeight * pixelRatio)) {
+    minimapCanvas.style.width = `${cssWidth}px`;
+    minimapCanvas.style.height = `${cssHeight}px`;
+    minimapCanvas.width = Math.round(cssWidth * pixelRatio);
+    minimapCanvas.height = Math.round(cssHeight * pixelRatio);
+  }
+
+  // Draw in cell units; tiny cells still show up as at least a dot
+  minimapCtx.setTransform(scale * pixelRatio, 0, 0, scale * pixelRatio, 0, 0);
+  minimapCtx.clearRect(0, 0, width, height);
+  minimapCtx.fillStyle = colors.live;
+  const dot = Math.max(1, 1 / scale);
+  for (let i = 0; i < grid.length; i++) {
+    if (grid[i] > 0) {
+      minimapCtx.fillRect(i % width, Math.floor(i / width), dot, dot);
+    }
+  }
+
+  minimapCtx.strokeStyle = colors.newlyAlive;
+  minimapCtx.lineWidth = 1.5 / scale;
+  minimapCtx.strokeRect(scrollX / cellSize, scrollY / cellSize, viewWidth / cellSize, viewHeight / cellSize);
+}
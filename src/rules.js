@@ -0,0 +1,120 @@
+"use strict";
+
+// Most cell states a Generations rule may have: dying cells count their states in a Uint8Array
+export const MAX_STATES = 256;
+
+// Well-known Life-like and Generations rules offered as suggestions in the rule input
+export const RULE_PRESETS = [
+  { name: "Conway's Life", rule: "B3/S23" },
+  { name: "HighLife", rule: "B36/S23" },
+  { name: "Day & Night", rule: "B3678/S34678" },
+  { name: "Seeds", rule: "B2/S" },
+  { name: "Maze", rule: "B3/S12345" },
+  { name: "Life without Death", rule: "B3/S012345678" },
+  { name: "2x2", rule: "B36/S125" },
+  { name: "Diamoeba", rule: "B35678/S5678" },
+  { name: "Replicator", rule: "B1357/S1357" },
+  { name: "Brian's Brain", rule: "B2/S/C3" },
+  { name: "Star Wars", rule: "B2/S345/C4" },
+];
+
+/**
+ * Converts a string of neighbor count digits (e.g. "236") into a lookup table.
+ * @param {string} digits - The digits to convert. Each must be between 0 and 8.
+ * @returns {boolean[] | null} A 9-entry table indexed by neighbor count, or null if a digit is invalid or repeated.
+ */
+function digitsToTable(digits) {
+  const table = Array(9).fill(false);
+  for (const digit of digits) {
+    const count = digit.charCodeAt(0) - 48; // '0' is 48
+    if (count < 0 || count > 8 || table[count]) {
+      return null;
+    }
+    table[count] = true;
+  }
+  return table;
+}
+
+/**
+ * Converts a neighbor count lookup table back into its digits (e.g. "236").
+ * @param {boolean[]} table - A 9-entry table indexed by neighbor count.
+ * @returns {string} The enabled neighbor counts in ascending order.
+ */
+function tableToDigits(table) {
+  return table.map((enabled, count) => (enabled ? count : "")).join("");
+}
+
+/**
+ * Parses a Life-like or Generations rulestring.
+ * Accepts the standard B/S notation ("B36/S23", case-insensitive, slash optional)
+ * as well as the older S/B notation used by MCell and Life 1.05 files ("23/36").
+ * Generations rules add the number of cell states: "B2/S/C3" (or G3), or "/2/3" in S/B notation.
+ * With n states, a live cell that does not survive passes through n - 2 dying states before it is dead;
+ * dying cells are not counted as neighbors and cannot be born into.
+ * @param {string} ruleString - The rulestring to parse.
+ * @returns {{birth: boolean[], survival: boolean[], states: number} | null} Lookup tables indexed by live neighbor count
+ *          and the number of cell states (2 for Life-like rules), or null if the rulestring is not valid.
+ */
+export function parseRule(ruleString) {
+  if (typeof ruleString !== "string") {
+    return null;
+  }
+  const normalized = ruleString.trim().toUpperCase().replace(/\s+/g, "");
+
+  let birthDigits;
+  let survivalDigits;
+  let stateDigits;
+
+  const bsMatch = normalized.match(/^B([0-8]*)\/?S([0-8]*)(?:\/?[CG](\d+))?$/);
+  const sbMatch = normalized.match(/^S([0-8]*)\/?B([0-8]*)(?:\/?[CG](\d+))?$/);
+  const legacyMatch = normalized.match(/^([0-8]*)\/([0-8]*)(?:\/(\d+))?$/);
+
+  if (bsMatch) {
+    [, birthDigits, survivalDigits, stateDigits] = bsMatch;
+  } else if (sbMatch) {
+    [, survivalDigits, birthDigits, stateDigits] = sbMatch;
+  } else if (legacyMatch) {
+    [, survivalDigits, birthDigits, stateDigits] = legacyMatch; // Legacy notation lists survival first
+  } else {
+    return null;
+  }
+
+  const birth = digitsToTable(birthDigits);
+  const survival = digitsToTable(survivalDigits);
+  const states = stateDigits === undefined ? 2 : parseInt(stateDigits, 10);
+  if (!birth || !survival || states < 2 || states > MAX_STATES) {
+    return null;
+  }
+  return { birth, survival, states };
+}
+
+/**
+ * Formats a parsed rule back into canonical B/S notation (e.g. "B36/S23", or "B2/S/C3" for Generations rules).
+ * @param {{birth: boolean[], survival: boolean[], states?: number}} rule - The parsed rule.
+ * @returns {string} The canonical rulestring.
+ */
+export function formatRule(rule) {
+  const states = rule.states > 2 ? `/C${rule.states}` : "";
+  return `B${tableToDigits(rule.birth)}/S${tableToDigits(rule.survival)}${states}`;
+}
+
+/**
+ * Formats a parsed rule in the older survival/birth notation used by Life 1.05 files (e.g. "23/36", or "345/2/4"
+ * for Generations rules).
+ * @param {{birth: boolean[], survival: boolean[], states?: number}} rule - The parsed rule.
+ * @returns {string} The rulestring in S/B notation.
+ */
+export function formatLegacyRule(rule) {
+  const states = rule.states > 2 ? `/${rule.states}` : "";
+  return `${tableToDigits(rule.survival)}/${tableToDigits(rule.birth)}${states}`;
+}
+
+/**
+ * Looks up the display name of a rule if it matches one of the presets.
+ * @param {string} ruleString - A canonical rulestring (as returned by formatRule).
+ * @returns {string | null} The preset name, or null if the rule is not a known preset.
+ */
+export function getRuleName(ruleString) {
+  const preset = RULE_PRESETS.find((p) => p.rule === ruleString);
+  return preset ? preset.name : null;
+}
@@ -0,0 +1,238 @@
+"use strict";
+
+import * as gridState from './gridState.js';
+import * as renderer from './renderer.js';
+import * as simulationController from './simulationController.js';
+import * as uiController from './uiController.js';
+import { serializeSession, parseSession } from './sessionFormat.js';
+
+const STORAGE_KEY = "gameOfLifeSaves"; // localStorage key of the save slots
+const THUMBNAIL_SIZE = 64; // Longest side of a slot's thumbnail in pixels
+
+// DOM Elements
+const savePanel = document.getElementById("savePanel");
+const saveNameInput = document.getElementById("saveNameInput");
+const saveSlotButton = document.getElementById("saveSlotButton");
+const downloadSessionButton = document.getElementById("downloadSessionButton");
+const sessionFileInput = document.getElementById("sessionFileInput");
+const saveSlotList = document.getElementById("saveSlotList");
+const saveStatus = document.getElementById("saveStatus");
+
+/**
+ * Shows a status message below the save slots.
+ * @param {string} message - The message to show.
+ * @param {boolean} [isError=false] - Whether to style the message as an error.
+ */
+function showStatus(message, isError = false) {
+  if (!saveStatus) return;
+  saveStatus.textContent = message;
+  saveStatus.classList.toggle("error", isError);
+}
+
+/**
+ * Reads the save slots from localStorage.
+ * @returns {Array<{name: string, savedAt: string, generation: number, thumbnail: string, session: object}>}
+ *          The slots, most recently saved first; empty if there are none or storage is unavailable.
+ */
+function readSlots() {
+  try {
+    const slots = JSON.parse(localStorage.getItem(STORAGE_KEY) ?? "[]");
+    return Array.isArray(slots) ? slots : [];
+  } catch (error) {
+    console.warn("Could not read the save slots:", error);
+    return [];
+  }
+}
+
+/**
+ * Writes the save slots to localStorage.
+ * @param {Array<object>} slots - The slots, most recently saved first.
+ * @returns {boolean} True if they were written; false if storage is full or unavailable.
+ */
+function writeSlots(slots) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(slots));
+    return true;
+  } catch (error) {
+    console.warn("Could not write the save slots:", error);
+    return false;
+  }
+}
+
+/**
+ * Draws the live cells of the board into a small image.
+ * @returns {string} The thumbnail as a PNG data URL.
+ */
+function createThumbnail() {
+  const width = gridState.getWidth();
+  const height = gridState.getHeight();
+  const scale = THUMBNAIL_SIZE / Math.max(width, height);
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(width * scale));
+  canvas.height = Math.max(1, Math.round(height * scale));
+  const thumbnailCtx = canvas.getContext("2d");
+
+  const rootStyle = window.getComputedStyle(document.documentElement);
+  thumbnailCtx.fillStyle = rootStyle.getPropertyValue("--tron-bg").trim() || "#050810";
+  thumbnailCtx.fillRect(0, 0, canvas.width, canvas.height);
+  thumbnailCtx.fillStyle = rootStyle.getPropertyValue("--tron-cyan").trim() || "#00ffff";
+  const cellSize = Math.max(1, scale); // Keep single cells visible on large boards
+  gridState.getLiveCells().forEach(({ x, y }) => {
+    thumbnailCtx.fillRect(Math.floor(x * scale), Math.floor(y * scale), cellSize, cellSize);
+  });
+  return canvas.toDataURL("image/png");
+}
+
+/**
+ * Resumes a saved session and reports the result.
+ * @param {object} data - The session in the file format (see sessionFormat.js).
+ * @param {string} label - What was loaded, for the status message.
+ */
+function loadSessionData(data, label) {
+  let session;
+  try {
+    session = parseSession(data);
+  } catch (error) {
+    console.warn("Session load failed:", error.message);
+    showStatus(`${label}: ${error.message}.`, true);
+    return;
+  }
+  simulationController.loadSession(session);
+  uiController.syncControls(); // Size, speed, rule, edges and engine may have changed
+  showStatus(`${label} loaded at generation ${session.state.board.generationCount}.`);
+}
+
+/**
+ * Lists the save slots with their thumbnails and Load/Delete buttons.
+ */
+function renderSlots() {
+  saveSlotList.replaceChildren();
+  const slots = readSlots();
+  slots.forEach((slot) => {
+    const item = document.createElement("li");
+    item.classList.add("save-slot");
+
+    const thumbnail = document.createElement("img");
+    thumbnail.src = slot.thumbnail;
+    thumbnail.alt = "";
+    const details = document.createElement("span");
+    details.classList.add("save-slot-details");
+    const name = document.createElement("strong");
+    name.textContent = slot.name;
+    const info = document.createElement("span");
+    info.textContent = `Gen ${slot.generation}, ${new Date(slot.savedAt).toLocaleString()}`;
+    details.append(name, info);
+
+    const loadButton = document.createElement("button");
+    loadButton.textContent = "Load";
+    loadButton.setAttribute("aria-label", `Load ${slot.name}`);
+    loadButton.addEventListener("click", () => loadSessionData(slot.session, `"${slot.name}"`));
+    const deleteButton = document.createElement("button");
+    deleteButton.textContent = "Delete";
+    deleteButton.setAttribute("aria-label", `Delete ${slot.name}`);
+    deleteButton.addEventListener("click", () => deleteSlot(slot.name));
+
+    item.append(thumbnail, details, loadButton, deleteButton);
+    saveSlotList.appendChild(item);
+  });
+  if (slots.length === 0) {
+    const empty = document.createElement("li");
+    empty.classList.add("save-slot-empty");
+    empty.textContent = "No saved boards yet.";
+    saveSlotList.appendChild(empty);
+  }
+}
+
+/**
+ * Handles the save button click: saves the session in the named slot, replacing a slot of the same name.
+ */
+function handleSaveClick() {
+  const name = saveNameInput.value.trim() || `Generation ${gridState.getGenerationCount()}`;
+  const slot = {
+    name,
+    savedAt: new Date().toISOString(),
+    generation: gridState.getGenerationCount(),
+    thumbnail: createThumbnail(),
+    session: serializeSession(simulationController.getSession()),
+  };
+  const previousSlots = readSlots();
+  const isReplacing = previousSlots.some((s) => s.name === name);
+  if (!writeSlots([slot, ...previousSlots.filter((s) => s.name !== name)])) {
+    showStatus("Could not save: the browser's storage is full or disabled. Delete old slots or download the board instead.", true);
+    return;
+  }
+  renderSlots();
+  showStatus(`${isReplacing ? "Replaced" : "Saved"} "${name}".`);
+}
+
+/**
+ * Deletes a save slot.
+ * @param {string} name - The slot name.
+ */
+function deleteSlot(name) {
+  if (!writeSlots(readSlots().filter((slot) => slot.name !== name))) {
+    showStatus(`Could not delete "${name}".`, true);
+    return;
+  }
+  renderSlots();
+  showStatus(`Deleted "${name}".`);
+}
+
+/**
+ * Handles the download button click by saving the session as a JSON file.
+ */
+function handleDownloadClick() {
+  const json = JSON.stringify(serializeSession(simulationController.getSession()));
+  const blob = new Blob([json], { type: "application/json" });
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  const name = saveNameInput.value.trim().replace(/[^\w-]+/g, "-");
+  link.download = `${name || "game-of-life-session"}.json`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Handles a file being chosen in the file input: resumes the session it contains.
+ * @param {Event} event - The change event of the file input.
+ */
+function handleFileSelected(event) {
+  const file = event.target.files[0];
+  if (!file) return;
+  file.text()
+    .then((text) => {
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (error) {
+        showStatus(`${file.name} is not valid JSON: ${error.message}.`, true);
+        return;
+      }
+      loadSessionData(data, file.name);
+    })
+    .catch((error) => {
+      console.error("Could not read session file:", error);
+      showStatus(`Could not read ${file.name}.`, true);
+    });
+  sessionFileInput.value = ""; // Allow choosing the same file again
+}
+
+/**
+ * Sets up the save/load panel and its event listeners.
+ */
+export function setupSavePanel() {
+  if (!savePanel || !saveNameInput || !saveSlotButton || !downloadSessionButton || !sessionFileInput || !saveSlotList) {
+    console.error("One or more save panel elements not found. Cannot set up saving.");
+    return;
+  }
+  console.log("Setting up save/load panel...");
+
+  renderSlots();
+  saveSlotButton.addEventListener("click", handleSaveClick);
+  downloadSessionButton.addEventListener("click", handleDownloadClick);
+  sessionFileInput.addEventListener("change", handleFileSelected);
+  // Opening or closing the panel changes the space available to the grid
+  savePanel.addEventListener("toggle", renderer.updateGridAppearance);
+
+  console.log("Save/load panel set up.");
+}
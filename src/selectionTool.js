@@ -0,0 +1,442 @@
+"use strict";
+
+import * as gridState from './gridState.js';
+import * as renderer from './renderer.js';
+import * as painter from './painter.js';
+import * as simulationController from './simulationController.js';
+import * as soupPanel from './soupPanel.js';
+import { startStamp } from './stampTool.js';
+import { rotateClockwise, flipHorizontal, flipVertical } from './patternTransforms.js';
+import { parsePattern, formatPattern } from './patternFormats.js';
+
+// DOM Elements
+const selectionPanel = document.getElementById("selectionPanel");
+const selectToolButton = document.getElementById("selectToolButton");
+const copySelectionButton = document.getElementById("copySelectionButton");
+const cutSelectionButton = document.getElementById("cutSelectionButton");
+const pasteButton = document.getElementById("pasteButton");
+const rotateSelectionButton = document.getElementById("rotateSelectionButton");
+const flipSelectionXButton = document.getElementById("flipSelectionXButton");
+const flipSelectionYButton = document.getElementById("flipSelectionYButton");
+const clearSelectionButton = document.getElementById("clearSelectionButton");
+const clearOutsideButton = document.getElementById("clearOutsideButton");
+const randomizeSelectionButton = document.getElementById("randomizeSelectionButton");
+const selectionStatus = document.getElementById("selectionStatus");
+
+const IDLE_STATUS = "Press Select (S), then drag across the grid to select cells.";
+
+// Ways to turn the selected cells, keyed by the name used for their buttons and keys
+const SELECTION_TRANSFORMS = {
+  rotate: { transform: rotateClockwise, label: "rotate selection", done: "Rotated the selection 90° clockwise." },
+  flipX: { transform: flipHorizontal, label: "flip selection", done: "Flipped the selection left to right." },
+  flipY: { transform: flipVertical, label: "flip selection", done: "Flipped the selection top to bottom." },
+};
+
+// Module-level state
+let isSelecting = false; // True while the selection tool has pointer input
+// The selected rectangle in world coordinates, so it stays on the same cells when the infinite plane's board
+// moves. Shape: { left, top, width, height }, or null when nothing is selected.
+let selection = null;
+let anchor = null; // World cell where the current drag started, or null when not dragging
+let clipboardPattern = null; // The last copied cells, for pasting when the system clipboard is unavailable
+
+/**
+ * Shows a status message below the selection controls.
+ * @param {string} message - The message to show.
+ * @param {boolean} [isError=false] - Whether to style the message as an error.
+ */
+function showStatus(message, isError = false) {
+  if (!selectionStatus) return;
+  selectionStatus.textContent = message;
+  selectionStatus.classList.toggle("error", isError);
+}
+
+/**
+ * Converts board coordinates to world coordinates.
+ * @param {{x: number, y: number}} coords - A board cell.
+ * @returns {{x: number, y: number}} The same cell in world coordinates.
+ */
+function toWorld({ x, y }) {
+  const origin = gridState.getOrigin();
+  return { x: x + origin.x, y: y + origin.y };
+}
+
+/**
+ * Gets the part of the selection that lies on the board.
+ * @returns {{x: number, y: number, width: number, height: number} | null} The rectangle in board coordinates,
+ *          or null if nothing is selected or the selection lies entirely beyond the board.
+ */
+function getBoardRect() {
+  if (!selection) return null;
+  const origin = gridState.getOrigin();
+  const left = Math.max(0, selection.left - origin.x);
+  const top = Math.max(0, selection.top - origin.y);
+  const right = Math.min(gridState.getWidth(), selection.left - origin.x + selection.width);
+  const bottom = Math.min(gridState.getHeight(), selection.top - origin.y + selection.height);
+  if (right <= left || bottom <= top) return null;
+  return { x: left, y: top, width: right - left, height: bottom - top };
+}
+
+/**
+ * Selects a rectangle of the board, or nothing.
+ * @param {{x: number, y: number, width: number, height: number} | null} rect - The rectangle in board coordinates.
+ */
+function setSelection(rect) {
+  if (rect) {
+    const corner = toWorld(rect);
+    selection = { left: corner.x, top: corner.y, width: rect.width, height: rect.height };
+  } else {
+    selection = null;
+  }
+  renderer.setSelection(getBoardRect());
+  updateButtons();
+}
+
+/**
+ * Selects the rectangle spanned by two cells.
+ * @param {{x: number, y: number}} from - One corner, in world coordinates.
+ * @param {{x: number, y: number}} to - The opposite corner, in world coordinates.
+ */
+function selectBetween(from, to) {
+  selection = {
+    left: Math.min(from.x, to.x),
+    top: Math.min(from.y, to.y),
+    width: Math.abs(to.x - from.x) + 1,
+    height: Math.abs(to.y - from.y) + 1,
+  };
+  renderer.setSelection(getBoardRect());
+  updateButtons();
+}
+
+/**
+ * Enables the buttons that need a selection only while there is one.
+ */
+function updateButtons() {
+  const hasSelection = selection !== null;
+  [copySelectionButton, cutSelectionButton, rotateSelectionButton, flipSelectionXButton, flipSelectionYButton,
+    clearSelectionButton, clearOutsideButton, randomizeSelectionButton].forEach((button) => {
+    button.disabled = !hasSelection;
+  });
+  selectToolButton.setAttribute("aria-pressed", String(isSelecting));
+  selectToolButton.classList.toggle("selected", isSelecting);
+}
+
+/**
+ * Ends a selection drag and describes what was selected.
+ */
+function finishDrag() {
+  anchor = null;
+  const rect = getBoardRect();
+  if (!rect) return;
+  const liveCount = gridState.getRegionCells(rect).length;
+  showStatus(`Selected ${rect.width}x${rect.height} cells, ${liveCount} alive. Ctrl+C: copy, Ctrl+X: cut, Delete: clear, R/F/V: rotate/flip, Esc: deselect.`);
+}
+
+// Pointer handlers used while selecting (see painter.setActiveTool). The keyboard cursor has no pointer up,
+// so a second press ends a drag too.
+const selectionTool = {
+  onPointerDown(coords) {
+    if (anchor) {
+      selectBetween(anchor, toWorld(coords));
+      finishDrag();
+      return;
+    }
+    anchor = toWorld(coords);
+    selectBetween(anchor, anchor);
+  },
+  onPointerMove(coords) {
+    if (anchor && coords) selectBetween(anchor, toWorld(coords));
+  },
+  onPointerUp() {
+    if (anchor) finishDrag();
+  },
+  onPointerLeave() {
+    // The selection stays visible; a drag continues when the pointer comes back
+  },
+  onDeactivate() {
+    isSelecting = false;
+    anchor = null;
+    setSelection(null);
+    showStatus(IDLE_STATUS);
+  },
+};
+
+/**
+ * Turns the selection tool on, or off (back to painting) if it is already on.
+ */
+function toggleSelectMode() {
+  if (isSelecting) {
+    painter.setActiveTool(null); // Clears the selection via onDeactivate
+    return;
+  }
+  painter.setActiveTool(selectionTool);
+  isSelecting = true;
+  updateButtons();
+  showStatus("Drag across the grid to select cells. Esc: stop selecting.");
+}
+
+/**
+ * Gets the board part of the selection for an action, reporting why there is none.
+ * @returns {{x: number, y: number, width: number, height: number} | null} The rectangle in board coordinates.
+ */
+function getActionRect() {
+  const rect = getBoardRect();
+  if (!rect) {
+    showStatus(selection ? "The selection lies beyond the board." : "Select some cells first.", true);
+  }
+  return rect;
+}
+
+/**
+ * Copies the selected cells to the internal clipboard.
+ * @param {{x: number, y: number, width: number, height: number}} rect - The selection in board coordinates.
+ * @returns {string} The cells as RLE, for the system clipboard.
+ */
+function copyRect(rect) {
+  clipboardPattern = {
+    width: rect.width,
+    height: rect.height,
+    cells: gridState.getRegionCells(rect),
+    rule: simulationController.getRule(),
+    name: null,
+    comments: [],
+  };
+  return formatPattern(clipboardPattern, "rle");
+}
+
+/**
+ * Copies the selection to the internal and the system clipboard, optionally clearing it afterwards.
+ * @param {boolean} isCut - Whether to clear the selected cells (cut) rather than leave them (copy).
+ */
+function copySelection(isCut) {
+  const rect = getActionRect();
+  if (!rect) return;
+  const text = copyRect(rect);
+  if (isCut) clearRect(rect, false, "cut");
+  const verb = isCut ? "Cut" : "Copied";
+  const count = clipboardPattern.cells.length;
+  const unavailableStatus = `${verb} ${count} live cells. The system clipboard is unavailable, but Paste still works here.`;
+  if (!navigator.clipboard || !navigator.clipboard.writeText) {
+    showStatus(unavailableStatus); // Only served over https or from localhost
+    return;
+  }
+  navigator.clipboard.writeText(text)
+    .then(() => showStatus(`${verb} ${count} live cells as RLE. Ctrl+V or Paste places them.`))
+    .catch((error) => {
+      console.warn("Could not copy the selection to the clipboard:", error);
+      showStatus(unavailableStatus);
+    });
+}
+
+/**
+ * Handles the browser's copy and cut events (Ctrl+C, Ctrl+X) while cells are selected.
+ * Writing to the event's clipboard data needs no clipboard permission.
+ * @param {ClipboardEvent} event - The copy or cut event.
+ */
+function handleCopyEvent(event) {
+  if (!selection || event.target.closest("input, textarea, select")) return;
+  const rect = getActionRect();
+  if (!rect) return;
+  event.clipboardData.setData("text/plain", copyRect(rect));
+  event.preventDefault();
+  const count = clipboardPattern.cells.length;
+  if (event.type === "cut") {
+    clearRect(rect, false, "cut");
+    showStatus(`Cut ${count} live cells as RLE.`);
+  } else {
+    showStatus(`Copied ${count} live cells as RLE.`);
+  }
+}
+
+/**
+ * Starts placing a pattern with the stamp tool: it follows the pointer until clicked onto the grid.
+ * @param {object | null} pattern - The pattern to paste.
+ */
+function pastePattern(pattern) {
+  if (!pattern || pattern.cells.length === 0) {
+    showStatus("Nothing to paste: copy some live cells, or RLE or plaintext from elsewhere, first.", true);
+    return;
+  }
+  startStamp({ ...pattern, name: null }); // Ends selecting
+  showStatus(`Pasting ${pattern.width}x${pattern.height} cells: click the grid to place them. R/F/V: rotate/flip, Esc: stop.`);
+}
+
+/**
+ * Parses pasted text as a pattern.
+ * @param {string} text - The clipboard text.
+ * @returns {object | null} The pattern, or null if the text is not a pattern with live cells.
+ */
+function parseClipboardText(text) {
+  try {
+    const pattern = parsePattern(text);
+    return pattern.cells.length > 0 ? pattern : null;
+  } catch (error) {
+    return null; // Not a pattern, e.g. some other copied text
+  }
+}
+
+/**
+ * Handles the paste button click: pastes a pattern from the system clipboard, or the internal one if the
+ * system clipboard cannot be read or holds no pattern.
+ */
+function handlePasteClick() {
+  if (!navigator.clipboard || !navigator.clipboard.readText) {
+    pastePattern(clipboardPattern);
+    return;
+  }
+  navigator.clipboard.readText()
+    .then((text) => pastePattern(parseClipboardText(text) ?? clipboardPattern))
+    .catch((error) => {
+      console.warn("Could not read the clipboard:", error);
+      pastePattern(clipboardPattern);
+    });
+}
+
+/**
+ * Handles the browser's paste event (Ctrl+V) outside form fields. Pattern text is always pasted onto the grid;
+ * other text only falls back to the internal clipboard while selecting.
+ * @param {ClipboardEvent} event - The paste event.
+ */
+function handlePasteEvent(event) {
+  if (event.target.closest("input, textarea, select")) return;
+  const pattern = parseClipboardText(event.clipboardData.getData("text/plain"));
+  if (!pattern && !isSelecting) return;
+  event.preventDefault();
+  pastePattern(pattern ?? clipboardPattern);
+}
+
+/**
+ * Clears the cells inside or outside a rectangle as one undo step.
+ * @param {{x: number, y: number, width: number, height: number}} rect - The rectangle in board coordinates.
+ * @param {boolean} outside - Whether to clear everything except the rectangle.
+ * @param {string} label - The undo step's label.
+ */
+function clearRect(rect, outside, label) {
+  simulationController.recordHistory(label);
+  gridState.clearRegion(rect, outside);
+  renderer.renderGrid();
+}
+
+/**
+ * Handles the clear buttons and the Delete key.
+ * @param {boolean} outside - Whether to clear everything except the selection.
+ */
+function clearSelection(outside) {
+  const rect = getActionRect();
+  if (!rect) return;
+  clearRect(rect, outside, outside ? "clear outside selection" : "clear selection");
+  showStatus(outside ? "Cleared everything outside the selection." : "Cleared the selection.");
+}
+
+/**
+ * Replaces the selected cells by a rotated or flipped copy. A rotated selection turns around its center;
+ * cells that end up beyond the board are dropped.
+ * @param {string} name - A key of SELECTION_TRANSFORMS.
+ */
+function transformSelection(name) {
+  const rect = getActionRect();
+  if (!rect) return;
+  const { transform, label, done } = SELECTION_TRANSFORMS[name];
+  const pattern = transform({ width: rect.width, height: rect.height, cells: gridState.getRegionCells(rect) });
+  const target = {
+    x: rect.x + Math.floor((rect.width - pattern.width) / 2),
+    y: rect.y + Math.floor((rect.height - pattern.height) / 2),
+    width: pattern.width,
+    height: pattern.height,
+  };
+
+  simulationController.recordHistory(label);
+  gridState.clearRegion(rect);
+  const placed = gridState.stampCells(pattern.cells, target.x, target.y);
+  renderer.renderGrid();
+  setSelection(target);
+  const lost = pattern.cells.length - placed;
+  if (lost > 0) {
+    showStatus(`${done} ${lost} cells fell off the edge of the board.`, true);
+  } else {
+    showStatus(done);
+  }
+}
+
+/**
+ * Handles the randomize selection button: fills only the selection with a random soup from the Randomize Options.
+ */
+function randomizeSelection() {
+  const rect = getActionRect();
+  if (!rect) return;
+  simulationController.recordHistory("randomize selection");
+  gridState.randomizeRegion(rect, soupPanel.getSoupOptions());
+  renderer.renderGrid();
+  showStatus(`Randomized the selection with seed "${gridState.getSoupSeed()}".`);
+}
+
+/**
+ * Handles keyboard shortcuts: S toggles selecting; while cells are selected, R/F/V rotate and flip them,
+ * Delete clears them and Esc deselects.
+ * @param {KeyboardEvent} event - The keydown event.
+ */
+function handleKeyDown(event) {
+  if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey) return;
+  // Leave typing in form fields alone
+  if (event.target.closest("input, textarea, select")) return;
+
+  const key = event.key.toLowerCase();
+  if (key === "s") {
+    toggleSelectMode();
+  } else if (key === "escape" && isSelecting) {
+    if (selection) {
+      setSelection(null);
+      showStatus("Drag across the grid to select cells. Esc: stop selecting.");
+    } else {
+      toggleSelectMode();
+    }
+  } else if (selection && key === "r") {
+    transformSelection("rotate");
+  } else if (selection && key === "f") {
+    transformSelection("flipX");
+  } else if (selection && key === "v") {
+    transformSelection("flipY");
+  } else if (selection && (key === "delete" || key === "backspace")) {
+    clearSelection(false);
+  } else {
+    return;
+  }
+  event.preventDefault();
+}
+
+/**
+ * Sets up the selection panel, its keyboard shortcuts and the clipboard events.
+ */
+export function setupSelectionTool() {
+  if (!selectionPanel || !selectToolButton || !copySelectionButton || !cutSelectionButton || !pasteButton || !rotateSelectionButton || !flipSelectionXButton || !flipSelectionYButton || !clearSelectionButton || !clearOutsideButton || !randomizeSelectionButton) {
+    console.error("One or more selection panel elements not found. Cannot set up selecting.");
+    return;
+  }
+  console.log("Setting up selection tool...");
+
+  selectToolButton.addEventListener("click", toggleSelectMode);
+  copySelectionButton.addEventListener("click", () => copySelection(false));
+  cutSelectionButton.addEventListener("click", () => copySelection(true));
+  pasteButton.addEventListener("click", handlePasteClick);
+  rotateSelectionButton.addEventListener("click", () => transformSelection("rotate"));
+  flipSelectionXButton.addEventListener("click", () => transformSelection("flipX"));
+  flipSelectionYButton.addEventListener("click", () => transformSelection("flipY"));
+  clearSelectionButton.addEventListener("click", () => clearSelection(false));
+  clearOutsideButton.addEventListener("click", () => clearSelection(true));
+  randomizeSelectionButton.addEventListener("click", randomizeSelection);
+
+  document.addEventListener("keydown", handleKeyDown);
+  document.addEventListener("copy", handleCopyEvent);
+  document.addEventListener("cut", handleCopyEvent);
+  document.addEventListener("paste", handlePasteEvent);
+  // Keep the outline on the selected cells when the board moves or is resized
+  gridState.addChangeListener(() => {
+    if (selection) renderer.setSelection(getBoardRect());
+  });
+  // Opening or closing the panel changes the space available to the grid
+  selectionPanel.addEventListener("toggle", renderer.updateGridAppearance);
+  updateButtons();
+  showStatus(IDLE_STATUS);
+
+  console.log("Selection tool set up.");
+}
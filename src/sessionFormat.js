@@ -0,0 +1,217 @@
+"use strict";
+
+import { parseRule } from './rules.js';
+import { MIN_GRID_SIZE, MAX_GRID_SIZE, MAX_CELL_AGE } from './config.js';
+
+const FORMAT_NAME = "game-of-life-tron-session"; // Identifies saved session files
+const FORMAT_VERSION = 1;
+
+/**
+ * Error thrown when a saved session is malformed or from an unsupported version.
+ */
+export class SessionParseError extends Error {
+  /**
+   * @param {string} message - Description of the problem.
+   */
+  constructor(message) {
+    super(message);
+    this.name = "SessionParseError";
+  }
+}
+
+/**
+ * Lists the non-zero cells of a row-major array as flat [x, y, value, ...] triples.
+ * @param {Uint16Array | Uint8Array} values - The cell values (ages or decay states).
+ * @param {number} width - The board width.
+ * @returns {number[]}
+ */
+function toTriples(values, width) {
+  const triples = [];
+  for (let i = 0; i < values.length; i++) {
+    if (values[i] > 0) triples.push(i % width, Math.floor(i / width), values[i]);
+  }
+  return triples;
+}
+
+/**
+ * Lists sparse cells (world coordinates plus a value) as flat [x, y, value, ...] triples.
+ * @param {Int32Array} xs - The x-coordinates.
+ * @param {Int32Array} ys - The y-coordinates.
+ * @param {Uint16Array | Uint8Array} values - The ages or decay states.
+ * @returns {number[]}
+ */
+function sparseToTriples(xs, ys, values) {
+  const triples = [];
+  for (let i = 0; i < xs.length; i++) triples.push(xs[i], ys[i], values[i]);
+  return triples;
+}
+
+/**
+ * Checks that a value is a flat array of [x, y, value] triples of integers.
+ * @param {*} triples - The value to check.
+ * @param {string} name - The field name, for the error message.
+ * @param {number} maxValue - The largest allowed cell value (the smallest is 1).
+ * @returns {number[]} The triples.
+ * @throws {SessionParseError} If the value is not such an array.
+ */
+function checkTriples(triples, name, maxValue) {
+  if (!Array.isArray(triples) || triples.length % 3 !== 0) {
+    throw new SessionParseError(`"${name}" must be a list of x, y, value triples`);
+  }
+  for (let i = 0; i < triples.length; i += 3) {
+    if (!Number.isInteger(triples[i]) || !Number.isInteger(triples[i + 1]) || !Number.isInteger(triples[i + 2]) ||
+        triples[i + 2] < 1 || triples[i + 2] > maxValue) {
+      throw new SessionParseError(`Invalid cell in "${name}" at position ${i / 3 + 1}`);
+    }
+  }
+  return triples;
+}
+
+/**
+ * Fills a row-major array from [x, y, value] triples of board cells.
+ * @param {number[]} triples - The cells.
+ * @param {Uint16Array | Uint8Array} values - The array to fill.
+ * @param {number} width - The board width.
+ * @param {number} height - The board height.
+ * @param {string} name - The field name, for the error message.
+ * @throws {SessionParseError} If a cell lies outside the board.
+ */
+function fillFromTriples(triples, values, width, height, name) {
+  for (let i = 0; i < triples.length; i += 3) {
+    const [x, y, value] = [triples[i], triples[i + 1], triples[i + 2]];
+    if (x < 0 || x >= width || y < 0 || y >= height) {
+      throw new SessionParseError(`Cell (${x}, ${y}) in "${name}" lies outside the ${width}x${height} board`);
+    }
+    values[y * width + x] = value;
+  }
+}
+
+/**
+ * Converts [x, y, value] triples of off-board cells back into coordinate and value arrays.
+ * @param {number[]} triples - The cells.
+ * @param {Uint16ArrayConstructor | Uint8ArrayConstructor} ValueArray - The array type of the values.
+ * @returns {{xs: Int32Array, ys: Int32Array, values: Uint16Array | Uint8Array}}
+ */
+function triplesToSparse(triples, ValueArray) {
+  const count = triples.length / 3;
+  const xs = new Int32Array(count);
+  const ys = new Int32Array(count);
+  const values = new ValueArray(count);
+  for (let i = 0; i < count; i++) {
+    xs[i] = triples[3 * i];
+    ys[i] = triples[3 * i + 1];
+    values[i] = triples[3 * i + 2];
+  }
+  return { xs, ys, values };
+}
+
+/**
+ * Encodes a session (board, totals and settings) as a plain object for JSON.
+ * Only live and dying cells are listed, so mostly empty boards stay small.
+ * @param {{settings: {speed: number, rule: string, topology: string, engine: string, stepExponent: number}, state: {board: object, historicOldestAge: number, totalBornCount: number | null, totalDiedCount: number | null, lastStepStats: object}}} session
+ *        The settings and a state as captured by the simulation controller (board from gridState.getSnapshot).
+ * @returns {object} The session in the file format, ready for JSON.stringify.
+ */
+export function serializeSession({ settings, state }) {
+  const { board } = state;
+  return {
+    format: FORMAT_NAME,
+    version: FORMAT_VERSION,
+    savedAt: new Date().toISOString(),
+    settings: { ...settings },
+    board: {
+      width: board.width,
+      height: board.height,
+      generation: board.generationCount,
+      originX: board.originX,
+      originY: board.originY,
+      cells: toTriples(board.grid, board.width),
+      dying: toTriples(board.decay, board.width),
+      offBoardCells: sparseToTriples(board.offBoardCells.xs, board.offBoardCells.ys, board.offBoardCells.ages),
+      offBoardDying: sparseToTriples(board.offBoardDyingCells.xs, board.offBoardDyingCells.ys, board.offBoardDyingCells.decays),
+    },
+    totals: {
+      historicOldestAge: state.historicOldestAge,
+      born: state.totalBornCount,
+      died: state.totalDiedCount,
+      lastStep: { ...state.lastStepStats },
+    },
+  };
+}
+
+/**
+ * Decodes and validates a session written by serializeSession.
+ * @param {*} data - The parsed JSON.
+ * @returns {{settings: {speed: number, rule: string, topology: string, engine: string, stepExponent: number}, state: object, savedAt: string | null}}
+ *          The settings and a state for the simulation controller, with the board in gridState.getSnapshot form.
+ * @throws {SessionParseError} If the data is not a valid session.
+ */
+export function parseSession(data) {
+  if (!data || typeof data !== "object" || data.format !== FORMAT_NAME) {
+    throw new SessionParseError("Not a saved Game of Life session");
+  }
+  if (data.version !== FORMAT_VERSION) {
+    throw new SessionParseError(`Unsupported session version ${data.version} (expected ${FORMAT_VERSION})`);
+  }
+
+  const { settings, board, totals } = data;
+  if (!settings || !board || !totals) {
+    throw new SessionParseError('A session needs "settings", "board" and "totals"');
+  }
+  if (typeof settings.rule !== "string" || !parseRule(settings.rule)) {
+    throw new SessionParseError(`Invalid rule: ${settings.rule}`);
+  }
+  if (!(settings.speed >= 0) || typeof settings.topology !== "string" || typeof settings.engine !== "string" ||
+      !Number.isInteger(settings.stepExponent)) {
+    throw new SessionParseError("Invalid speed, edges, engine or step size");
+  }
+
+  const { width, height } = board;
+  if (!Number.isInteger(width) || !Number.isInteger(height) ||
+      width < MIN_GRID_SIZE || width > MAX_GRID_SIZE || height < MIN_GRID_SIZE || height > MAX_GRID_SIZE) {
+    throw new SessionParseError(`Invalid board size ${width}x${height}`);
+  }
+  if (!Number.isInteger(board.generation) || board.generation < 0) {
+    throw new SessionParseError(`Invalid generation ${board.generation}`);
+  }
+
+  const grid = new Uint16Array(width * height);
+  const decay = new Uint8Array(width * height);
+  fillFromTriples(checkTriples(board.cells, "cells", MAX_CELL_AGE), grid, width, height, "cells");
+  fillFromTriples(checkTriples(board.dying ?? [], "dying", 255), decay, width, height, "dying");
+  const offBoard = triplesToSparse(checkTriples(board.offBoardCells ?? [], "offBoardCells", MAX_CELL_AGE), Uint16Array);
+  const offBoardDying = triplesToSparse(checkTriples(board.offBoardDying ?? [], "offBoardDying", 255), Uint8Array);
+
+  const lastStep = totals.lastStep ?? {};
+  return {
+    settings: {
+      speed: settings.speed,
+      rule: settings.rule,
+      topology: settings.topology,
+      engine: settings.engine,
+      stepExponent: settings.stepExponent,
+    },
+    state: {
+      board: {
+        grid,
+        decay,
+        width,
+        height,
+        generationCount: board.generation,
+        originX: Number.isInteger(board.originX) ? board.originX : 0,
+        originY: Number.isInteger(board.originY) ? board.originY : 0,
+        offBoardCells: { xs: offBoard.xs, ys: offBoard.ys, ages: offBoard.values },
+        offBoardDyingCells: { xs: offBoardDying.xs, ys: offBoardDying.ys, decays: offBoardDying.values },
+      },
+      historicOldestAge: Number.isInteger(totals.historicOldestAge) ? totals.historicOldestAge : 0,
+      totalBornCount: Number.isInteger(totals.born) ? totals.born : null, // null after HashLife jumps
+      totalDiedCount: Number.isInteger(totals.died) ? totals.died : null,
+      lastStepStats: {
+        born: Number.isInteger(lastStep.born) ? lastStep.born : null,
+        died: Number.isInteger(lastStep.died) ? lastStep.died : null,
+        oldest: Number.isInteger(lastStep.oldest) ? lastStep.oldest : 0,
+      },
+    },
+    savedAt: typeof data.savedAt === "string" ? data.savedAt : null,
+  };
+}
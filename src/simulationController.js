@@ -1,28 +1,47 @@
 "use strict";
 
 import * as gridState from './gridState.js';
-// import * as gameLogic from './gameLogic.js'; // Logic moved to worker
 import * as renderer from './renderer.js';
-import { DEFAULT_SPEED } from './config.js';
+import * as history from './history.js';
+import * as cycleDetector from './cycleDetector.js';
+import * as cellActivity from './cellActivity.js';
+import { parseRule, formatRule } from './rules.js';
+import { TOPOLOGIES, isValidTopology, supportsRule } from './topology.js';
+import { ENGINES, isValidEngine } from './engines.js';
+import { DEFAULT_SPEED, DEFAULT_RULE, DEFAULT_TOPOLOGY, DEFAULT_ENGINE, MAX_STEP_EXPONENT, MIN_GRID_SIZE, MAX_GRID_SIZE } from './config.js';
 
 // Module-level state
 let isRunning = false;
 let simulationSpeed = DEFAULT_SPEED;
 let timeoutId = null; // Changed from intervalId
 let historicOldestAge = 0; // Track the oldest cell ever seen
-let totalBornCount = 0;    // Track total cells born across all generations
-let totalDiedCount = 0;    // Track total cells died across all generations
+let totalBornCount = 0;    // Track total cells born across all generations (null once unknown)
+let totalDiedCount = 0;    // Track total cells died across all generations (null once unknown)
 let isCalculating = false; // Flag to prevent overlapping worker requests
+let rule = parseRule(DEFAULT_RULE); // Parsed birth/survival tables sent to the worker
+let topology = DEFAULT_TOPOLOGY; // Edge topology name sent to the worker
+let engine = DEFAULT_ENGINE; // Simulation engine name sent to the worker
+let stepExponent = 0; // HashLife advances 2^stepExponent generations per step
+let lastStepStats = { born: 0, died: 0, oldest: 0 }; // Stats of the most recent step
+let discardPendingResult = false; // Set when the board was replaced while the worker was calculating
+let stopWhenSettled = false; // Pause automatically once the board is empty, still or cycling
 
-// Initialize the Web Worker
+// Initialize the Web Worker, which runs the rules from gameLogic.js off the main thread
 const worker = new Worker('src/gameLogic.worker.js', { type: 'module' });
 
 worker.onerror = (error) => {
   console.error("Error in gameLogic.worker.js:", error.message, error);
   // Optionally pause the game or notify the user
   pauseGame();
+  isCalculating = false; // No result is coming, so the next Start or Step may request again
+  gridState.dropCollectedEdits(); // Already on the current board
 };
 
+// Any change other than a step starts cycle detection over
+gridState.addChangeListener((kind) => {
+  if (kind === "edit") cycleDetector.resetCycleDetection();
+});
+
 // Callback for UI updates (to be set by uiController)
 // Now includes stats parameters
 let updateUICallback = (stats) => {
@@ -32,12 +51,54 @@ let updateUICallback = (stats) => {
 
 /**
  * Sets a callback function to update UI elements after a step.
- * @param {Function} callback - The function to call. Expected signature: (stats: {born: number, died: number, totalBorn: number, totalDied: number, oldestCurrent: number, oldestHistoric: number, generation: number, alivePercent: string}) => void
+ * @param {Function} callback - The function to call. Expected signature: (stats: {born: number | null, died: number | null, totalBorn: number | null, totalDied: number | null, oldestCurrent: number, oldestHistoric: number, generation: number, alivePercent: string, population: number, cycle: object | null, generationsPerStep: number}) => void
+ *        Born and died are null when unknown (after a HashLife jump).
  */
 export function setUICallback(callback) {
     updateUICallback = callback;
 }
 
+/**
+ * Sends the current stats (last step, running totals, generation, population, detected cycle, step size) to the UI callback.
+ */
+function notifyUI() {
+    const aliveStats = gridState.getAliveStats();
+    updateUICallback({
+        born: lastStepStats.born,
+        died: lastStepStats.died,
+        totalBorn: totalBornCount,
+        totalDied: totalDiedCount,
+        oldestCurrent: lastStepStats.oldest,
+        oldestHistoric: historicOldestAge,
+        generation: gridState.getGenerationCount(),
+        alivePercent: aliveStats.percentage,
+        population: aliveStats.aliveCount,
+        cycle: cycleDetector.getCycle(),
+        generationsPerStep: getGenerationsPerStep()
+    });
+}
+
+/**
+ * Makes sure a worker result that is still on its way is not applied.
+ * Call before replacing the board while paused (undo, clear, load, ...).
+ */
+function discardInFlightStep() {
+  if (isCalculating) {
+    discardPendingResult = true;
+  }
+}
+
+/**
+ * Checks whether translated copies of the board count as repeats: only on a plain torus,
+ * where shifting every cell by the same amount keeps all neighborhoods intact.
+ * Not with Generations rules, whose dying cells the translation check does not compare.
+ * @returns {boolean}
+ */
+function canBoardTranslate() {
+  const { wrapX, wrapY, twistX, twistY } = TOPOLOGIES[topology];
+  return wrapX && wrapY && !twistX && !twistY && rule.states === 2;
+}
+
 /**
  * Requests the next generation calculation from the worker.
  * This is called by the setTimeout loop or manually for a single step.
@@ -61,11 +122,34 @@ function requestNextStep() {
   }
 
   isCalculating = true;
+  gridState.collectEdits(); // Cells painted before the result arrives are re-applied on top of it
   // console.log("Requesting next step from worker...");
-  const currentGrid = gridState.getGrid();
+  // Send a copy and transfer its buffer: copying the flat array is far cheaper than
+  // structured cloning, and the main thread keeps its own grid for rendering and painting.
+  if (TOPOLOGIES[topology].unbounded) {
+    // Infinite plane: send only the live cells, in world coordinates
+    const cells = gridState.getSparseCells();
+    const dying = gridState.getSparseDyingCells();
+    if (cycleDetector.isBaselineNeeded() && getGenerationsPerStep() === 1) {
+      cycleDetector.observeGeneration(gridState.getGenerationCount(), gridState.getGrid(), gridState.getWidth(),
+        gridState.getHeight(), cycleDetector.computeSparseSignature(cells, dying), false);
+    }
+    worker.postMessage({ cells, dying, rule, topology, engine, stepExponent },
+      [cells.xs.buffer, cells.ys.buffer, cells.ages.buffer, dying.xs.buffer, dying.ys.buffer, dying.decays.buffer]);
+    return;
+  }
+
+  const currentGrid = gridState.getGrid().slice();
+  const currentDecay = gridState.getDecay().slice();
   const width = gridState.getWidth();
   const height = gridState.getHeight();
-  worker.postMessage({ grid: currentGrid, width, height });
+  if (cycleDetector.isBaselineNeeded()) {
+    // The worker only hashes the generations it calculates, so record the starting board here
+    cycleDetector.observeGeneration(gridState.getGenerationCount(), currentGrid, width, height,
+      cycleDetector.computeSignature(currentGrid, width, height, currentDecay), canBoardTranslate());
+  }
+  worker.postMessage({ grid: currentGrid, decay: currentDecay, width, height, rule, topology },
+    [currentGrid.buffer, currentDecay.buffer]);
 }
 
 /**
@@ -74,33 +158,65 @@ function requestNextStep() {
  */
 worker.onmessage = (e) => {
   // console.log("Received result from worker.");
-  const { nextGrid, stats } = e.data;
+  if (discardPendingResult) {
+    // The board was replaced (e.g. by undo) while this generation was being calculated
+    discardPendingResult = false;
+    isCalculating = false;
+    gridState.dropCollectedEdits(); // Already on the current board
+    if (isRunning) {
+      timeoutId = setTimeout(requestNextStep, simulationSpeed); // Calculate again from the current board
+    }
+    return;
+  }
+  const { nextGrid, nextDecay, cells, dying, stats, signature, generations = 1 } = e.data;
 
-  gridState.updateGrid(nextGrid); // Updates global 'grid' and increments generation count
+  const previousState = captureState();
+  const previousBytes = getStateBytes();
+  // Both re-apply the cells edited during the calculation, so painting into a running simulation sticks
+  let editCount;
+  if (cells) {
+    editCount = gridState.updateGridSparse(cells, dying, generations); // Infinite plane: grows the board if needed, advances generation count
+  } else {
+    editCount = gridState.updateGrid(nextGrid, nextDecay); // Updates global 'grid' and increments generation count
+  }
+  if (editCount === null) {
+    // Calculated for another board size; calculate again from the current board
+    isCalculating = false;
+    if (isRunning) {
+      timeoutId = setTimeout(requestNextStep, simulationSpeed);
+    }
+    return;
+  }
+  history.record("step", previousState, previousBytes);
+  lastStepStats = stats;
 
   // Update historic oldest age
   if (stats.oldest > historicOldestAge) {
     historicOldestAge = stats.oldest;
   }
 
-  // Update total counts
-  totalBornCount += stats.born;
-  totalDiedCount += stats.died;
+  // Update total counts (HashLife jumps do not count births and deaths, so from then on the totals are unknown)
+  totalBornCount = stats.born === null || totalBornCount === null ? null : totalBornCount + stats.born;
+  totalDiedCount = stats.died === null || totalDiedCount === null ? null : totalDiedCount + stats.died;
 
-  renderer.renderGrid();
+  // A jump over several generations would only reveal a multiple of the period, so such steps are not checked.
+  // Neither are edited generations, whose signature from the worker does not include the edits.
+  let cycle = null;
+  if (generations === 1 && editCount === 0) {
+    cycle = cycleDetector.observeGeneration(gridState.getGenerationCount(), gridState.getGrid(),
+      gridState.getWidth(), gridState.getHeight(), signature, canBoardTranslate());
+  } else {
+    cycleDetector.resetCycleDetection();
+  }
+  if (cycle) {
+    console.log(`Board settled: ${cycle.kind} with period ${cycle.period} since generation ${cycle.since}.`);
+    if (stopWhenSettled && isRunning) {
+      pauseGame();
+    }
+  }
 
-  // Prepare stats object for UI callback
-  const uiStats = {
-    born: stats.born,
-    died: stats.died,
-    totalBorn: totalBornCount,
-    totalDied: totalDiedCount,
-    oldestCurrent: stats.oldest,
-    oldestHistoric: historicOldestAge,
-    generation: gridState.getGenerationCount(),
-    alivePercent: gridState.getAliveStats().percentage
-  };
-  updateUICallback(uiStats); // Update UI elements with all stats
+  renderer.renderGrid();
+  notifyUI(); // Update UI elements with all stats
 
   isCalculating = false; // Mark calculation as complete
 
@@ -135,18 +251,120 @@ export function runStep() {
 }
 
 /**
- * Starts the simulation loop by requesting the first step from the worker.
+ * Starts the simulation loop by requesting the first step from the worker, unless one is already being calculated.
  */
 export function startGame() {
   if (isRunning) return isRunning; // Already running
 
   isRunning = true;
-  isCalculating = false; // Reset calculation flag
+  // A step still being calculated (e.g. after a quick Pause and Start) schedules the next one when it arrives;
+  // a second request from the same board would apply that generation twice and lose the cells edited meanwhile
   console.log(`Simulation started with speed ${simulationSpeed}ms.`);
   requestNextStep(); // Request the first step
   return isRunning; // Return current state (true)
 }
 
+/**
+ * Resets the running totals, historic oldest age and cell heat/trails, then notifies the UI.
+ * Used whenever the board gets a new starting configuration (clear, reset, load). Render afterwards.
+ */
+function resetStatsAndNotify() {
+    cellActivity.resetActivity();
+    historicOldestAge = 0; // Reset historic stat
+    totalBornCount = 0;    // Reset total born count
+    totalDiedCount = 0;    // Reset total died count
+    lastStepStats = { born: 0, died: 0, oldest: 0 };
+    notifyUI();
+}
+
+/**
+ * Captures the board together with the running totals, for undo/redo.
+ * @returns {{board: object, historicOldestAge: number, totalBornCount: number | null, totalDiedCount: number | null, lastStepStats: {born: number | null, died: number | null, oldest: number}}}
+ */
+function captureState() {
+    return {
+        board: gridState.getSnapshot(),
+        historicOldestAge,
+        totalBornCount,
+        totalDiedCount,
+        lastStepStats
+    };
+}
+
+/**
+ * Estimates the memory used by a captured state.
+ * @returns {number} Approximate size in bytes.
+ */
+function getStateBytes() {
+    return gridState.getGrid().byteLength + gridState.getDecay().byteLength +
+        gridState.getOffBoardCount() * 10; // Off-board cells: two Int32 coordinates and a Uint16 age
+}
+
+/**
+ * Restores a state captured by captureState, then renders and updates the UI.
+ * @param {object} state - The captured state.
+ */
+function restoreState(state) {
+    gridState.restoreSnapshot(state.board);
+    historicOldestAge = state.historicOldestAge;
+    totalBornCount = state.totalBornCount;
+    totalDiedCount = state.totalDiedCount;
+    lastStepStats = state.lastStepStats;
+    renderer.renderGrid();
+    notifyUI();
+}
+
+/**
+ * Records the current board and totals so the next change can be undone.
+ * Call right before changing the board (paint stroke, clear, resize, ...).
+ * @param {string} label - What is about to change, e.g. "paint" or "clear".
+ */
+export function recordHistory(label) {
+    history.record(label, captureState(), getStateBytes());
+}
+
+/**
+ * Undoes the most recent edit or generation. Pauses the simulation first.
+ * @returns {string | null} The label of the undone change, or null if there was nothing to undo.
+ */
+export function undo() {
+    if (!history.peekUndoLabel()) return null;
+    pauseGame();
+    discardInFlightStep();
+    const entry = history.undo(captureState(), getStateBytes());
+    restoreState(entry.snapshot);
+    console.log(`Undid ${entry.label}.`);
+    return entry.label;
+}
+
+/**
+ * Redoes the most recently undone edit or generation. Pauses the simulation first.
+ * @returns {string | null} The label of the redone change, or null if there was nothing to redo.
+ */
+export function redo() {
+    if (!history.peekRedoLabel()) return null;
+    pauseGame();
+    discardInFlightStep();
+    const entry = history.redo(captureState(), getStateBytes());
+    restoreState(entry.snapshot);
+    console.log(`Redid ${entry.label}.`);
+    return entry.label;
+}
+
+/**
+ * Goes back one generation, restoring the board and totals from before the last step.
+ * Only possible if the most recent history entry is a generation (not an edit).
+ * @returns {boolean} True if a generation was stepped back.
+ */
+export function stepBack() {
+    if (history.peekUndoLabel() !== "step") {
+        console.warn("No previous generation to step back to.");
+        return false;
+    }
+    undo();
+    return true;
+}
+
 /**
  * Handles the logic for clearing the grid.
  * Stops simulation, clears state, resets historic stats, renders, and updates UI.
@@ -155,54 +373,112 @@ export function handleClearGrid() {
     if (isRunning) {
         pauseGame(); // Stop simulation if running
     }
-    gridState.clearGrid();
-    historicOldestAge = 0; // Reset historic stat
-    totalBornCount = 0;    // Reset total born count
-    totalDiedCount = 0;    // Reset total died count
+    discardInFlightStep();
+    recordHistory("clear");
+    gridState.clearGrid(); // Keeps the current generation count
+    resetStatsAndNotify();
     renderer.renderGrid();
-    // Update UI with cleared state (0 for all stats)
-    const clearedStats = {
-        born: 0,
-        died: 0,
-        totalBorn: 0, // Include reset total
-        totalDied: 0, // Include reset total
-        oldestCurrent: 0,
-        oldestHistoric: 0,
-        generation: gridState.getGenerationCount(), // Keep current generation count
-        alivePercent: gridState.getAliveStats().percentage // Should be "0.0"
-    };
-    updateUICallback(clearedStats);
     console.log("Grid cleared and historic stats reset.");
 }
 
 /**
  * Handles the logic for resetting the grid to a new random state.
  * Stops simulation, resets state, resets historic stats, renders, and updates UI.
+ * @param {object} [soupOptions={}] - Options for the random soup (seed, density, symmetry, fill area; see soup.js).
  */
-export function handleResetGrid() {
+export function handleResetGrid(soupOptions = {}) {
     if (isRunning) {
         pauseGame(); // Stop simulation if running
     }
-    gridState.resetGrid(); // Resets generation count internally
-    historicOldestAge = 0; // Reset historic stat
-    totalBornCount = 0;    // Reset total born count
-    totalDiedCount = 0;    // Reset total died count
+    discardInFlightStep();
+    recordHistory("randomize");
+    gridState.resetGrid(soupOptions); // Resets generation count internally
+    resetStatsAndNotify();
     renderer.renderGrid();
-    // Update UI with reset state (0 for all stats, new generation count)
-    const resetStats = {
-        born: 0,
-        died: 0,
-        totalBorn: 0, // Include reset total
-        totalDied: 0, // Include reset total
-        oldestCurrent: 0,
-        oldestHistoric: 0,
-        generation: gridState.getGenerationCount(), // Should be 0
-        alivePercent: gridState.getAliveStats().percentage // Will vary based on random start
-    };
-    updateUICallback(resetStats);
     console.log("Grid reset and historic stats reset.");
 }
 
+/**
+ * Handles resizing the board (e.g. from the grid size inputs) as one undo step.
+ * A generation still being calculated for the old size is discarded.
+ * @param {number} width - The new width.
+ * @param {number} height - The new height.
+ */
+export function handleResizeGrid(width, height) {
+    discardInFlightStep();
+    recordHistory("resize");
+    gridState.resizeGrid(width, height);
+    renderer.renderGrid();
+}
+
+/**
+ * Handles loading a pattern (e.g. an imported RLE file) as the new board.
+ * Stops simulation, grows the grid if the pattern does not fit, places the pattern
+ * centered, applies its rule if it has a valid one, resets historic stats, renders, and updates UI.
+ * @param {{width: number, height: number, cells: Array<{x: number, y: number}>, dying?: Array<{x: number, y: number, decay: number}>, rule: string | null}} pattern - The pattern to load.
+ * @returns {boolean} True if the pattern was loaded, false if it is larger than the maximum grid size.
+ */
+export function handleLoadPattern(pattern) {
+    if (pattern.width > MAX_GRID_SIZE || pattern.height > MAX_GRID_SIZE) {
+        console.warn(`Pattern of ${pattern.width}x${pattern.height} exceeds the maximum grid size of ${MAX_GRID_SIZE}.`);
+        return false;
+    }
+    if (isRunning) {
+        pauseGame(); // Stop simulation if running
+    }
+    discardInFlightStep();
+    recordHistory("load pattern");
+    const width = Math.max(gridState.getWidth(), pattern.width, MIN_GRID_SIZE);
+    const height = Math.max(gridState.getHeight(), pattern.height, MIN_GRID_SIZE);
+    gridState.resizeGrid(width, height); // No-op if the pattern already fits
+    gridState.placePattern(pattern.cells, pattern.width, pattern.height, pattern.dying);
+    if (pattern.rule) {
+        setRule(pattern.rule); // Keeps the current rule if the pattern's rule is not supported
+    }
+    resetStatsAndNotify();
+    renderer.renderGrid();
+    console.log("Pattern loaded and historic stats reset.");
+    return true;
+}
+
+/**
+ * Captures everything needed to resume the session later: the board (with cell ages and the generation count),
+ * the running totals and the simulation settings.
+ * @returns {{settings: {speed: number, rule: string, topology: string, engine: string, stepExponent: number}, state: object}}
+ *          The settings and a state as captured for undo/redo (see sessionFormat.js for saving it).
+ */
+export function getSession() {
+    return {
+        settings: { speed: simulationSpeed, rule: formatRule(rule), topology, engine, stepExponent },
+        state: captureState()
+    };
+}
+
+/**
+ * Resumes a session captured by getSession (or read by sessionFormat.parseSession).
+ * Stops the simulation, applies the settings, then restores the board and totals. Undo returns to the board
+ * from before, under the new settings.
+ * @param {{settings: {speed: number, rule: string, topology: string, engine: string, stepExponent: number}, state: object}} session
+ */
+export function loadSession(session) {
+    if (isRunning) {
+        pauseGame(); // Stop simulation if running
+    }
+    discardInFlightStep();
+    recordHistory("load session");
+    const { settings, state } = session;
+    setSimulationSpeed(settings.speed);
+    // Invalid settings are reported and the current ones kept. A B0 rule is refused while the infinite plane is
+    // still set, so it is tried again once the saved edges are
+    const ruleSet = setRule(settings.rule);
+    setTopology(settings.topology); // Before the board: the infinite plane keeps its position and off-board cells
+    if (!ruleSet) setRule(settings.rule);
+    setEngine(settings.engine);
+    setStepExponent(settings.stepExponent);
+    cellActivity.resetActivity(); // Heat and trails of the previous board no longer apply
+    restoreState(state);
+    console.log(`Session loaded at generation ${state.board.generationCount}.`);
+}
 
 /**
  * Pauses the simulation loop by clearing the pending timeout.
@@ -245,6 +521,144 @@ export function setSimulationSpeed(newSpeed) {
   // will automatically use the updated simulationSpeed.
 }
 
+/**
+ * Updates the rule used by the worker. Takes effect from the next requested step.
+ * Restarts cycle detection and updates the UI. Generations rules switch HashLife back to brute force.
+ * Rules with birth on 0 neighbors (B0) are refused on the infinite plane (see topology.supportsRule).
+ * @param {string} ruleString - The rule in B/S notation (e.g. "B36/S23", or "B2/S/C3" for a Generations rule).
+ * @returns {boolean} True if the rule was valid and applied, false otherwise.
+ */
+export function setRule(ruleString) {
+  const parsedRule = parseRule(ruleString);
+  if (!parsedRule) {
+    console.warn(`Invalid rule: ${ruleString}. Keeping ${formatRule(rule)}.`);
+    return false;
+  }
+  if (!supportsRule(topology, parsedRule)) {
+    console.warn(`${formatRule(parsedRule)} has birth on 0 neighbors, which the infinite plane does not support. Keeping ${formatRule(rule)}.`);
+    return false;
+  }
+  if (parsedRule.states > 2 && engine === "hashlife") {
+    console.log(`${ENGINES.hashlife.label} only runs two-state rules. Switching to ${ENGINES[DEFAULT_ENGINE].label}.`);
+    engine = DEFAULT_ENGINE;
+  }
+  rule = parsedRule;
+  renderer.setStateCount(rule.states); // Shades of the dying cells
+  cycleDetector.resetCycleDetection(); // Earlier generations ran under a different rule
+  notifyUI();
+  console.log(`Rule set to ${formatRule(rule)}.`);
+  return true;
+}
+
+/**
+ * Gets the current rule in canonical B/S notation.
+ * @returns {string}
+ */
+export function getRule() {
+    return formatRule(rule);
+}
+
+/**
+ * Updates the edge topology used by the worker. Takes effect from the next requested step.
+ * Restarts cycle detection and updates the UI.
+ * @param {string} newTopology - A key of TOPOLOGIES in topology.js (e.g. "torus", "plane").
+ * @returns {boolean} True if the topology was valid and applied, false otherwise.
+ */
+export function setTopology(newTopology) {
+  if (!isValidTopology(newTopology)) {
+    console.warn(`Invalid topology: ${newTopology}. Keeping ${topology}.`);
+    return false;
+  }
+  if (!supportsRule(newTopology, rule)) {
+    console.warn(`The infinite plane does not support rules with birth on 0 neighbors like ${formatRule(rule)}. Keeping ${topology}.`);
+    return false;
+  }
+  if (TOPOLOGIES[newTopology].unbounded !== TOPOLOGIES[topology].unbounded) {
+    discardInFlightStep(); // Its result is in the other board format
+  }
+  if (ENGINES[engine].requiresUnbounded && !TOPOLOGIES[newTopology].unbounded) {
+    console.log(`${ENGINES[engine].label} needs the infinite plane. Switching to ${ENGINES[DEFAULT_ENGINE].label}.`);
+    engine = DEFAULT_ENGINE;
+  }
+  topology = newTopology;
+  gridState.setUnbounded(TOPOLOGIES[topology].unbounded); // Leaving the infinite plane drops off-board cells
+  cycleDetector.resetCycleDetection(); // Earlier generations ran with different edges
+  notifyUI();
+  console.log(`Topology set to ${topology}.`);
+  return true;
+}
+
+/**
+ * Gets the current edge topology name.
+ * @returns {string}
+ */
+export function getTopology() {
+    return topology;
+}
+
+/**
+ * Selects the simulation engine. Takes effect from the next requested step.
+ * Engines that need the infinite plane switch the topology to it.
+ * @param {string} newEngine - A key of ENGINES in engines.js (e.g. "bruteforce", "hashlife").
+ * @returns {boolean} True if the engine was valid and applied, false otherwise.
+ */
+export function setEngine(newEngine) {
+  if (!isValidEngine(newEngine)) {
+    console.warn(`Invalid engine: ${newEngine}. Keeping ${engine}.`);
+    return false;
+  }
+  if (newEngine === "hashlife" && rule.states > 2) {
+    console.warn(`${ENGINES.hashlife.label} does not support Generations rules like ${formatRule(rule)}.`);
+    return false;
+  }
+  if (ENGINES[newEngine].requiresUnbounded && !TOPOLOGIES[topology].unbounded && !setTopology("infinite")) {
+    return false; // e.g. a B0 rule, which the infinite plane does not support
+  }
+  engine = newEngine;
+  cycleDetector.resetCycleDetection(); // The step size may have changed
+  notifyUI();
+  console.log(`Engine set to ${engine}.`);
+  return true;
+}
+
+/**
+ * Gets the current simulation engine name.
+ * @returns {string}
+ */
+export function getEngine() {
+    return engine;
+}
+
+/**
+ * Sets how far one HashLife step jumps: 2^exponent generations. Clamped to 0..MAX_STEP_EXPONENT.
+ * The brute-force engine always advances one generation per step.
+ * @param {number} exponent - Log2 of the number of generations per step.
+ * @returns {number} The exponent that was applied.
+ */
+export function setStepExponent(exponent) {
+  stepExponent = Math.min(Math.max(Math.round(exponent) || 0, 0), MAX_STEP_EXPONENT);
+  cycleDetector.resetCycleDetection();
+  notifyUI();
+  console.log(`Step size set to 2^${stepExponent} generations.`);
+  return stepExponent;
+}
+
+/**
+ * Gets the HashLife step size exponent.
+ * @returns {number}
+ */
+export function getStepExponent() {
+    return stepExponent;
+}
+
+/**
+ * Gets the number of generations one step advances with the current engine.
+ * @returns {number}
+ */
+export function getGenerationsPerStep() {
+  return engine === "hashlife" ? 2 ** stepExponent : 1;
+}
+
 /**
  * Gets the current simulation speed.
  * @returns {number}
@@ -259,4 +673,20 @@ export function getSimulationSpeed() {
  */
 export function getIsRunning() {
     return isRunning;
-}
\ No newline at end of file
+}
+
+/**
+ * Sets whether the simulation pauses automatically once the board is empty, still or cycling.
+ * @param {boolean} enabled
+ */
+export function setStopWhenSettled(enabled) {
+  stopWhenSettled = enabled;
+}
+
+/**
+ * Gets whether the simulation pauses automatically once the board settles.
+ * @returns {boolean}
+ */
+export function getStopWhenSettled() {
+  return stopWhenSettled;
+}
@@ -0,0 +1,73 @@
+"use strict";
+
+import { createRandom } from './random.js';
+import { DEFAULT_DENSITY, DEFAULT_SYMMETRY } from './config.js';
+
+// Symmetries for random fills. Each maps a cell in a w x h region to the cells that mirror it.
+export const SYMMETRIES = {
+  "none": { label: "None", images: () => [] },
+  "mirror-x": { label: "Mirror left/right", images: (x, y, w) => [[w - 1 - x, y]] },
+  "mirror-y": { label: "Mirror top/bottom", images: (x, y, w, h) => [[x, h - 1 - y]] },
+  "mirror-xy": {
+    label: "Mirror both",
+    images: (x, y, w, h) => [[w - 1 - x, y], [x, h - 1 - y], [w - 1 - x, h - 1 - y]],
+  },
+  "rotate-2": { label: "Rotate 180°", images: (x, y, w, h) => [[w - 1 - x, h - 1 - y]] },
+  "rotate-4": {
+    label: "Rotate 90° (square area)",
+    images: (x, y, w, h) => [[w - 1 - y, x], [w - 1 - x, h - 1 - y], [y, h - 1 - x]],
+  },
+};
+
+/**
+ * Generates a random "soup": a grid with cells set alive at random, reproducible from its seed.
+ * Only the centered fill area is filled; everything else stays dead.
+ * @param {number} width - The grid width.
+ * @param {number} height - The grid height.
+ * @param {object} options - How to fill the grid.
+ * @param {string} options.seed - The seed; the same options and grid size always give the same soup.
+ * @param {number} [options.density] - Percentage of cells (0-100) that start alive.
+ * @param {string} [options.symmetry] - A key of SYMMETRIES.
+ * @param {number} [options.fillWidth=100] - Width of the fill area, as a percentage of the grid width.
+ * @param {number} [options.fillHeight=100] - Height of the fill area, as a percentage of the grid height.
+ * @returns {Uint16Array} Row-major cell ages: 1 for live cells, 0 for dead ones.
+ */
+export function generateSoup(width, height, options) {
+  const { seed, density = DEFAULT_DENSITY, fillWidth = 100, fillHeight = 100 } = options;
+  let symmetry = SYMMETRIES[options.symmetry] ? options.symmetry : DEFAULT_SYMMETRY;
+
+  const regionWidth = Math.min(width, Math.max(1, Math.round(width * fillWidth / 100)));
+  const regionHeight = Math.min(height, Math.max(1, Math.round(height * fillHeight / 100)));
+  const offsetX = Math.floor((width - regionWidth) / 2);
+  const offsetY = Math.floor((height - regionHeight) / 2);
+  if (symmetry === "rotate-4" && regionWidth !== regionHeight) {
+    console.warn(`90° symmetry needs a square fill area, not ${regionWidth}x${regionHeight}. Using 180° instead.`);
+    symmetry = "rotate-2";
+  }
+
+  const random = createRandom(seed);
+  const threshold = density / 100;
+  const images = SYMMETRIES[symmetry].images;
+  const grid = new Uint16Array(width * height);
+
+  for (let y = 0; y < regionHeight; y++) {
+    for (let x = 0; x < regionWidth; x++) {
+      // The first cell of each symmetric group (in row-major order) draws the random number;
+      // the others copy it, so every group uses exactly one number from the sequence.
+      let source = y * regionWidth + x;
+      images(x, y, regionWidth, regionHeight).forEach(([imageX, imageY]) => {
+        source = Math.min(source, imageY * regionWidth + imageX);
+      });
+
+      const index = (y + offsetY) * width + x + offsetX;
+      if (source === y * regionWidth + x) {
+        grid[index] = random() < threshold ? 1 : 0;
+      } else {
+        const sourceX = source % regionWidth;
+        const sourceY = Math.floor(source / regionWidth);
+        grid[index] = grid[(sourceY + offsetY) * width + sourceX + offsetX];
+      }
+    }
+  }
+  return grid;
+}
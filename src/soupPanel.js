@@ -0,0 +1,75 @@
+"use strict";
+
+import * as renderer from './renderer.js';
+import { SYMMETRIES } from './soup.js';
+import { DEFAULT_DENSITY, DEFAULT_SYMMETRY } from './config.js';
+
+// DOM Elements
+const soupPanel = document.getElementById("soupPanel");
+const seedInput = document.getElementById("seedInput");
+const densityInput = document.getElementById("densityInput");
+const densityValue = document.getElementById("densityValue");
+const symmetrySelect = document.getElementById("symmetrySelect");
+const fillWidthInput = document.getElementById("fillWidthInput");
+const fillHeightInput = document.getElementById("fillHeightInput");
+
+/**
+ * Reads a percentage from a number input, clamped to 1-100.
+ * @param {HTMLInputElement} input - The input to read.
+ * @returns {number} The percentage; 100 if the input is empty or invalid.
+ */
+function readPercentage(input) {
+  const value = parseInt(input.value, 10);
+  if (isNaN(value)) return 100;
+  return Math.min(100, Math.max(1, value));
+}
+
+/**
+ * Shows the density slider's value next to it.
+ */
+function updateDensityValue() {
+  densityValue.textContent = `${densityInput.value}%`;
+}
+
+/**
+ * Collects the random fill options from the panel, for the Randomize button.
+ * @returns {{seed: string | null, density: number, symmetry: string, fillWidth: number, fillHeight: number}}
+ *          Options for generateSoup. seed is null if the user left it empty (a fresh seed is used).
+ */
+export function getSoupOptions() {
+  if (!soupPanel) return {}; // Panel missing: fall back to the defaults
+  return {
+    seed: seedInput.value.trim() || null,
+    density: parseInt(densityInput.value, 10),
+    symmetry: symmetrySelect.value,
+    fillWidth: readPercentage(fillWidthInput),
+    fillHeight: readPercentage(fillHeightInput),
+  };
+}
+
+/**
+ * Fills in the random fill panel and sets up its event listeners.
+ */
+export function setupSoupPanel() {
+  if (!soupPanel || !seedInput || !densityInput || !densityValue || !symmetrySelect || !fillWidthInput || !fillHeightInput) {
+    console.error("Randomize option elements not found. Randomize will use the defaults.");
+    return;
+  }
+  console.log("Setting up randomize options...");
+
+  Object.entries(SYMMETRIES).forEach(([name, { label }]) => {
+    const option = document.createElement("option");
+    option.value = name;
+    option.textContent = label;
+    symmetrySelect.appendChild(option);
+  });
+  symmetrySelect.value = DEFAULT_SYMMETRY;
+  densityInput.value = DEFAULT_DENSITY;
+  updateDensityValue();
+
+  densityInput.addEventListener("input", updateDensityValue);
+  // Opening or closing the panel changes the space available to the grid
+  soupPanel.addEventListener("toggle", renderer.updateGridAppearance);
+
+  console.log("Randomize options set up.");
+}
@@ -0,0 +1,173 @@
+"use strict";
+
+import * as gridState from './gridState.js';
+import * as renderer from './renderer.js';
+import * as painter from './painter.js';
+import * as simulationController from './simulationController.js';
+import { PATTERN_LIBRARY, getLibraryPattern } from './patternLibrary.js';
+import { rotateClockwise, flipHorizontal, flipVertical } from './patternTransforms.js';
+
+// DOM Elements
+const libraryPanel = document.getElementById("libraryPanel");
+const libraryList = document.getElementById("libraryList");
+const stampStatus = document.getElementById("stampStatus");
+
+const IDLE_STATUS = "Pick a pattern, then click the grid to stamp it.";
+
+// Module-level state
+let stampPattern = null; // The selected pattern, with rotation/flips applied
+let hoverCoords = null; // Cell under the pointer, or null when outside the grid
+
+/**
+ * Calculates where the pattern's top-left corner goes so it is centered on a cell.
+ * @param {{x: number, y: number}} coords - The cell under the pointer.
+ * @returns {{x: number, y: number}} The origin for the pattern.
+ */
+function getStampOrigin(coords) {
+  return {
+    x: coords.x - Math.floor(stampPattern.width / 2),
+    y: coords.y - Math.floor(stampPattern.height / 2),
+  };
+}
+
+/**
+ * Draws the ghost preview of the selected pattern under the pointer, or clears it.
+ */
+function updatePreview() {
+  if (!stampPattern || !hoverCoords) {
+    renderer.clearOverlay();
+    return;
+  }
+  const origin = getStampOrigin(hoverCoords);
+  renderer.drawOverlay(stampPattern.cells.map(({ x, y }) => ({ x: x + origin.x, y: y + origin.y })));
+}
+
+// Pointer handlers used while a pattern is selected (see painter.setActiveTool)
+const stampTool = {
+  onPointerDown(coords) {
+    hoverCoords = coords;
+    const origin = getStampOrigin(coords);
+    simulationController.recordHistory("stamp");
+    const placed = gridState.stampCells(stampPattern.cells, origin.x, origin.y);
+    console.log(`Stamped ${stampPattern.name ?? "pattern"} at (${origin.x}, ${origin.y}): ${placed} cells on the grid.`);
+    renderer.renderGrid();
+    updatePreview();
+  },
+  onPointerMove(coords) {
+    hoverCoords = coords;
+    updatePreview();
+  },
+  onPointerLeave() {
+    hoverCoords = null;
+    renderer.clearOverlay();
+  },
+  onDeactivate: resetStamp,
+};
+
+/**
+ * Selects a library pattern for stamping, or deselects it if it is already selected.
+ * @param {string} name - The pattern name.
+ */
+function togglePattern(name) {
+  if (stampPattern && stampPattern.name === name) {
+    cancelStamp();
+    return;
+  }
+  startStamp(getLibraryPattern(name));
+}
+
+/**
+ * Starts stamping a pattern: each click on the grid places a copy, until Esc or another tool takes over.
+ * @param {{width: number, height: number, cells: Array<{x: number, y: number}>, name?: string | null}} pattern
+ *        The pattern, e.g. from the library or the clipboard.
+ */
+export function startStamp(pattern) {
+  stampPattern = pattern;
+  painter.setActiveTool(stampTool);
+  libraryList.querySelectorAll("button").forEach((button) => {
+    button.classList.toggle("selected", button.dataset.pattern === pattern.name);
+  });
+  const label = pattern.name ?? `${pattern.width}x${pattern.height} pattern`;
+  stampStatus.textContent = `Stamping ${label}. R: rotate, F: flip horizontally, V: flip vertically, Esc: stop.`;
+  updatePreview();
+}
+
+/**
+ * Forgets the stamped pattern and resets the library panel. Runs whenever the stamp stops being the active tool.
+ */
+function resetStamp() {
+  stampPattern = null;
+  libraryList.querySelectorAll("button.selected").forEach((button) => button.classList.remove("selected"));
+  stampStatus.textContent = IDLE_STATUS;
+}
+
+/**
+ * Deselects the current pattern and hands pointer input back to painting.
+ */
+function cancelStamp() {
+  painter.setActiveTool(null);
+  resetStamp();
+}
+
+/**
+ * Handles keyboard shortcuts for rotating, flipping and cancelling the stamp.
+ * @param {KeyboardEvent} event - The keydown event.
+ */
+function handleKeyDown(event) {
+  if (!stampPattern || event.ctrlKey || event.metaKey || event.altKey) return;
+  // Leave typing in form fields alone
+  if (event.target.closest("input, textarea, select")) return;
+
+  switch (event.key.toLowerCase()) {
+    case "r":
+      stampPattern = rotateClockwise(stampPattern);
+      break;
+    case "f":
+      stampPattern = flipHorizontal(stampPattern);
+      break;
+    case "v":
+      stampPattern = flipVertical(stampPattern);
+      break;
+    case "escape":
+      cancelStamp();
+      break;
+    default:
+      return;
+  }
+  event.preventDefault();
+  updatePreview();
+}
+
+/**
+ * Builds the pattern library panel and sets up its event listeners.
+ */
+export function setupPatternLibrary() {
+  if (!libraryPanel || !libraryList || !stampStatus) {
+    console.error("Pattern library elements not found. Cannot set up the library.");
+    return;
+  }
+  console.log("Setting up pattern library...");
+
+  PATTERN_LIBRARY.forEach(({ category, patterns }) => {
+    const group = document.createElement("div");
+    group.classList.add("library-category");
+    const heading = document.createElement("h2");
+    heading.textContent = category;
+    group.appendChild(heading);
+    patterns.forEach(({ name }) => {
+      const button = document.createElement("button");
+      button.textContent = name;
+      button.dataset.pattern = name;
+      button.addEventListener("click", () => togglePattern(name));
+      group.appendChild(button);
+    });
+    libraryList.appendChild(group);
+  });
+  stampStatus.textContent = IDLE_STATUS;
+
+  document.addEventListener("keydown", handleKeyDown);
+  // Opening or closing the panel changes the space available to the grid
+  libraryPanel.addEventListener("toggle", renderer.updateGridAppearance);
+
+  console.log("Pattern library set up.");
+}
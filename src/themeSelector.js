@@ -0,0 +1,97 @@
+"use strict";
+
+import * as renderer from './renderer.js';
+import * as populationChart from './populationChart.js';
+import * as backgroundAnimation from './backgroundAnimation.js';
+import * as uiController from './uiController.js';
+import { THEMES, DEFAULT_THEME, isValidTheme } from './themes.js';
+
+const STORAGE_KEY = "gameOfLifeTheme"; // localStorage key of the chosen theme
+
+// DOM Elements
+const themeSelect = document.getElementById("themeSelect");
+
+// Module-level state
+let currentTheme = DEFAULT_THEME;
+
+/**
+ * Reads the theme chosen in an earlier visit.
+ * @returns {string} The saved theme name, or the default if none was saved or storage is unavailable.
+ */
+function loadSavedTheme() {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    if (saved !== null && isValidTheme(saved)) return saved;
+  } catch (error) {
+    console.warn("Could not read the saved theme:", error);
+  }
+  return DEFAULT_THEME;
+}
+
+/**
+ * Remembers the chosen theme for the next visit.
+ * @param {string} name - The theme name.
+ */
+function saveTheme(name) {
+  try {
+    localStorage.setItem(STORAGE_KEY, name);
+  } catch (error) {
+    console.warn("Could not save the theme:", error); // e.g. storage disabled; the theme still applies now
+  }
+}
+
+/**
+ * Sets the CSS custom properties and light cycle colors of a theme.
+ * Canvases that cache colors must be redrawn afterwards (see handleThemeChange).
+ * @param {string} name - A key of THEMES.
+ */
+function applyTheme(name) {
+  const theme = THEMES[name];
+  const rootStyle = document.documentElement.style;
+  Object.entries(theme.properties).forEach(([property, value]) => {
+    rootStyle.setProperty(property, value);
+  });
+  backgroundAnimation.setColors(theme.lightCycles.colors, theme.lightCycles.fade);
+  currentTheme = name;
+}
+
+/**
+ * Applies the theme saved in localStorage. Call before anything is drawn, so the page starts in its colors.
+ */
+export function applySavedTheme() {
+  applyTheme(loadSavedTheme());
+}
+
+/**
+ * Handles changes to the theme select: applies, saves and redraws in the new colors.
+ */
+function handleThemeChange() {
+  if (!isValidTheme(themeSelect.value)) {
+    console.warn(`Invalid theme: ${themeSelect.value}. Keeping ${currentTheme}.`);
+    themeSelect.value = currentTheme;
+    return;
+  }
+  applyTheme(themeSelect.value);
+  saveTheme(currentTheme);
+  renderer.refreshColors();
+  populationChart.refreshColors();
+  uiController.updateLegend();
+}
+
+/**
+ * Fills the theme select and sets up its event listener.
+ */
+export function setupThemeSelector() {
+  if (!themeSelect) {
+    console.error("Theme select not found. Cannot set up themes.");
+    return;
+  }
+  Object.entries(THEMES).forEach(([name, { label }]) => {
+    const option = document.createElement("option");
+    option.value = name;
+    option.textContent = label;
+    themeSelect.appendChild(option);
+  });
+  themeSelect.value = currentTheme;
+  themeSelect.addEventListener("change", handleThemeChange);
+}
@@ -0,0 +1,134 @@
+"use strict";
+
+/**
+ * Color themes, keyed by the name stored in localStorage.
+ * - properties: values for the CSS custom properties of style.css. The renderer and the population chart read
+ *   their colors from these too, so a theme covers the page, the cells and the glow (--tron-cyan-glow).
+ * - lightCycles: colors of the background light cycles (#rrggbb, their trails add an alpha channel), and the
+ *   translucent background painted over each frame to fade the trails.
+ * The first theme repeats the defaults of style.css.
+ */
+export const THEMES = {
+  legacy: {
+    label: "TRON Legacy (cyan)",
+    properties: {
+      "--tron-cyan": "#00ffff",
+      "--tron-cyan-glow": "rgba(0, 255, 255, 0.7)",
+      "--tron-bg": "#050810",
+      "--tron-bg-secondary": "rgba(0, 0, 0, 0.6)",
+      "--tron-border": "#00ffff",
+      "--tron-text": "#00ffff",
+      "--tron-text-darker": "#00aaaa",
+      "--tron-newly-alive": "#ffffff",
+      "--tron-cell-highlight": "rgba(255, 255, 255, 0.5)",
+      "--tron-grid-line": "rgba(0, 255, 255, 0.1)",
+      "--tron-ghost": "rgba(255, 255, 255, 0.45)",
+      "--tron-chart-deaths": "#ff8c00",
+      "--tron-decay": "#00ffff",
+      "--tron-age-old": "#ff9900",
+      "--tron-heat-cold": "#0a2a6a",
+      "--tron-heat-hot": "#ff9900",
+    },
+    lightCycles: { colors: ["#ff9900", "#ff0000", "#00ff00", "#cccccc"], fade: "rgba(5, 8, 16, 0.1)" },
+  },
+  clu: {
+    label: "TRON Clu (orange)",
+    properties: {
+      "--tron-cyan": "#ff9900",
+      "--tron-cyan-glow": "rgba(255, 153, 0, 0.7)",
+      "--tron-bg": "#100805",
+      "--tron-bg-secondary": "rgba(0, 0, 0, 0.6)",
+      "--tron-border": "#ff9900",
+      "--tron-text": "#ff9900",
+      "--tron-text-darker": "#b36b00",
+      "--tron-newly-alive": "#fff2cc",
+      "--tron-cell-highlight": "rgba(255, 255, 255, 0.5)",
+      "--tron-grid-line": "rgba(255, 153, 0, 0.12)",
+      "--tron-ghost": "rgba(255, 242, 204, 0.45)",
+      "--tron-chart-deaths": "#ff3300",
+      "--tron-decay": "#ff9900",
+      "--tron-age-old": "#ff2200",
+      "--tron-heat-cold": "#4a1500",
+      "--tron-heat-hot": "#ffee88",
+    },
+    lightCycles: { colors: ["#00ffff", "#ff3300", "#ffcc00", "#cccccc"], fade: "rgba(16, 8, 5, 0.1)" },
+  },
+  monochrome: {
+    label: "Monochrome",
+    properties: {
+      "--tron-cyan": "#d0d0d0",
+      "--tron-cyan-glow": "rgba(255, 255, 255, 0.35)",
+      "--tron-bg": "#0a0a0a",
+      "--tron-bg-secondary": "rgba(0, 0, 0, 0.6)",
+      "--tron-border": "#a0a0a0",
+      "--tron-text": "#d0d0d0",
+      "--tron-text-darker": "#8a8a8a",
+      "--tron-newly-alive": "#ffffff",
+      "--tron-cell-highlight": "rgba(255, 255, 255, 0.4)",
+      "--tron-grid-line": "rgba(255, 255, 255, 0.08)",
+      "--tron-ghost": "rgba(255, 255, 255, 0.4)",
+      "--tron-chart-deaths": "#707070",
+      "--tron-decay": "#d0d0d0",
+      "--tron-age-old": "#505050",
+      "--tron-heat-cold": "#262626",
+      "--tron-heat-hot": "#ffffff",
+    },
+    lightCycles: { colors: ["#808080", "#606060", "#a0a0a0", "#404040"], fade: "rgba(10, 10, 10, 0.1)" },
+  },
+  "high-contrast": {
+    label: "High contrast (projectors)",
+    properties: {
+      "--tron-cyan": "#ffff00",
+      "--tron-cyan-glow": "transparent", // Glow blurs into the background on projectors
+      "--tron-bg": "#000000",
+      "--tron-bg-secondary": "#000000",
+      "--tron-border": "#ffffff",
+      "--tron-text": "#ffffff",
+      "--tron-text-darker": "#ffff00",
+      "--tron-newly-alive": "#ffffff",
+      "--tron-cell-highlight": "rgba(0, 0, 0, 0.6)",
+      "--tron-grid-line": "rgba(255, 255, 255, 0.35)",
+      "--tron-ghost": "rgba(0, 255, 255, 0.7)",
+      "--tron-chart-deaths": "#ff4040",
+      "--tron-decay": "#ffff00",
+      "--tron-age-old": "#ff00ff",
+      "--tron-heat-cold": "#0040ff",
+      "--tron-heat-hot": "#ff0000",
+    },
+    lightCycles: { colors: ["#333333"], fade: "rgba(0, 0, 0, 0.2)" },
+  },
+  colorblind: {
+    label: "Colorblind-safe",
+    // Okabe-Ito palette, distinguishable with the common forms of color blindness
+    properties: {
+      "--tron-cyan": "#56b4e9",
+      "--tron-cyan-glow": "rgba(86, 180, 233, 0.6)",
+      "--tron-bg": "#06080c",
+      "--tron-bg-secondary": "rgba(0, 0, 0, 0.6)",
+      "--tron-border": "#56b4e9",
+      "--tron-text": "#56b4e9",
+      "--tron-text-darker": "#3d8ab5",
+      "--tron-newly-alive": "#f0e442",
+      "--tron-cell-highlight": "rgba(255, 255, 255, 0.5)",
+      "--tron-grid-line": "rgba(86, 180, 233, 0.12)",
+      "--tron-ghost": "rgba(240, 228, 66, 0.5)",
+      "--tron-chart-deaths": "#d55e00",
+      "--tron-decay": "#56b4e9",
+      "--tron-age-old": "#e69f00",
+      "--tron-heat-cold": "#0072b2",
+      "--tron-heat-hot": "#e69f00",
+    },
+    lightCycles: { colors: ["#e69f00", "#009e73", "#cc79a7", "#999999"], fade: "rgba(6, 8, 12, 0.1)" },
+  },
+};
+
+export const DEFAULT_THEME = "legacy";
+
+/**
+ * Checks whether a theme name is supported.
+ * @param {string} name - The theme name.
+ * @returns {boolean} True if the name is a key of THEMES.
+ */
+export function isValidTheme(name) {
+  return Object.prototype.hasOwnProperty.call(THEMES, name);
+}
@@ -0,0 +1,71 @@
+"use strict";
+
+import * as renderer from './renderer.js';
+import * as painter from './painter.js';
+import { DRAWING_TOOLS, MAX_BRUSH_SIZE } from './drawingTools.js';
+
+// DOM Elements
+const toolPanel = document.getElementById("toolPanel");
+const toolList = document.getElementById("toolList");
+const brushSizeInput = document.getElementById("brushSizeInput");
+const brushSizeValue = document.getElementById("brushSizeValue");
+const fillShapesCheckbox = document.getElementById("fillShapesCheckbox");
+
+/**
+ * Marks the current drawing tool's button as pressed.
+ */
+function updateToolButtons() {
+  const current = painter.getDrawingTool();
+  toolList.querySelectorAll("button").forEach((button) => {
+    const isCurrent = button.dataset.tool === current;
+    button.classList.toggle("selected", isCurrent);
+    button.setAttribute("aria-pressed", String(isCurrent));
+  });
+}
+
+/**
+ * Handles a click on a tool button: draws with that tool from now on, ending any stamp or selection.
+ * @param {string} name - A key of DRAWING_TOOLS.
+ */
+function handleToolClick(name) {
+  if (painter.setDrawingTool(name)) {
+    updateToolButtons();
+  }
+}
+
+/**
+ * Handles the brush size slider.
+ */
+function handleBrushSizeInput() {
+  painter.setBrushSize(parseInt(brushSizeInput.value, 10));
+  brushSizeValue.textContent = brushSizeInput.value;
+}
+
+/**
+ * Builds the drawing tool palette and sets up its event listeners.
+ */
+export function setupToolPalette() {
+  if (!toolPanel || !toolList || !brushSizeInput || !brushSizeValue || !fillShapesCheckbox) {
+    console.error("Drawing tool elements not found. Cannot set up the tool palette.");
+    return;
+  }
+  console.log("Setting up tool palette...");
+
+  Object.entries(DRAWING_TOOLS).forEach(([name, { label }]) => {
+    const button = document.createElement("button");
+    button.textContent = label;
+    button.dataset.tool = name;
+    button.addEventListener("click", () => handleToolClick(name));
+    toolList.appendChild(button);
+  });
+  updateToolButtons();
+  brushSizeInput.max = MAX_BRUSH_SIZE;
+  handleBrushSizeInput();
+
+  brushSizeInput.addEventListener("input", handleBrushSizeInput);
+  fillShapesCheckbox.addEventListener("change", () => painter.setFillShapes(fillShapesCheckbox.checked));
+  // Opening or closing the panel changes the space available to the grid
+  toolPanel.addEventListener("toggle", renderer.updateGridAppearance);
+
+  console.log("Tool palette set up.");
+}
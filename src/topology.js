@@ -0,0 +1,41 @@
+"use strict";
+
+/**
+ * Supported edge topologies, keyed by the name sent to the worker.
+ * - wrapX/wrapY: whether the left/right (X) or top/bottom (Y) edges are glued together.
+ *   Edges that are not glued are bounded by permanently dead cells.
+ * - twistX/twistY: whether crossing the glued X (or Y) edge mirrors the other coordinate,
+ *   which turns a cylinder into a Klein bottle, and a torus into a cross-surface when both are twisted.
+ * - unbounded: whether the plane is infinite. The worker then tracks only live cells, and the board
+ *   grows as patterns expand (see gridState.updateGridSparse).
+ */
+export const TOPOLOGIES = {
+  torus: { label: "Torus", wrapX: true, wrapY: true, twistX: false, twistY: false, unbounded: false },
+  plane: { label: "Bounded plane", wrapX: false, wrapY: false, twistX: false, twistY: false, unbounded: false },
+  "cylinder-x": { label: "Cylinder (wrap X)", wrapX: true, wrapY: false, twistX: false, twistY: false, unbounded: false },
+  "cylinder-y": { label: "Cylinder (wrap Y)", wrapX: false, wrapY: true, twistX: false, twistY: false, unbounded: false },
+  "klein-x": { label: "Klein bottle (twist X)", wrapX: true, wrapY: true, twistX: true, twistY: false, unbounded: false },
+  "klein-y": { label: "Klein bottle (twist Y)", wrapX: true, wrapY: true, twistX: false, twistY: true, unbounded: false },
+  "cross-surface": { label: "Cross-surface", wrapX: true, wrapY: true, twistX: true, twistY: true, unbounded: false },
+  infinite: { label: "Infinite plane (grows)", wrapX: false, wrapY: false, twistX: false, twistY: false, unbounded: true },
+};
+
+/**
+ * Checks whether a topology name is supported.
+ * @param {string} name - The topology name.
+ * @returns {boolean} True if the name is a key of TOPOLOGIES.
+ */
+export function isValidTopology(name) {
+  return Object.prototype.hasOwnProperty.call(TOPOLOGIES, name);
+}
+
+/**
+ * Checks whether a rule can run on a topology. The infinite plane only looks at live cells and their neighbors,
+ * so rules with birth on 0 neighbors (B0), which would fill the whole empty plane at once, cannot run there.
+ * @param {string} name - A key of TOPOLOGIES.
+ * @param {{birth: boolean[]}} rule - The parsed rule (see rules.js).
+ * @returns {boolean} True if the rule can run on the topology.
+ */
+export function supportsRule(name, rule) {
+  return !(TOPOLOGIES[name].unbounded && rule.birth[0]);
+}
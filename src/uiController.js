@@ -3,26 +3,87 @@
 import * as gridState from './gridState.js';
 import * as renderer from './renderer.js';
 import * as simulationController from './simulationController.js';
-import { DEFAULT_WIDTH, DEFAULT_HEIGHT, DEFAULT_SPEED } from './config.js';
+import * as history from './history.js';
+import * as urlState from './urlState.js';
+import * as soupPanel from './soupPanel.js';
+import * as populationChart from './populationChart.js';
+import * as viewport from './viewport.js';
+import { announce } from './announcer.js';
+import { RULE_PRESETS, getRuleName, parseRule } from './rules.js';
+import { TOPOLOGIES, supportsRule } from './topology.js';
+import { ENGINES } from './engines.js';
+import { RENDER_MODES } from './renderModes.js';
+import { DEFAULT_WIDTH, DEFAULT_HEIGHT, DEFAULT_SPEED, MIN_GRID_SIZE, MAX_GRID_SIZE, MAX_STEP_EXPONENT } from './config.js';
 
 // DOM Elements
 const gridWidthInput = document.getElementById("gridWidthInput");
 const gridHeightInput = document.getElementById("gridHeightInput");
 const speedInput = document.getElementById("speedInput");
+const ruleInput = document.getElementById("ruleInput");
+const rulePresetList = document.getElementById("rulePresets");
+const topologySelect = document.getElementById("topologySelect");
+const engineSelect = document.getElementById("engineSelect");
+const settingsStatus = document.getElementById("settingsStatus");
+const stepExponentInput = document.getElementById("stepExponentInput");
+const stepSizeDisplay = document.getElementById("stepSizeValue");
+const renderModeSelect = document.getElementById("renderModeSelect");
+const renderLegend = document.getElementById("renderLegend");
+const renderLegendMin = document.getElementById("renderLegendMin");
+const renderLegendBar = document.getElementById("renderLegendBar");
+const renderLegendMax = document.getElementById("renderLegendMax");
 const startPauseButton = document.getElementById("startPauseButton");
 const stepButton = document.getElementById("stepButton");
 const resetButton = document.getElementById("resetButton");
 const clearButton = document.getElementById("clearButton");
+const undoButton = document.getElementById("undoButton");
+const redoButton = document.getElementById("redoButton");
+const stepBackButton = document.getElementById("stepBackButton");
+const historyDepthInput = document.getElementById("historyDepthInput");
+const copyLinkButton = document.getElementById("copyLinkButton");
+const ruleDisplay = document.getElementById("ruleDisplay");
 const generationCountDisplay = document.getElementById("generationCount");
 const alivePercentageDisplay = document.getElementById("alivePercentage");
 const bornDisplay = document.getElementById("stats-born");
 const diedDisplay = document.getElementById("stats-died");
 const oldestCurrentDisplay = document.getElementById("stats-oldest-current");
 const oldestHistoricDisplay = document.getElementById("stats-oldest-historic");
+const soupSeedDisplay = document.getElementById("soupSeed");
+const cycleDisplay = document.getElementById("cycleDisplay");
+const offBoardRow = document.getElementById("offBoardRow");
+const offBoardDisplay = document.getElementById("offBoardCount");
+const stopWhenSettledCheckbox = document.getElementById("stopWhenSettledCheckbox");
+const shortcutHelpButton = document.getElementById("shortcutHelpButton");
+const shortcutHelpDialog = document.getElementById("shortcutHelp");
+
+const ANNOUNCE_INTERVAL = 5000; // Least time in ms between announcements of the generation while running
+
+// Module-level state
+let lastAnnouncementTime = 0;
+
+/**
+ * Describes a detected cycle for the info table.
+ * @param {{kind: string, period: number, since: number, dx: number, dy: number} | null} cycle - From the cycle detector.
+ * @param {number} [generationsPerStep=1] - Generations per step; cycles are not looked for when a step skips generations.
+ * @returns {string} A short description, e.g. "Period 2 since gen 153".
+ */
+function describeCycle(cycle, generationsPerStep = 1) {
+  if (generationsPerStep > 1) return `Not checked (${generationsPerStep.toLocaleString()} gens per step)`;
+  if (!cycle) return "Not yet";
+  switch (cycle.kind) {
+    case "empty":
+      return `Empty since gen ${cycle.since}`;
+    case "still":
+      return `Still life since gen ${cycle.since}`;
+    case "spaceship":
+      return `Moving (${cycle.dx}, ${cycle.dy}) per ${cycle.period} gens since gen ${cycle.since}`;
+    default:
+      return `Period ${cycle.period} since gen ${cycle.since}`;
+  }
+}
 
 /**
  * Updates the UI elements that display information based on the provided stats object.
- * @param {{born: number, died: number, totalBorn: number, totalDied: number, oldestCurrent: number, oldestHistoric: number, generation: number, alivePercent: string}} stats - The statistics object from the simulation controller.
+ * @param {{born: number | null, died: number | null, totalBorn: number | null, totalDied: number | null, oldestCurrent: number, oldestHistoric: number, generation: number, alivePercent: string, population: number, cycle: object | null, generationsPerStep: number}} stats - The statistics object from the simulation controller.
  */
 function updateInfoDisplays(stats) {
     if (!stats) {
@@ -36,7 +97,10 @@ function updateInfoDisplays(stats) {
             oldestCurrent: 0,
             oldestHistoric: 0, // Cannot get this without simulation controller state
             generation: gridState.getGenerationCount(),
-            alivePercent: gridState.getAliveStats().percentage
+            alivePercent: gridState.getAliveStats().percentage,
+            population: gridState.getAliveStats().aliveCount,
+            cycle: null,
+            generationsPerStep: simulationController.getGenerationsPerStep()
         };
     }
 
@@ -61,6 +125,28 @@ function updateInfoDisplays(stats) {
         // Note: Historic oldest is managed in simulationController, passed via stats
         oldestHistoricDisplay.textContent = stats.oldestHistoric ?? 'N/A';
     }
+    if (offBoardRow && offBoardDisplay) {
+        // Only the infinite plane keeps cells beyond the board
+        offBoardRow.hidden = !TOPOLOGIES[simulationController.getTopology()].unbounded;
+        offBoardDisplay.textContent = gridState.getOffBoardCount();
+    }
+    // The infinite plane's board grows by itself
+    if (document.activeElement !== gridWidthInput) gridWidthInput.value = gridState.getWidth();
+    if (document.activeElement !== gridHeightInput) gridHeightInput.value = gridState.getHeight();
+    if (soupSeedDisplay) {
+        soupSeedDisplay.textContent = gridState.getSoupSeed() ?? 'N/A';
+    }
+    if (cycleDisplay) {
+        cycleDisplay.textContent = describeCycle(stats.cycle, stats.generationsPerStep);
+    }
+    populationChart.recordStats(stats);
+    updateLegend(); // The heat map scale grows with every step
+    announceStats(stats);
+    // The simulation pauses itself once the board settles if "Stop when settled" is checked
+    if (startPauseButton && startPauseButton.textContent === "Pause" && !simulationController.getIsRunning()) {
+        startPauseButton.textContent = "Start";
+        urlState.scheduleHashUpdate();
+    }
 }
 
 /**
@@ -78,10 +164,10 @@ function handleSizeChange() {
   let newHeight = parseInt(gridHeightInput.value, 10);
 
   // Validation
-  const minWidth = parseInt(gridWidthInput.min, 10) || 4;
-  const maxWidth = parseInt(gridWidthInput.max, 10) || 100;
-  const minHeight = parseInt(gridHeightInput.min, 10) || 4;
-  const maxHeight = parseInt(gridHeightInput.max, 10) || 100;
+  const minWidth = parseInt(gridWidthInput.min, 10) || MIN_GRID_SIZE;
+  const maxWidth = parseInt(gridWidthInput.max, 10) || MAX_GRID_SIZE;
+  const minHeight = parseInt(gridHeightInput.min, 10) || MIN_GRID_SIZE;
+  const maxHeight = parseInt(gridHeightInput.max, 10) || MAX_GRID_SIZE;
 
   let widthChanged = false;
   let heightChanged = false;
@@ -105,8 +191,7 @@ function handleSizeChange() {
   // Only resize if dimensions actually changed
   if (widthChanged || heightChanged) {
       console.log(`UI Handling size change to ${newWidth}x${newHeight}`);
-      gridState.resizeGrid(newWidth, newHeight);
-      renderer.renderGrid(); // Render the newly resized grid
+      simulationController.handleResizeGrid(newWidth, newHeight); // Also drops a generation calculated for the old size
       updateInfoDisplays(); // Update stats after resize
   } else {
       // If dimensions didn't change but event fired (e.g., user typed same value),
@@ -137,6 +222,151 @@ function handleSpeedChange() {
   }
 
   simulationController.setSimulationSpeed(newSpeed);
+  urlState.scheduleHashUpdate();
+}
+
+/**
+ * Updates the rule display in the info table, including the preset name if known.
+ */
+function updateRuleDisplay() {
+  if (!ruleDisplay) return;
+  const currentRule = simulationController.getRule();
+  const ruleName = getRuleName(currentRule);
+  ruleDisplay.textContent = ruleName ? `${currentRule} (${ruleName})` : currentRule;
+}
+
+/**
+ * Shows why a rule, edge or engine change was refused, below the controls.
+ * @param {string} message - The message, or "" to clear it.
+ */
+function showSettingsStatus(message) {
+  if (settingsStatus) settingsStatus.textContent = message;
+}
+
+/**
+ * Handles changes to the rule input.
+ * Validates the rulestring, applies it to the simulation and normalizes the input text.
+ */
+function handleRuleChange() {
+  if (simulationController.setRule(ruleInput.value)) {
+    ruleInput.classList.remove("invalid");
+    showSettingsStatus("");
+    ruleInput.value = simulationController.getRule(); // Show canonical notation
+    updateRuleDisplay();
+    updateEngineControls(); // Generations rules switch HashLife off
+    renderer.renderGrid(); // Dying cells are shaded by the rule's number of states
+    urlState.scheduleHashUpdate();
+  } else {
+    ruleInput.classList.add("invalid");
+    const parsedRule = parseRule(ruleInput.value);
+    showSettingsStatus(parsedRule && !supportsRule(simulationController.getTopology(), parsedRule)
+      ? `${ruleInput.value} has birth on 0 neighbors, which would fill the infinite plane. Choose other edges first.`
+      : "");
+  }
+}
+
+/**
+ * Clears the invalid marker while the user edits the rule input.
+ */
+function handleRuleInput() {
+  ruleInput.classList.remove("invalid");
+}
+
+/**
+ * Handles changes to the edge topology select.
+ */
+function handleTopologyChange() {
+  if (!simulationController.setTopology(topologySelect.value)) {
+    showSettingsStatus(`${simulationController.getRule()} has birth on 0 neighbors, which would fill the infinite plane.`);
+    topologySelect.value = simulationController.getTopology(); // Revert to the active topology
+    return;
+  }
+  showSettingsStatus("");
+  renderer.renderGrid(); // Leaving the infinite plane may have dropped cells
+  updateEngineControls(); // Leaving the infinite plane switches HashLife off
+  urlState.scheduleHashUpdate();
+}
+
+/**
+ * Handles changes to the engine select.
+ */
+function handleEngineChange() {
+  if (!simulationController.setEngine(engineSelect.value)) {
+    const currentRule = simulationController.getRule();
+    showSettingsStatus(parseRule(currentRule).states > 2
+      ? `${ENGINES.hashlife.label} does not run Generations rules like ${currentRule}.`
+      : `${currentRule} has birth on 0 neighbors, which would fill the infinite plane ${ENGINES.hashlife.label} runs on.`);
+    engineSelect.value = simulationController.getEngine(); // Revert to the active engine
+    return;
+  }
+  showSettingsStatus("");
+  topologySelect.value = simulationController.getTopology(); // HashLife switches to the infinite plane
+  updateEngineControls();
+  urlState.scheduleHashUpdate();
+}
+
+/**
+ * Handles changes to the step size input (HashLife jumps 2^k generations per step).
+ */
+function handleStepExponentChange() {
+  const exponent = parseInt(stepExponentInput.value, 10);
+  if (isNaN(exponent)) {
+    console.warn(`Invalid step size input: ${stepExponentInput.value}. Resetting.`);
+  } else {
+    simulationController.setStepExponent(exponent); // Clamps to the allowed range
+  }
+  updateEngineControls();
+  urlState.scheduleHashUpdate();
+}
+
+/**
+ * Updates the engine select and the step size input to match the simulation controller.
+ * The step size only applies to HashLife.
+ */
+function updateEngineControls() {
+  engineSelect.value = simulationController.getEngine();
+  stepExponentInput.value = simulationController.getStepExponent();
+  stepExponentInput.disabled = simulationController.getEngine() !== "hashlife";
+  if (stepSizeDisplay) {
+    const generations = simulationController.getGenerationsPerStep();
+    stepSizeDisplay.textContent = `= ${generations.toLocaleString()} gen${generations === 1 ? "" : "s"}`;
+  }
+}
+
+/**
+ * Handles changes to the colors select: switches the render mode and shows its legend.
+ */
+function handleRenderModeChange() {
+  if (!renderer.setRenderMode(renderModeSelect.value)) {
+    renderModeSelect.value = renderer.getRenderMode(); // Revert to the active mode
+  }
+  updateLegend();
+}
+
+/**
+ * Shows the legend of the current render mode below the grid, or hides it if the mode needs none.
+ * Call again when the colors change (e.g. a new theme).
+ */
+export function updateLegend() {
+  if (!renderLegend || !renderLegendMin || !renderLegendBar || !renderLegendMax) return;
+  const legend = renderer.getLegend();
+  renderLegend.hidden = !legend;
+  if (!legend) return;
+  renderLegendMin.textContent = legend.minLabel;
+  renderLegendMax.textContent = legend.maxLabel;
+  renderLegendBar.style.background = `linear-gradient(to right, ${legend.colors.join(", ")})`;
+}
+
+/**
+ * Announces the generation and population to screen readers: after every change while paused,
+ * and at most every ANNOUNCE_INTERVAL while running, so the announcements can keep up.
+ * @param {{generation: number, population: number}} stats - The statistics object from the simulation controller.
+ */
+function announceStats(stats) {
+  const now = performance.now();
+  if (simulationController.getIsRunning() && now - lastAnnouncementTime < ANNOUNCE_INTERVAL) return;
+  lastAnnouncementTime = now;
+  announce(`Generation ${stats.generation}, population ${stats.population}`);
 }
 
 /**
@@ -145,6 +375,8 @@ function handleSpeedChange() {
 function handleStartPause() {
     const isRunning = simulationController.toggleSimulation();
     startPauseButton.textContent = isRunning ? "Pause" : "Start";
+    announce(isRunning ? "Running" : "Paused");
+    urlState.scheduleHashUpdate(); // Skipped while running; captures the board once paused
 }
 
 /**
@@ -161,7 +393,7 @@ function handleStep() {
  * Uses the simulation controller's handler which manages state, rendering, and UI updates.
  */
 function handleReset() {
-    simulationController.handleResetGrid();
+    simulationController.handleResetGrid(soupPanel.getSoupOptions());
     // Update button text immediately as simulation is paused by handleResetGrid
     startPauseButton.textContent = "Start";
 }
@@ -176,6 +408,156 @@ function handleClear() {
     startPauseButton.textContent = "Start";
 }
 
+/**
+ * Enables or disables the undo, redo and step back buttons and describes what they would do.
+ */
+function updateHistoryButtons() {
+    const undoLabel = history.peekUndoLabel();
+    const redoLabel = history.peekRedoLabel();
+    undoButton.disabled = !undoLabel;
+    undoButton.title = undoLabel ? `Undo ${undoLabel} (Ctrl+Z)` : "Nothing to undo";
+    redoButton.disabled = !redoLabel;
+    redoButton.title = redoLabel ? `Redo ${redoLabel} (Ctrl+Y)` : "Nothing to redo";
+    stepBackButton.disabled = undoLabel !== "step";
+}
+
+/**
+ * Handles the undo button click (and Ctrl+Z).
+ */
+function handleUndo() {
+    simulationController.undo();
+    syncControls(); // Undo pauses the simulation and may restore a different grid size
+}
+
+/**
+ * Handles the redo button click (and Ctrl+Y / Ctrl+Shift+Z).
+ */
+function handleRedo() {
+    simulationController.redo();
+    syncControls();
+}
+
+/**
+ * Handles the step back button click.
+ */
+function handleStepBack() {
+    simulationController.stepBack();
+    syncControls();
+}
+
+/**
+ * Handles changes to the history depth input.
+ */
+function handleHistoryDepthChange() {
+    const newDepth = parseInt(historyDepthInput.value, 10);
+    const minDepth = parseInt(historyDepthInput.min, 10) || 1;
+    if (isNaN(newDepth) || newDepth < minDepth) {
+        console.warn(`Invalid history depth input: ${historyDepthInput.value}. Resetting.`);
+        historyDepthInput.value = history.getMaxDepth();
+        return;
+    }
+    history.setMaxDepth(newDepth);
+}
+
+/**
+ * Handles the undo/redo keyboard shortcuts. Form fields keep their own undo behavior.
+ * @param {KeyboardEvent} event - The keydown event.
+ */
+function handleHistoryKeyDown(event) {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+    if (event.target.closest("input, textarea, select")) return;
+
+    const key = event.key.toLowerCase();
+    if (key === "z" && !event.shiftKey) {
+        handleUndo();
+    } else if (key === "y" || (key === "z" && event.shiftKey)) {
+        handleRedo();
+    } else {
+        return;
+    }
+    event.preventDefault();
+}
+
+/**
+ * Opens the keyboard shortcut overlay, or closes it if it is open.
+ */
+function toggleShortcutHelp() {
+    if (!shortcutHelpDialog) return;
+    if (shortcutHelpDialog.open) {
+        shortcutHelpDialog.close();
+    } else {
+        shortcutHelpDialog.showModal(); // Esc and its Close button close it again
+    }
+}
+
+/**
+ * Handles the single-key shortcuts for the main controls (see the shortcut overlay).
+ * Keys already handled elsewhere, e.g. R rotating a selected library pattern or the arrow keys moving the
+ * cell cursor, are left alone; Space is reported by the viewport, which also uses it for panning.
+ * @param {KeyboardEvent} event - The keydown event.
+ */
+function handleShortcutKeyDown(event) {
+    if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey) return;
+    if (event.target.closest("input, textarea, select")) return;
+    if (shortcutHelpDialog && shortcutHelpDialog.open && event.key !== "?") return;
+
+    switch (event.key) {
+        case "n":
+        case "N":
+        case "ArrowRight":
+            handleStep();
+            break;
+        case "r":
+        case "R":
+            handleReset();
+            break;
+        case "c":
+        case "C":
+            handleClear();
+            break;
+        case "+":
+        case "=":
+            stepNumberInput(speedInput, -1); // Shorter interval: faster
+            announce(`Speed ${speedInput.value} ms`);
+            break;
+        case "-":
+        case "_":
+            stepNumberInput(speedInput, 1);
+            announce(`Speed ${speedInput.value} ms`);
+            break;
+        case "?":
+            toggleShortcutHelp();
+            break;
+        default:
+            return;
+    }
+    event.preventDefault();
+}
+
+/**
+ * Handles the "Stop when settled" checkbox.
+ */
+function handleStopWhenSettledChange() {
+  simulationController.setStopWhenSettled(stopWhenSettledCheckbox.checked);
+}
+
+/**
+ * Handles the copy link button click: writes the current setup into the URL and copies the URL.
+ */
+function handleCopyLink() {
+    urlState.updateHash();
+    navigator.clipboard.writeText(window.location.href)
+        .then(() => {
+            copyLinkButton.textContent = "Copied!";
+            setTimeout(() => { copyLinkButton.textContent = "Copy Link"; }, 1500);
+        })
+        .catch((error) => {
+            console.warn("Could not copy the link to the clipboard:", error);
+            copyLinkButton.textContent = "Copy failed";
+            setTimeout(() => { copyLinkButton.textContent = "Copy Link"; }, 1500);
+        });
+}
+
 /**
  * Handles the mouse wheel event on number input fields to increment/decrement the value.
  * @param {WheelEvent} event The wheel event object.
@@ -183,18 +565,21 @@ function handleClear() {
  */
 function handleInputWheel(event, inputElement) {
   event.preventDefault(); // Prevent page scrolling
+  stepNumberInput(inputElement, event.deltaY < 0 ? 1 : -1); // Scrolling up increments
+}
 
+/**
+ * Increments or decrements a number input by its step, within its min/max bounds, and applies the new value.
+ * @param {HTMLInputElement} inputElement The number input.
+ * @param {number} direction 1 to increment, -1 to decrement.
+ */
+function stepNumberInput(inputElement, direction) {
   const currentValue = parseFloat(inputElement.value);
   const step = parseFloat(inputElement.step) || 1;
   const min = parseFloat(inputElement.min);
   const max = parseFloat(inputElement.max);
 
-  let newValue;
-  if (event.deltaY < 0) { // Scrolling up
-    newValue = currentValue + step;
-  } else { // Scrolling down
-    newValue = currentValue - step;
-  }
+  let newValue = currentValue + direction * step;
 
   // Clamp the value within min/max bounds
   if (!isNaN(min) && newValue < min) newValue = min;
@@ -214,7 +599,7 @@ function handleInputWheel(event, inputElement) {
  * Sets up all event listeners for UI controls.
  */
 export function setupEventListeners() {
-  if (!gridWidthInput || !gridHeightInput || !speedInput || !startPauseButton || !stepButton || !resetButton || !clearButton) {
+  if (!gridWidthInput || !gridHeightInput || !speedInput || !ruleInput || !topologySelect || !engineSelect || !stepExponentInput || !renderModeSelect || !startPauseButton || !stepButton || !resetButton || !clearButton || !undoButton || !redoButton || !stepBackButton || !historyDepthInput || !copyLinkButton || !stopWhenSettledCheckbox) {
       console.error("One or more UI control elements not found. Cannot attach listeners.");
       return;
   }
@@ -224,31 +609,101 @@ export function setupEventListeners() {
   stepButton.addEventListener("click", handleStep);
   resetButton.addEventListener("click", handleReset);
   clearButton.addEventListener("click", handleClear);
+  undoButton.addEventListener("click", handleUndo);
+  redoButton.addEventListener("click", handleRedo);
+  stepBackButton.addEventListener("click", handleStepBack);
+  historyDepthInput.addEventListener("change", handleHistoryDepthChange);
+  copyLinkButton.addEventListener("click", handleCopyLink);
+  stopWhenSettledCheckbox.addEventListener("change", handleStopWhenSettledChange);
+  document.addEventListener("keydown", handleHistoryKeyDown);
+  // On window, so the document's listeners (e.g. the stamp tool's R) get the keys first
+  window.addEventListener("keydown", handleShortcutKeyDown);
+  viewport.setSpaceTapCallback(handleStartPause);
+  if (shortcutHelpButton) {
+    shortcutHelpButton.addEventListener("click", toggleShortcutHelp);
+  }
 
   gridWidthInput.addEventListener("change", handleSizeChange);
   gridHeightInput.addEventListener("change", handleSizeChange);
   speedInput.addEventListener("change", handleSpeedChange);
+  ruleInput.addEventListener("change", handleRuleChange);
+  ruleInput.addEventListener("input", handleRuleInput);
+  topologySelect.addEventListener("change", handleTopologyChange);
+  engineSelect.addEventListener("change", handleEngineChange);
+  stepExponentInput.addEventListener("change", handleStepExponentChange);
+  renderModeSelect.addEventListener("change", handleRenderModeChange);
 
   // Add wheel event listeners for number inputs
   gridWidthInput.addEventListener("wheel", (e) => handleInputWheel(e, gridWidthInput));
   gridHeightInput.addEventListener("wheel", (e) => handleInputWheel(e, gridHeightInput));
   speedInput.addEventListener("wheel", (e) => handleInputWheel(e, speedInput));
+  historyDepthInput.addEventListener("wheel", (e) => handleInputWheel(e, historyDepthInput));
+  stepExponentInput.addEventListener("wheel", (e) => handleInputWheel(e, stepExponentInput));
 
   // Set the callback in the simulation controller to update UI after each step
   simulationController.setUICallback(updateInfoDisplays);
+  // Keep the undo/redo buttons in sync with the history
+  history.setChangeCallback(updateHistoryButtons);
 
   console.log("UI Event listeners attached.");
 }
 
 /**
- * Initializes the UI state (input values, button text, info displays).
+ * Updates the control inputs, rule display and Start/Pause button text to match
+ * the current grid and simulation state. Call after state changes made outside
+ * the controls (e.g. loading a pattern).
  */
-export function initializeUI() {
-    console.log("Initializing UI state...");
+export function syncControls() {
     gridWidthInput.value = gridState.getWidth();
     gridHeightInput.value = gridState.getHeight();
     speedInput.value = simulationController.getSimulationSpeed();
+    ruleInput.value = simulationController.getRule();
+    ruleInput.classList.remove("invalid");
+    topologySelect.value = simulationController.getTopology();
+    updateEngineControls();
     startPauseButton.textContent = simulationController.getIsRunning() ? "Pause" : "Start";
+    historyDepthInput.value = history.getMaxDepth();
+    stopWhenSettledCheckbox.checked = simulationController.getStopWhenSettled();
+    updateRuleDisplay();
+    updateHistoryButtons();
+}
+
+/**
+ * Initializes the UI state (input values, button text, info displays).
+ */
+export function initializeUI() {
+    console.log("Initializing UI state...");
+    gridWidthInput.min = gridHeightInput.min = MIN_GRID_SIZE;
+    gridWidthInput.max = gridHeightInput.max = MAX_GRID_SIZE;
+    if (rulePresetList) {
+        RULE_PRESETS.forEach(({ name, rule }) => {
+            const option = document.createElement("option");
+            option.value = rule;
+            option.label = name;
+            rulePresetList.appendChild(option);
+        });
+    }
+    Object.entries(TOPOLOGIES).forEach(([name, { label }]) => {
+        const option = document.createElement("option");
+        option.value = name;
+        option.textContent = label;
+        topologySelect.appendChild(option);
+    });
+    Object.entries(ENGINES).forEach(([name, { label }]) => {
+        const option = document.createElement("option");
+        option.value = name;
+        option.textContent = label;
+        engineSelect.appendChild(option);
+    });
+    stepExponentInput.max = MAX_STEP_EXPONENT;
+    Object.entries(RENDER_MODES).forEach(([name, { label }]) => {
+        const option = document.createElement("option");
+        option.value = name;
+        option.textContent = label;
+        renderModeSelect.appendChild(option);
+    });
+    renderModeSelect.value = renderer.getRenderMode();
+    syncControls();
     // Initial display update with default stats
     const initialStats = {
         born: 0,
@@ -258,8 +713,11 @@ export function initializeUI() {
         oldestCurrent: 0,
         oldestHistoric: 0, // Historic starts at 0
         generation: gridState.getGenerationCount(),
-        alivePercent: gridState.getAliveStats().percentage
+        alivePercent: gridState.getAliveStats().percentage,
+        population: gridState.getAliveStats().aliveCount,
+        cycle: null,
+        generationsPerStep: simulationController.getGenerationsPerStep()
     };
     updateInfoDisplays(initialStats);
     console.log("UI state initialized.");
-}
\ No newline at end of file
+}
@@ -0,0 +1,201 @@
+"use strict";
+
+import * as gridState from './gridState.js';
+import * as simulationController from './simulationController.js';
+import { parseRLE, toRLE, createPatternFromCells } from './patternFormats.js';
+import { TOPOLOGIES } from './topology.js';
+import { MIN_GRID_SIZE, MAX_GRID_SIZE } from './config.js';
+
+const HASH_UPDATE_DELAY = 300; // milliseconds; batches the many changes of a paint stroke
+
+// Module-level state
+let hashUpdateTimeoutId = null;
+
+/**
+ * Encodes text as URL-safe base64 without padding.
+ * @param {string} text - ASCII text (RLE only uses ASCII).
+ * @returns {string} The base64url encoding.
+ */
+function toBase64Url(text) {
+  return btoa(text).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+/**
+ * Decodes URL-safe base64 (with or without padding) back into text.
+ * @param {string} encoded - The base64url encoding.
+ * @returns {string} The decoded text.
+ */
+function fromBase64Url(encoded) {
+  const base64 = encoded.replace(/-/g, "+").replace(/_/g, "/");
+  return atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, "="));
+}
+
+/**
+ * Encodes the current setup (dimensions, speed, rule, topology, engine, step size and cells) as a URL hash.
+ * The live cells, and the dying cells of Generations rules, are stored as the RLE run data of their bounding box
+ * (base64url-encoded) and the board position of its top-left corner. On the infinite plane this includes the cells
+ * beyond the board, and the board's position in the world, as long as they all fit in the largest board (see decodeState).
+ * @returns {string} The hash, including the leading '#'.
+ */
+function encodeState() {
+  let cells = gridState.getLiveCells(true);
+  let dying = gridState.getDyingCells(true);
+  const rule = simulationController.getRule();
+  let pattern = createPatternFromCells(cells, rule, dying);
+  if (pattern.width > MAX_GRID_SIZE || pattern.height > MAX_GRID_SIZE) {
+    console.warn(`Cells spread over ${pattern.width}x${pattern.height}, more than a link holds. Sharing only the cells on the board.`);
+    cells = gridState.getLiveCells();
+    dying = gridState.getDyingCells();
+    pattern = createPatternFromCells(cells, rule, dying);
+  }
+  const rle = toRLE(pattern);
+  const runData = rle.slice(rle.indexOf("\n") + 1).replace(/\n/g, ""); // Drop the header line
+
+  const params = new URLSearchParams({
+    w: gridState.getWidth(),
+    h: gridState.getHeight(),
+    s: simulationController.getSimulationSpeed(),
+    r: rule,
+    t: simulationController.getTopology(),
+    e: simulationController.getEngine(),
+    k: simulationController.getStepExponent(),
+    p: toBase64Url(runData),
+  });
+  // Bounding box and board positions are left out when zero, as in links from before they were stored
+  const left = [...cells, ...dying].reduce((min, { x }) => Math.min(min, x), Infinity);
+  const top = [...cells, ...dying].reduce((min, { y }) => Math.min(min, y), Infinity);
+  const origin = gridState.getOrigin();
+  Object.entries({ px: left, py: top, ox: origin.x, oy: origin.y }).forEach(([key, value]) => {
+    if (Number.isFinite(value) && value !== 0) params.set(key, value);
+  });
+  return `#${params.toString()}`;
+}
+
+/**
+ * Reads an integer parameter that defaults to 0 (bounding box and board positions).
+ * @param {URLSearchParams} params - The parameters.
+ * @param {string} key - The parameter name.
+ * @returns {number}
+ */
+function getOffset(params, key) {
+  const value = parseInt(params.get(key), 10);
+  return isNaN(value) ? 0 : value;
+}
+
+/**
+ * Decodes a URL hash written by encodeState.
+ * @param {string} hash - The hash, with or without the leading '#'.
+ * @returns {{width: number, height: number, speed: number | null, rule: string | null, topology: string | null, engine: string | null, stepExponent: number | null, cells: Array<{x: number, y: number}>, dying: Array<{x: number, y: number, decay: number}>, originX: number, originY: number} | null}
+ *          The decoded setup, with cells in board coordinates (beyond the board on the infinite plane), or null if the
+ *          hash does not describe one. The cells must fit in the board's size, or in the largest board on the infinite
+ *          plane, so a short link cannot ask for more cells than a board holds.
+ * @throws {PatternParseError} If the cells are malformed or their runs reach past that size.
+ */
+function decodeState(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ""));
+  const width = parseInt(params.get("w"), 10);
+  const height = parseInt(params.get("h"), 10);
+  if (isNaN(width) || isNaN(height) ||
+      width < MIN_GRID_SIZE || width > MAX_GRID_SIZE || height < MIN_GRID_SIZE || height > MAX_GRID_SIZE) {
+    return null;
+  }
+
+  let cells = [];
+  let dying = [];
+  if (params.has("p")) {
+    const runData = fromBase64Url(params.get("p"));
+    const rule = params.get("r");
+    const unbounded = TOPOLOGIES[params.get("t")]?.unbounded ?? false;
+    const maxWidth = unbounded ? MAX_GRID_SIZE : width;
+    const maxHeight = unbounded ? MAX_GRID_SIZE : height;
+    const pattern = parseRLE(`x = 0, y = 0${rule ? `, rule = ${rule}` : ""}\n${runData}`, Math.max(maxWidth, maxHeight));
+    if ([...pattern.cells, ...pattern.dying].some(({ x, y }) => x >= maxWidth || y >= maxHeight)) {
+      console.warn(`URL hash has cells beyond its ${maxWidth}x${maxHeight} grid.`);
+      return null;
+    }
+    const left = getOffset(params, "px");
+    const top = getOffset(params, "py");
+    cells = pattern.cells.map(({ x, y }) => ({ x: x + left, y: y + top }));
+    dying = pattern.dying.map(({ x, y, decay }) => ({ x: x + left, y: y + top, decay }));
+  }
+
+  const speed = parseInt(params.get("s"), 10);
+  const stepExponent = parseInt(params.get("k"), 10);
+  return {
+    width,
+    height,
+    speed: speed > 0 ? speed : null,
+    rule: params.get("r"),
+    topology: params.get("t"),
+    engine: params.get("e"),
+    stepExponent: isNaN(stepExponent) ? null : stepExponent,
+    cells,
+    dying,
+    originX: getOffset(params, "ox"),
+    originY: getOffset(params, "oy"),
+  };
+}
+
+/**
+ * Initializes the grid and simulation settings from the URL hash, if it holds a shared setup.
+ * Must run before anything else initializes the grid.
+ * @returns {boolean} True if the hash was applied; false if there was no valid setup and the caller should initialize normally.
+ */
+export function applyStateFromHash() {
+  if (!window.location.hash) return false;
+
+  let state;
+  try {
+    state = decodeState(window.location.hash);
+  } catch (error) {
+    console.warn("Could not read the setup from the URL hash:", error.message);
+    return false;
+  }
+  if (!state) {
+    console.warn("URL hash does not contain a valid setup. Ignoring it.");
+    return false;
+  }
+
+  gridState.initializeGrid(state.width, state.height, null); // Empty grid instead of a random fill
+  if (state.speed) simulationController.setSimulationSpeed(state.speed);
+  const ruleSet = !state.rule || simulationController.setRule(state.rule);
+  if (state.topology) simulationController.setTopology(state.topology);
+  if (!ruleSet) simulationController.setRule(state.rule); // A B0 rule is refused until the edges leave the infinite plane
+  if (state.engine) simulationController.setEngine(state.engine);
+  if (state.stepExponent !== null) simulationController.setStepExponent(state.stepExponent);
+  // After the edges are set: on the infinite plane the cells beyond the board are kept
+  gridState.loadCells(state.cells, state.dying, state.originX, state.originY);
+  console.log(`Loaded ${state.width}x${state.height} setup with ${state.cells.length} live cells from the URL.`);
+  return true;
+}
+
+/**
+ * Writes the current setup into the URL hash without adding a browser history entry.
+ */
+export function updateHash() {
+  if (hashUpdateTimeoutId !== null) {
+    clearTimeout(hashUpdateTimeoutId);
+    hashUpdateTimeoutId = null;
+  }
+  window.history.replaceState(null, "", encodeState());
+}
+
+/**
+ * Schedules a URL hash update shortly after the latest call, so bursts of changes write the hash once.
+ * Changes made while the simulation is running are skipped; the hash is written again when it pauses.
+ */
+export function scheduleHashUpdate() {
+  if (simulationController.getIsRunning()) return;
+  if (hashUpdateTimeoutId !== null) {
+    clearTimeout(hashUpdateTimeoutId);
+  }
+  hashUpdateTimeoutId = setTimeout(updateHash, HASH_UPDATE_DELAY);
+}
+
+/**
+ * Keeps the URL hash in sync with the board while the simulation is paused.
+ */
+export function setupUrlSync() {
+  gridState.addChangeListener(scheduleHashUpdate);
+  console.log("URL hash sync enabled.");
+}
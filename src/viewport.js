@@ -0,0 +1,158 @@
+"use strict";
+
+import * as gridState from './gridState.js';
+import * as renderer from './renderer.js';
+
+// DOM Elements
+const gridContainer = document.getElementById("grid-container");
+const minimapCanvas = document.getElementById("minimapCanvas");
+const fitGridButton = document.getElementById("fitGridButton");
+const fitPatternButton = document.getElementById("fitPatternButton");
+
+// Module-level state
+let isSpaceHeld = false; // Space + drag pans instead of painting
+let panLastX = null; // Pointer position during a pan, or null when not panning
+let panLastY = null;
+let isDraggingMinimap = false;
+let didPanWithSpace = false; // Whether the Space key currently held was used for panning
+let spaceTapCallback = () => {}; // Called when Space is pressed and released without panning
+
+/**
+ * Checks whether a keyboard event comes from a control (a form field, button, link, ...), where Space keeps its
+ * usual meaning: typing a space, or pressing the focused button.
+ * @param {KeyboardEvent} event - The keyboard event.
+ * @returns {boolean}
+ */
+function isOnControl(event) {
+  return Boolean(event.target.closest &&
+    event.target.closest("button, a, summary, [role=button], input, select, textarea, [contenteditable]"));
+}
+
+/**
+ * Handles the mouse wheel over the grid: zooms in or out around the pointer.
+ * @param {WheelEvent} event - The wheel event.
+ */
+function handleWheel(event) {
+  event.preventDefault(); // Zoom instead of scrolling the page
+  if (event.deltaY === 0) return;
+  renderer.zoomAt(event.clientX, event.clientY, event.deltaY < 0 ? 1 : -1);
+}
+
+/**
+ * Centers the view on the grid position under a point of the minimap.
+ * @param {PointerEvent} event - A pointer event over the minimap.
+ */
+function centerOnMinimapPoint(event) {
+  const cell = renderer.getCellAtMinimapPoint(event.clientX, event.clientY);
+  if (cell) renderer.centerOnCell(cell.x, cell.y);
+}
+
+/**
+ * Starts panning (middle button, or left button with Space held) or minimap dragging.
+ * Runs before the painter's listener and stops the event from reaching it.
+ * @param {PointerEvent} event - The pointerdown event.
+ */
+function handlePointerDown(event) {
+  if (event.target === minimapCanvas) {
+    isDraggingMinimap = true;
+    centerOnMinimapPoint(event);
+  } else if (event.button === 1 || (event.button === 0 && isSpaceHeld)) {
+    if (isSpaceHeld) didPanWithSpace = true;
+    panLastX = event.clientX;
+    panLastY = event.clientY;
+    gridContainer.classList.add("panning");
+  } else {
+    return; // Not ours: let the painter handle it
+  }
+  event.preventDefault();
+  event.stopPropagation();
+}
+
+/**
+ * Pans the view or follows the pointer on the minimap while dragging.
+ * @param {PointerEvent} event - The pointermove event.
+ */
+function handlePointerMove(event) {
+  if (isDraggingMinimap) {
+    centerOnMinimapPoint(event);
+  } else if (panLastX !== null) {
+    renderer.panBy(panLastX - event.clientX, panLastY - event.clientY);
+    panLastX = event.clientX;
+    panLastY = event.clientY;
+  }
+}
+
+/**
+ * Ends panning or minimap dragging.
+ */
+function handlePointerUp() {
+  isDraggingMinimap = false;
+  panLastX = null;
+  panLastY = null;
+  gridContainer.classList.remove("panning");
+}
+
+/**
+ * Tracks the Space key, which turns left-button drags on the grid into panning.
+ * Pressing and releasing it without panning is a tap, reported to the space tap callback.
+ * Only handled with the grid or the page focused, so Space still presses a focused button.
+ * @param {KeyboardEvent} event - The keydown or keyup event.
+ */
+function handleSpaceKey(event) {
+  if (event.code !== "Space" || isOnControl(event)) return;
+  if (event.type === "keydown" && !isSpaceHeld) {
+    didPanWithSpace = false;
+  } else if (event.type === "keyup" && isSpaceHeld && !didPanWithSpace) {
+    spaceTapCallback();
+  }
+  isSpaceHeld = event.type === "keydown";
+  gridContainer.classList.toggle("pan-ready", isSpaceHeld);
+  event.preventDefault(); // Don't scroll the page
+}
+
+/**
+ * Sets the function called when Space is tapped (pressed and released without panning).
+ * @param {Function} callback - The function to call.
+ */
+export function setSpaceTapCallback(callback) {
+  spaceTapCallback = callback;
+}
+
+/**
+ * Zooms so all live cells fill the view, or shows the whole grid if there are none.
+ */
+function handleFitPattern() {
+  const bounds = gridState.getLiveBounds();
+  if (bounds) {
+    renderer.fitToBounds(bounds);
+  } else {
+    renderer.fitGrid();
+  }
+}
+
+/**
+ * Sets up zooming, panning, the minimap and the fit buttons.
+ */
+export function setupViewportListeners() {
+  if (!gridContainer || !minimapCanvas || !fitGridButton || !fitPatternButton) {
+    console.error("Viewport elements not found. Cannot attach zoom and pan listeners.");
+    return;
+  }
+  console.log("Setting up viewport listeners...");
+
+  gridContainer.addEventListener("wheel", handleWheel, { passive: false });
+  gridContainer.addEventListener("pointerdown", handlePointerDown, { capture: true }); // Before the painter
+  window.addEventListener("pointermove", handlePointerMove);
+  window.addEventListener("pointerup", handlePointerUp);
+  window.addEventListener("pointercancel", handlePointerUp);
+  document.addEventListener("keydown", handleSpaceKey);
+  document.addEventListener("keyup", handleSpaceKey);
+  window.addEventListener("blur", () => {
+    isSpaceHeld = false; // The keyup may never arrive
+    gridContainer.classList.remove("pan-ready");
+  });
+  fitGridButton.addEventListener("click", renderer.fitGrid);
+  fitPatternButton.addEventListener("click", handleFitPattern);
+
+  console.log("Viewport listeners attached.");
+}
@@ -0,0 +1,108 @@
+"use strict";
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseRule, formatRule, createBoard, stepBoard, runGenerations, getBoardStats, getLiveCells,
+} from '../src/gameLogic.js';
+
+const LIFE = parseRule("B3/S23");
+const BLINKER = { width: 3, height: 1, cells: [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 2, y: 0 }] };
+const GLIDER = { width: 3, height: 3, cells: [{ x: 1, y: 0 }, { x: 2, y: 1 }, { x: 0, y: 2 }, { x: 1, y: 2 }, { x: 2, y: 2 }] };
+
+/**
+ * Lists live cells as sorted "x,y" strings, so boards can be compared regardless of cell order.
+ * @param {Array<{x: number, y: number}>} cells - The cells.
+ * @returns {string[]}
+ */
+function keys(cells) {
+  return cells.map(({ x, y }) => `${x},${y}`).sort();
+}
+
+test("parseRule reads B/S, S/B and Generations notation", () => {
+  assert.equal(formatRule(parseRule("B3/S23")), "B3/S23");
+  assert.equal(formatRule(parseRule("23/3")), "B3/S23");
+  assert.equal(formatRule(parseRule("b36/s23")), "B36/S23");
+  const briansBrain = parseRule("B2/S/C3");
+  assert.equal(briansBrain.states, 3);
+  assert.equal(briansBrain.birth[2], true);
+  assert.equal(briansBrain.survival.some(Boolean), false);
+  assert.equal(parseRule("B9/S23"), null);
+  assert.equal(parseRule("hello"), null);
+});
+
+test("a blinker has period 2", () => {
+  const board = createBoard(BLINKER, { topology: "torus", width: 5, height: 5 });
+  const once = stepBoard(board, LIFE);
+  assert.deepEqual(keys(getLiveCells(once.board)), ["2,1", "2,2", "2,3"]);
+  assert.deepEqual(once.stats, { born: 2, died: 2, oldest: 2 });
+  const twice = stepBoard(once.board, LIFE);
+  assert.equal(twice.board.generation, 2);
+  assert.deepEqual(keys(getLiveCells(twice.board)), keys(getLiveCells(board)));
+});
+
+test("a glider moves one cell diagonally every 4 generations and wraps around the torus", () => {
+  const board = createBoard(GLIDER, { topology: "torus", width: 8, height: 8 });
+  const start = getLiveCells(board);
+  const shifted = (dx, dy) => keys(start.map(({ x, y }) => ({ x: (x + dx) % 8, y: (y + dy) % 8 })));
+
+  assert.deepEqual(keys(getLiveCells(runGenerations(board, LIFE, 4).board)), shifted(1, 1));
+  assert.deepEqual(keys(getLiveCells(runGenerations(board, LIFE, 20).board)), shifted(5, 5));
+  assert.deepEqual(keys(getLiveCells(runGenerations(board, LIFE, 32).board)), keys(start));
+});
+
+test("runGenerations totals births and deaths, and leaves the board it was given alone", () => {
+  const board = createBoard(BLINKER, { topology: "infinite" });
+  const result = runGenerations(board, LIFE, 10);
+  assert.equal(result.board.generation, 10);
+  assert.equal(result.born, 20);
+  assert.equal(result.died, 20);
+  assert.deepEqual(getBoardStats(result.board), { population: 3, oldest: 11 });
+  assert.equal(board.generation, 0);
+  assert.deepEqual(keys(getLiveCells(board)), ["0,0", "1,0", "2,0"]);
+});
+
+test("HashLife jumps agree with brute force on the infinite plane", () => {
+  const board = createBoard(GLIDER, { topology: "infinite" });
+  const bruteForce = runGenerations(board, LIFE, 100);
+  const hashLife = runGenerations(board, LIFE, 100, { engine: "hashlife" });
+  assert.equal(hashLife.board.generation, 100);
+  assert.equal(hashLife.born, null);
+  assert.deepEqual(keys(getLiveCells(hashLife.board)), keys(getLiveCells(bruteForce.board)));
+  assert.deepEqual(keys(getLiveCells(bruteForce.board)), keys(GLIDER.cells.map(({ x, y }) => ({ x: x + 25, y: y + 25 }))));
+});
+
+test("under a B/S/C rule, cells that do not survive decay through the dying states", () => {
+  const starWars = parseRule("B2/S345/C4"); // Two dying states
+  const board = createBoard({ width: 1, height: 1, cells: [{ x: 0, y: 0 }] }, { topology: "infinite" });
+
+  const first = stepBoard(board, starWars);
+  assert.equal(getBoardStats(first.board).population, 0);
+  assert.deepEqual(Array.from(first.board.dying.decays), [1]);
+  const second = stepBoard(first.board, starWars);
+  assert.deepEqual(Array.from(second.board.dying.decays), [2]);
+  const third = stepBoard(second.board, starWars);
+  assert.equal(third.board.dying.decays.length, 0);
+});
+
+test("dying cells are not counted as neighbors and cannot be born into", () => {
+  const briansBrain = parseRule("B2/S/C3");
+  // Two live corners around a dying center cell: with the center counted, the cells next to it would be born
+  const grid = Uint16Array.from([1, 0, 0, 0, 0, 0, 0, 0, 1]);
+  const decay = Uint8Array.from([0, 0, 0, 0, 1, 0, 0, 0, 0]);
+  const board = { topology: "plane", generation: 0, width: 3, height: 3, grid, decay };
+  const { board: next, stats } = stepBoard(board, briansBrain);
+  assert.equal(stats.born, 0); // Not even the center cell, with its two live neighbors
+  assert.deepEqual(Array.from(next.grid), [0, 0, 0, 0, 0, 0, 0, 0, 0]);
+  assert.deepEqual(Array.from(next.decay), [1, 0, 0, 0, 0, 0, 0, 0, 1]);
+});
+
+test("createBoard rejects a pattern larger than the board", () => {
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    assert.equal(createBoard(BLINKER, { topology: "torus", width: 2, height: 2 }), null);
+  } finally {
+    console.warn = warn;
+  }
+});
@@ -0,0 +1,94 @@
+"use strict";
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseRLE, toRLE, parsePlaintext, parseLife105, parseLife106, parsePattern, createPatternFromCells, PatternParseError,
+} from '../src/patternFormats.js';
+
+test("parseRLE reads two-state run data, with any letter but 'b' a live cell", () => {
+  const pattern = parseRLE("#N Glider\nx = 3, y = 3, rule = B3/S23\nbo$2bo$3o!\n");
+  assert.equal(pattern.name, "Glider");
+  assert.equal(pattern.rule, "B3/S23");
+  assert.deepEqual(pattern.cells, [{ x: 1, y: 0 }, { x: 2, y: 1 }, { x: 0, y: 2 }, { x: 1, y: 2 }, { x: 2, y: 2 }]);
+  assert.deepEqual(pattern.dying, []);
+  assert.deepEqual(parseRLE("x = 2, y = 1\nAB!").cells, [{ x: 0, y: 0 }, { x: 1, y: 0 }]);
+});
+
+test("parseRLE reads Golly's multi-state run data under a Generations rule", () => {
+  const pattern = parseRLE("x = 3, y = 2, rule = B2/S/C3\n.AB$2B.!\n");
+  assert.deepEqual(pattern.cells, [{ x: 1, y: 0 }]);
+  assert.deepEqual(pattern.dying, [{ x: 2, y: 0, decay: 1 }, { x: 0, y: 1, decay: 1 }, { x: 1, y: 1, decay: 1 }]);
+
+  const starWars = parseRLE("x = 4, y = 1, rule = B2/S345/C4\nACoB!");
+  assert.deepEqual(starWars.cells, [{ x: 0, y: 0 }, { x: 2, y: 0 }]);
+  assert.deepEqual(starWars.dying, [{ x: 1, y: 0, decay: 2 }, { x: 3, y: 0, decay: 1 }]);
+});
+
+test("parseRLE reads prefixed states beyond 'X' and rejects states the rule does not have", () => {
+  const pattern = parseRLE("x = 3, y = 1, rule = B2/S/C40\nA2pA!");
+  assert.deepEqual(pattern.dying, [{ x: 1, y: 0, decay: 24 }, { x: 2, y: 0, decay: 24 }]);
+  assert.throws(() => parseRLE("x = 1, y = 1, rule = B2/S/C3\nC!"), PatternParseError);
+  assert.throws(() => parseRLE("x = 1, y = 1, rule = B2/S/C40\np$!"), PatternParseError);
+});
+
+test("parseRLE rejects runs that reach past the size limit before expanding them", () => {
+  assert.throws(() => parseRLE("x = 1, y = 1\n300000000o!"), { name: "PatternParseError", line: 2, column: 10 });
+  assert.throws(() => parseRLE("x = 1, y = 1\no300000000$o!"), { name: "PatternParseError", line: 2, column: 11 });
+  assert.throws(() => parseRLE("x = 1, y = 1, rule = B2/S/C3\n300000000B!"), PatternParseError);
+  assert.equal(parseRLE("x = 400, y = 1\n400o!").cells.length, 400);
+  assert.throws(() => parseRLE("x = 401, y = 1\n401o!"), PatternParseError);
+  assert.throws(() => parseRLE("x = 4, y = 1\n2b3o!", 4), { line: 2, column: 4 });
+  assert.equal(parseRLE("x = 4, y = 4\n3$4o!", 4).cells.length, 4);
+});
+
+test("parsePattern applies the size limit to RLE, as pasted or imported text", () => {
+  assert.throws(() => parsePattern("#N Bomb\nx = 1, y = 1\n300000000o!"), { name: "PatternParseError", line: 3 });
+  assert.equal(parsePattern("x = 500, y = 1\n500o!", "rle", Infinity).cells.length, 500);
+});
+
+test("toRLE writes dying cells in multi-state form, and reads back the same pattern", () => {
+  const pattern = createPatternFromCells([{ x: 5, y: 5 }, { x: 6, y: 5 }], "B2/S345/C4",
+    [{ x: 7, y: 5, decay: 1 }, { x: 5, y: 6, decay: 2 }]);
+  const rle = toRLE(pattern);
+  assert.equal(rle, "x = 3, y = 2, rule = B2/S345/C4\n2AB$C!\n");
+  const parsed = parseRLE(rle);
+  assert.deepEqual(parsed.cells, pattern.cells);
+  assert.deepEqual(parsed.dying, pattern.dying);
+
+  const twoState = createPatternFromCells([{ x: 0, y: 0 }, { x: 2, y: 0 }], "B3/S23", [{ x: 1, y: 0, decay: 1 }]);
+  assert.equal(toRLE(twoState), "x = 3, y = 1, rule = B3/S23\nobo!\n");
+});
+
+test("parsePlaintext reads the name, comments and cells, and points at unexpected characters", () => {
+  const pattern = parsePlaintext("!Name: Glider\n!A spaceship\n.O.\n..O\nOOO\n\n");
+  assert.equal(pattern.name, "Glider");
+  assert.deepEqual(pattern.comments, ["A spaceship"]);
+  assert.equal(pattern.width, 3);
+  assert.equal(pattern.height, 3);
+  assert.deepEqual(pattern.cells, [{ x: 1, y: 0 }, { x: 2, y: 1 }, { x: 0, y: 2 }, { x: 1, y: 2 }, { x: 2, y: 2 }]);
+  assert.throws(() => parsePlaintext("!Name: Typo\n.O.\n.Ox\n"), { name: "PatternParseError", line: 3, column: 3 });
+});
+
+test("parseLife105 places the cells of each #P block, and points at malformed lines", () => {
+  const pattern = parseLife105("#Life 1.05\n#D Two blocks\n#R 23/3\n#P -1 -1\n*.*\n#P 2 1\n.*\n");
+  assert.equal(pattern.rule, "23/3");
+  assert.deepEqual(pattern.comments, ["Two blocks"]);
+  assert.deepEqual(pattern.cells, [{ x: 0, y: 0 }, { x: 2, y: 0 }, { x: 4, y: 2 }]);
+  assert.throws(() => parseLife105("#Life 1.06\n"), { line: 1, column: 1 });
+  assert.throws(() => parseLife105("#Life 1.05\n*\n"), { line: 2, column: 1 });
+  assert.throws(() => parseLife105("#Life 1.05\n#P 0\n"), { line: 2, column: 3 });
+  assert.throws(() => parseLife105("#Life 1.05\n#P 0 0\n.*o\n"), { name: "PatternParseError", line: 3, column: 3 });
+});
+
+test("parseLife106 shifts the coordinates to the origin, and points at the token that breaks a pair", () => {
+  const pattern = parseLife106("#Life 1.06\n-1 0\n1 -2\n\n# comment\n");
+  assert.deepEqual(pattern.cells, [{ x: 0, y: 2 }, { x: 2, y: 0 }]);
+  assert.equal(pattern.width, 3);
+  assert.equal(pattern.height, 3);
+  assert.throws(() => parseLife106("0 0\n"), { line: 1, column: 1 });
+  assert.throws(() => parseLife106("#Life 1.06\n1 2 3\n"), { name: "PatternParseError", line: 2, column: 5 });
+  assert.throws(() => parseLife106("#Life 1.06\n 1 x\n"), { line: 2, column: 4 });
+  assert.throws(() => parseLife106("#Life 1.06\n0 0\n12\n"), { line: 3, column: 3 });
+  assert.throws(() => parseLife106("#Life 1.06\n1-2 3\n"), { line: 2, column: 1 });
+});
@@ -0,0 +1,14 @@
+"use strict";
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { supportsRule } from '../src/topology.js';
+import { parseRule } from '../src/rules.js';
+
+test("supportsRule refuses rules with birth on 0 neighbors on the infinite plane only", () => {
+  assert.equal(supportsRule("infinite", parseRule("B3/S23")), true);
+  assert.equal(supportsRule("infinite", parseRule("B03/S23")), false);
+  assert.equal(supportsRule("infinite", parseRule("B0/S/C3")), false);
+  assert.equal(supportsRule("torus", parseRule("B03/S23")), true);
+  assert.equal(supportsRule("plane", parseRule("B0/S8")), true);
+});